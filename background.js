@@ -1,402 +1,876 @@
 if (typeof browser !== 'undefined') globalThis.chrome = browser;
 
-let isRecording = false;
+// Firefox loads the generator scripts from the manifest; Chrome's service worker imports them.
+if (typeof importScripts === 'function') {
+    importScripts('generator.js', 'target-dotnet.js', 'target-cucumber-jvm.js', 'target-behave.js', 'target-cucumber-js.js');
+}
+
 let currentFeatureName = 'MyFeature';
 let recordedActions = [];
 
-chrome.storage.local.set({ isRecording: false, actionCount: 0 });
+// The service worker is stopped when idle and started again by the next event, so the
+// recording state lives in storage; only a browser restart or an update ends a recording.
+function resetRecordingState() {
+    chrome.storage.local.set({ isRecording: false, actionCount: 0, dialogChannel: null });
+}
+
+chrome.runtime.onStartup.addListener(resetRecordingState);
+chrome.runtime.onInstalled.addListener(resetRecordingState);
+
+// An event may be what woke the service worker, so its listener asks storage whether a
+// recording is running.
+function whenRecording(callback) {
+    chrome.storage.local.get(['isRecording'], (result) => {
+        if (result.isRecording) callback();
+    });
+}
 
 console.log('Reqnroll Recorder Background Service Loaded');
 
+const ASSERTION_MENU_ITEMS = [
+    { id: 'assertVisible', title: 'Element is visible' },
+    { id: 'assertText', title: 'Element text equals' },
+    { id: 'assertTextContains', title: 'Element text contains (selected text)' },
+    { id: 'assertValue', title: 'Input value equals' },
+    { id: 'assertChecked', title: 'Element is checked' },
+    { id: 'assertUrl', title: 'URL contains' },
+    { id: 'assertTitle', title: 'Page title equals' }
+];
+
+chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+        id: 'reqnrollAssert',
+        title: 'Reqnroll Recorder: Assert',
+        contexts: ['all'],
+        visible: false
+    });
+    ASSERTION_MENU_ITEMS.forEach(item => {
+        chrome.contextMenus.create({
+            id: item.id,
+            parentId: 'reqnrollAssert',
+            title: item.title,
+            contexts: ['all']
+        });
+    });
+    whenRecording(() => chrome.contextMenus.update('reqnrollAssert', { visible: true }));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab || !ASSERTION_MENU_ITEMS.some(item => item.id === info.menuItemId)) return;
+
+    whenRecording(() => {
+        chrome.tabs.sendMessage(tab.id, { command: 'assert', assertion: info.menuItemId }, { frameId: info.frameId || 0 }).catch(err => {
+            console.log('Could not send assert message to tab:', err);
+        });
+    });
+});
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.command === 'startRecording') {
-        isRecording = true;
-        currentFeatureName = request.featureName;
+    if (request.command === 'getGeneratorTargets') {
+        sendResponse({ targets: getGeneratorTargets() });
+    } else if (request.command === 'startRecording') {
         recordedActions = [];
 
-        chrome.storage.local.set({
-            isRecording: true,
-            featureName: currentFeatureName,
-            recordedActions: [],
-            actionCount: 0
+        chrome.storage.local.get(['lastSession'], (result) => {
+            // Appending continues the last generated feature with a further scenario.
+            const lastSession = request.append ? result.lastSession : null;
+            const completedScenarios = lastSession ? lastSession.scenarios : [];
+            currentFeatureName = lastSession ? lastSession.featureName : request.featureName;
+
+            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+                const actions = tabs[0] && tabs[0].url ? [{ type: 'navigate', value: tabs[0].url }] : [];
+                chrome.storage.local.set(Object.assign({
+                    isRecording: true,
+                    sessionId: lastSession ? lastSession.id : null,
+                    featureName: currentFeatureName,
+                    scenarioName: request.scenarioName || getDefaultScenarioName(completedScenarios.length),
+                    completedScenarios: completedScenarios,
+                    recordedActions: actions,
+                    actionCount: actions.length,
+                    replayStatus: null,
+                    dialogChannel: crypto.randomUUID()
+                }, createTabState(tabs[0])), () => {
+                    if (tabs[0]) {
+                        injectDialogHook({ tabId: tabs[0].id, allFrames: true });
+                        chrome.tabs.sendMessage(tabs[0].id, { command: 'start' }).catch(err => {
+                            console.log('Could not send start message to tab:', err);
+                        });
+                    }
+                });
+            });
         });
+        chrome.contextMenus.update('reqnrollAssert', { visible: true });
 
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]) {
-                chrome.tabs.sendMessage(tabs[0].id, { command: 'start' }).catch(err => {
-                    console.log('Could not send start message to tab:', err);
+        sendResponse({ status: 'started' });
+    }
+    else if (request.command === 'nextScenario') {
+        updateRecordedActions((actions, state) => {
+            const completedScenarios = state.completedScenarios || [];
+            if (actions.length > 0) {
+                completedScenarios.push({
+                    name: state.scenarioName || getDefaultScenarioName(completedScenarios.length),
+                    actions: actions.splice(0)
                 });
             }
+            return {
+                completedScenarios: completedScenarios,
+                scenarioName: request.scenarioName || getDefaultScenarioName(completedScenarios.length)
+            };
+        }).then(() => {
+            // The page is not reloaded, so start the new scenario from where the browser is.
+            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+                updateRecordedActions((actions) => {
+                    if (tabs[0] && tabs[0].url) {
+                        actions.push({ type: 'navigate', value: tabs[0].url });
+                    }
+                    return createTabState(tabs[0]);
+                });
+                sendResponse({ status: 'ok' });
+            });
         });
-
-        sendResponse({ status: 'started' });
+    }
+    else if (request.command === 'renameScenario') {
+        updateRecordedActions(() => ({ scenarioName: request.scenarioName }))
+            .then(() => sendResponse({ status: 'ok' }));
     }
     else if (request.command === 'stopRecording') {
-        isRecording = false;
         chrome.storage.local.set({ isRecording: false });
+        chrome.contextMenus.update('reqnrollAssert', { visible: false });
 
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]) {
-                try {
-                    chrome.tabs.sendMessage(tabs[0].id, { command: 'stop' }).catch(err => {
-                        console.log('Could not send stop message to tab (likely restricted or closed):', err);
-                    });
-                } catch (e) {
-                    console.log('Error sending stop message:', e);
-                }
-            }
+            chrome.storage.local.get(['sessionTabs'], (result) => {
+                const tabIds = new Set(Object.keys(result.sessionTabs || {}).map(Number));
+                if (tabs[0]) tabIds.add(tabs[0].id);
+
+                tabIds.forEach(tabId => {
+                    try {
+                        chrome.tabs.sendMessage(tabId, { command: 'stop' }).catch(err => {
+                            console.log('Could not send stop message to tab (likely restricted or closed):', err);
+                        });
+                    } catch (e) {
+                        console.log('Error sending stop message:', e);
+                    }
+                });
+            });
         });
 
-        chrome.storage.local.get(['recordedActions', 'featureName'], (result) => {
-            const actions = result.recordedActions || [];
-            const featureName = result.featureName || 'MyFeature';
-            generateFiles(actions, featureName);
+        actionsQueue.then(() => {
+            chrome.storage.local.get(['recordedActions', 'featureName', 'scenarioName', 'completedScenarios', 'sessionId', 'generatorOptions', 'existingBindings'], (result) => {
+                const scenarios = (result.completedScenarios || []).slice();
+                const actions = result.recordedActions || [];
+                if (actions.length > 0 || scenarios.length === 0) {
+                    scenarios.push({ name: result.scenarioName || getDefaultScenarioName(scenarios.length), actions: actions });
+                }
+
+                const featureName = result.featureName || 'MyFeature';
+                const session = {
+                    id: result.sessionId || createSessionId(),
+                    featureName: featureName,
+                    date: new Date().toISOString(),
+                    startUrl: getStartUrl(scenarios),
+                    scenarios: scenarios
+                };
+                chrome.storage.local.set({
+                    lastSession: session,
+                    completedScenarios: []
+                });
+                saveSession(session);
+                exportScenarios(scenarios, featureName, result.generatorOptions, result.existingBindings);
+            });
         });
 
         sendResponse({ status: 'stopped' });
     }
+    else if (request.command === 'exportSession') {
+        chrome.storage.local.get(['savedSessions', 'generatorOptions', 'existingBindings'], (result) => {
+            const session = (result.savedSessions || []).find(saved => saved.id === request.id);
+            if (session) exportScenarios(session.scenarios, session.featureName, result.generatorOptions, result.existingBindings);
+            sendResponse({ status: session ? 'ok' : 'notFound' });
+        });
+    }
+    else if (request.command === 'openSession') {
+        // "Add Scenario to ..." in the popup continues the session that was opened last.
+        chrome.storage.local.get(['savedSessions'], (result) => {
+            const session = (result.savedSessions || []).find(saved => saved.id === request.id);
+            if (session) chrome.storage.local.set({ lastSession: session });
+            sendResponse({ status: session ? 'ok' : 'notFound' });
+        });
+    }
+    else if (request.command === 'renameSession') {
+        updateSavedSessions((sessions) => {
+            const session = sessions.find(saved => saved.id === request.id);
+            if (session) session.name = request.name;
+        }).then(() => sendResponse({ status: 'ok' }));
+    }
+    else if (request.command === 'duplicateSession') {
+        updateSavedSessions((sessions) => {
+            const index = sessions.findIndex(saved => saved.id === request.id);
+            if (index < 0) return;
+            const copy = JSON.parse(JSON.stringify(sessions[index]));
+            sessions.splice(index + 1, 0, Object.assign(copy, {
+                id: createSessionId(),
+                name: `${copy.name} (copy)`,
+                date: new Date().toISOString()
+            }));
+        }).then(() => sendResponse({ status: 'ok' }));
+    }
+    else if (request.command === 'deleteSession') {
+        updateSavedSessions((sessions) => {
+            const index = sessions.findIndex(saved => saved.id === request.id);
+            if (index >= 0) sessions.splice(index, 1);
+        }).then(() => sendResponse({ status: 'ok' }));
+    }
+    else if (request.command === 'importSessions') {
+        const imported = (request.sessions || []).map(normalizeImportedSession).filter(session => session);
+        updateSavedSessions((sessions) => {
+            sessions.unshift(...imported);
+        }).then(() => sendResponse({ status: 'ok', count: imported.length, skipped: (request.sessions || []).length - imported.length }));
+    }
+    else if (request.command === 'replay') {
+        startReplay(request.from || 0);
+        sendResponse({ status: 'started' });
+    }
+    else if (request.command === 'stopReplay') {
+        stopReplay();
+        sendResponse({ status: 'ok' });
+    }
+    else if (request.command === 'pickElement') {
+        pickReplayElement(request.index);
+        sendResponse({ status: 'ok' });
+    }
+    else if (request.command === 'elementPicked') {
+        if (replay && replay.pickIndex !== undefined && sender.tab && sender.tab.id === replay.current) {
+            const index = replay.pickIndex;
+            delete replay.pickIndex;
+            chrome.tabs.sendMessage(replay.current, { command: 'cancelPick' }).catch(() => { });
+            updateRecordedActions((actions) => {
+                if (!actions[index]) return;
+                Object.assign(actions[index], request.changes);
+                if (!actions[index].elementName) actions[index].elementName = request.elementName;
+            }).then(() => setReplayStatus({ running: false, index: index, picked: true }));
+        }
+    }
     else if (request.command === 'recordAction') {
-        chrome.storage.local.get(['recordedActions', 'isRecording'], (result) => {
-            if (result.isRecording) {
-                const actions = result.recordedActions || [];
+        if (sender.tab) rememberPageStep(sender.tab.id);
+        updateRecordedActions((actions, state) => {
+            if (!state.isRecording) return;
+            if (request.action.type === 'doubleClick') dropTrailingClicks(actions, request.action);
+            if (request.action.type === 'upload') dropOpeningClick(actions, request.action);
+            if (request.action.type === 'select') dropFilterTyping(actions, request.action);
+            if (!sender.tab) {
                 actions.push(request.action);
+                return;
+            }
+            return recordTabAction(actions, state, sender.tab.id, request.action);
+        });
+    }
+    else if (request.command === 'deleteAction') {
+        updateEditedActions(request.scenario, (actions) => {
+            actions.splice(request.index, 1);
+        }).then(() => sendResponse({ status: 'ok' }));
+    }
+    else if (request.command === 'moveAction') {
+        updateEditedActions(request.scenario, (actions) => {
+            if (request.to < 0 || request.to >= actions.length) return;
+            const [moved] = actions.splice(request.index, 1);
+            actions.splice(request.to, 0, moved);
+        }).then(() => sendResponse({ status: 'ok' }));
+    }
+    else if (request.command === 'updateAction') {
+        updateEditedActions(request.scenario, (actions) => {
+            if (actions[request.index]) Object.assign(actions[request.index], request.changes);
+        }).then(() => sendResponse({ status: 'ok' }));
+    }
+    else if (request.command === 'insertAction') {
+        updateEditedActions(request.scenario, (actions) => {
+            actions.splice(request.index, 0, request.action);
+        }).then(() => sendResponse({ status: 'ok' }));
+    }
 
-                chrome.storage.local.set({
-                    recordedActions: actions,
-                    actionCount: actions.length
-                });
+    return true;
+});
+
+// Content scripts and the step editor both change the recorded actions; queueing the
+// read-modify-write keeps one update from overwriting another.
+let actionsQueue = Promise.resolve();
 
+// The mutator may return further storage values to save along with the actions.
+function updateRecordedActions(mutate) {
+    actionsQueue = actionsQueue.then(() => new Promise(resolve => {
+        chrome.storage.local.get(['recordedActions', 'isRecording', 'scenarioName', 'completedScenarios', 'sessionTabs', 'currentTab', 'tabHistory', 'tabCount'], (result) => {
+            const actions = result.recordedActions || [];
+            const previousCount = actions.length;
+            const extra = mutate(actions, result);
+
+            chrome.storage.local.set(Object.assign({
+                recordedActions: actions,
+                actionCount: actions.length
+            }, extra), resolve);
+
+            if (actions.length !== previousCount) {
                 chrome.runtime.sendMessage({
                     type: 'actionRecorded',
                     count: actions.length
                 }).catch(() => { });
             }
         });
+    }));
+    return actionsQueue;
+}
+
+// The step editor edits the scenario being recorded, or with a scenario index one of the
+// scenarios completed earlier in the recording.
+function updateEditedActions(scenario, mutate) {
+    return updateRecordedActions((actions, state) => {
+        if (scenario === undefined || scenario === null) {
+            mutate(actions);
+            return;
+        }
+        const completedScenarios = state.completedScenarios || [];
+        if (completedScenarios[scenario]) mutate(completedScenarios[scenario].actions);
+        return { completedScenarios: completedScenarios };
+    });
+}
+
+// The browser fires two clicks before a dblclick; the double-click replaces them.
+function dropTrailingClicks(actions, doubleClick) {
+    for (let i = 0; i < 2; i++) {
+        const last = actions[actions.length - 1];
+        if (!last || last.type !== 'click' || last.selector !== doubleClick.selector ||
+            last.selectorValue !== doubleClick.selectorValue) {
+            return;
+        }
+        actions.pop();
     }
+}
 
-    return true;
+// The upload step sends the files to the input without the file chooser, so the click on the
+// drop zone or label that opened the chooser goes.
+function dropOpeningClick(actions, upload) {
+    const last = actions[actions.length - 1];
+    if (upload.opener && last && last.type === 'click' && `${last.selector}:${last.selectorValue}` === upload.opener) {
+        actions.pop();
+    }
+    delete upload.opener;
+}
+
+// A custom dropdown's select step types the text that filters its options itself, so the same
+// text recorded as typed into its input just before goes.
+function dropFilterTyping(actions, select) {
+    const last = actions[actions.length - 1];
+    if (select.filterField && last && last.type === 'type' && last.value === select.filterText &&
+        `${last.selector}:${last.selectorValue}` === select.filterField) {
+        actions.pop();
+    }
+    delete select.filterField;
+}
+
+// Tabs and popup windows opened from a recorded tab join the session. Each gets an
+// ordinal in opening order (the starting tab is 0), which the generated C# mirrors with
+// window handles; tabHistory holds the tabs to return to when one is closed. Each tab also
+// keeps the URLs of its back/forward list (pages) and its position in it (page).
+function createTabState(tab) {
+    return {
+        sessionTabs: tab ? { [tab.id]: { tab: 0, switched: true, pages: tab.url ? [tab.url] : [], page: 0 } } : {},
+        currentTab: 0,
+        tabHistory: [],
+        tabCount: 1
+    };
+}
+
+function recordTabAction(actions, state, tabId, action) {
+    const sessionTabs = state.sessionTabs || {};
+    const entry = sessionTabs[tabId];
+    if (!entry) return;
+
+    const currentTab = state.currentTab || 0;
+    if (entry.tab === currentTab) {
+        actions.push(action);
+        return;
+    }
+
+    actions.push({ type: 'switchTab', tab: entry.tab, newTab: !entry.switched });
+    actions.push(action);
+    entry.switched = true;
+
+    return {
+        sessionTabs: sessionTabs,
+        currentTab: entry.tab,
+        tabHistory: (state.tabHistory || []).concat(currentTab)
+    };
+}
+
+chrome.tabs.onCreated.addListener((tab) => {
+    if (tab.openerTabId === undefined) return;
+
+    whenRecording(() => updateRecordedActions((actions, state) => {
+        const sessionTabs = state.sessionTabs || {};
+        if (!state.isRecording || !sessionTabs[tab.openerTabId]) return;
+
+        const tabCount = state.tabCount || 1;
+        sessionTabs[tab.id] = { tab: tabCount, switched: false, pages: [], page: -1 };
+        return { sessionTabs: sessionTabs, tabCount: tabCount + 1 };
+    }));
 });
 
-function generateFiles(actions, featureName) {
-    console.log('Generating files for', featureName, 'with', actions.length, 'actions');
+chrome.tabs.onRemoved.addListener((tabId) => {
+    whenRecording(() => updateRecordedActions((actions, state) => {
+        const sessionTabs = state.sessionTabs || {};
+        const entry = sessionTabs[tabId];
+        if (!state.isRecording || !entry) return;
 
-    const featureContent = generateFeatureFile(actions, featureName);
-    const stepsContent = generateStepsFile(actions, featureName);
+        delete sessionTabs[tabId];
+        const openTabs = Object.values(sessionTabs).map(other => other.tab);
+        const tabHistory = (state.tabHistory || []).filter(tab => openTabs.includes(tab));
 
-    const isFirefox = typeof browser !== 'undefined';
+        if (entry.tab !== (state.currentTab || 0) || tabHistory.length === 0) {
+            return { sessionTabs: sessionTabs, tabHistory: tabHistory };
+        }
+
+        actions.push({ type: 'closeTab', tab: entry.tab });
+        return {
+            sessionTabs: sessionTabs,
+            currentTab: tabHistory.pop(),
+            tabHistory: tabHistory
+        };
+    }));
+});
 
-    let featureUrl, stepsUrl;
+// Page loads and route changes are recorded from the browser's account of how they happened,
+// which the content script of the new page cannot tell: the user typed an address, used
+// Back, Forward or Reload, or a recorded step caused it. Caused ones only need the test to
+// wait for the new URL; a chain of them (redirects, SPA routes settling) keeps the last.
+const USER_TRANSITIONS = ['typed', 'auto_bookmark', 'generated', 'keyword', 'keyword_generated'];
+// Reloads and history moves are the user's own unless the page started them (location.reload(),
+// history.back()). The browser marks those started by script on its own as client redirects;
+// one started by a recorded click, such as a Back button of the page, begins in the same tab
+// within moments of the click. The last step is also kept in session storage, which outlives
+// the service worker.
+const CAUSED_NAVIGATION_WINDOW = 500;
+const navigationStarts = new Map();
+let lastPageStep = null;
+
+function rememberPageStep(tabId) {
+    lastPageStep = { tabId: tabId, time: Date.now() };
+    chrome.storage.session.set({ lastPageStep: lastPageStep });
+}
 
-    if (isFirefox) {
-        console.log('Using blob URLs for Firefox');
-        const featureBlob = new Blob([featureContent], { type: 'text/plain' });
-        const stepsBlob = new Blob([stepsContent], { type: 'text/plain' });
-        featureUrl = URL.createObjectURL(featureBlob);
-        stepsUrl = URL.createObjectURL(stepsBlob);
+function getLastPageStep(callback) {
+    if (lastPageStep) callback(lastPageStep);
+    else chrome.storage.session.get(['lastPageStep'], (result) => callback(result.lastPageStep || null));
+}
+
+function isCausedNavigation(details, started, step) {
+    if ((details.transitionQualifiers || []).includes('client_redirect')) return true;
+    return !!step && step.tabId === details.tabId && Math.abs(started - step.time) < CAUSED_NAVIGATION_WINDOW;
+}
+
+// started is when the navigation began; a page load commits once the server has answered.
+function recordNavigation(details, started) {
+    if (details.frameId !== 0) return;
+
+    whenRecording(() => getLastPageStep(step => updateRecordedActions((actions, state) => {
+        const sessionTabs = state.sessionTabs || {};
+        const entry = sessionTabs[details.tabId];
+        if (!state.isRecording || !entry) return;
+
+        const steps = followNavigation(entry, details, isCausedNavigation(details, started || details.timeStamp, step));
+        // A tab the user has not switched to yet is loading the page its opener's click asked for.
+        if (entry.tab !== (state.currentTab || 0)) return { sessionTabs: sessionTabs };
+
+        steps.forEach(step => {
+            const last = actions[actions.length - 1];
+            if (step.waitsForNavigation && last && last.waitsForNavigation) actions.pop();
+            actions.push(step);
+        });
+        return { sessionTabs: sessionTabs };
+    })));
+}
+
+// Moves the tab's position in its back/forward list and returns the steps that got it there.
+function followNavigation(entry, details, caused) {
+    const url = details.url;
+    const qualifiers = details.transitionQualifiers || [];
+    const pages = entry.pages || [];
+    const page = entry.page === undefined ? pages.length - 1 : entry.page;
+    const previous = pages[page];
+
+    if (details.transitionType === 'reload') {
+        return [caused ? waitForNavigation(url) : { type: 'refresh', url: url }];
+    }
+
+    if (qualifiers.includes('forward_back')) {
+        const back = page > 0 ? pages.lastIndexOf(url, page - 1) : -1;
+        const forward = back < 0 ? pages.indexOf(url, page + 1) : -1;
+        if (back >= 0 || forward >= 0) {
+            entry.page = back >= 0 ? back : forward;
+            if (caused) return [waitForNavigation(url)];
+            const type = back >= 0 ? 'goBack' : 'goForward';
+            return Array.from({ length: Math.abs(entry.page - page) }, () => ({ type: type, url: url }));
+        }
+        // Back to a page from before the recording started, which the test cannot go back to.
+        entry.pages = [url];
+        entry.page = 0;
+        return [caused ? waitForNavigation(url) : { type: 'navigate', value: url }];
+    }
+
+    if (qualifiers.includes('client_redirect') && page >= 0) {
+        pages[page] = url;
     } else {
-        console.log('Using data URLs for Chrome');
-        featureUrl = 'data:application/octet-stream;base64,' + utf8_to_b64(featureContent);
-        stepsUrl = 'data:application/octet-stream;base64,' + utf8_to_b64(stepsContent);
+        entry.pages = pages.slice(0, page + 1).concat(url);
+        entry.page = page + 1;
     }
 
-    console.log('Download URLs created');
+    if (USER_TRANSITIONS.includes(details.transitionType) || qualifiers.includes('from_address_bar')) {
+        return [{ type: 'navigate', value: url }];
+    }
 
-    chrome.downloads.download({
-        url: featureUrl,
-        filename: `${featureName}.feature`,
-        saveAs: true
-    }, (downloadId) => {
-        if (chrome.runtime.lastError) {
-            console.error('Feature download failed:', chrome.runtime.lastError);
-            alert('Feature file download failed: ' + chrome.runtime.lastError.message);
-        } else {
-            console.log('Feature download started, ID:', downloadId);
-            if (isFirefox) {
-                setTimeout(() => URL.revokeObjectURL(featureUrl), 10000);
+    if (previous && getUrlCheck(previous) === getUrlCheck(url)) return [];
+    return [waitForNavigation(url)];
+}
+
+function waitForNavigation(url) {
+    return { type: 'assertUrl', value: getUrlCheck(url), url: url, waitsForNavigation: true };
+}
+
+// The part of a URL a wait checks for, like the URL assertion: path and query, plus the
+// hash for hash-routed apps (#/orders, #!/orders).
+function getUrlCheck(url) {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search + (/^#!?\//.test(parsed.hash) ? parsed.hash : '');
+}
+
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+    if (details.frameId === 0) navigationStarts.set(details.tabId, details.timeStamp);
+});
+chrome.webNavigation.onCommitted.addListener((details) => recordNavigation(details, navigationStarts.get(details.tabId)));
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => recordNavigation(details, details.timeStamp));
+chrome.webNavigation.onReferenceFragmentUpdated.addListener((details) => recordNavigation(details, details.timeStamp));
+
+// dialog-hook.js shares the page's JavaScript world, so it only goes into the tabs of a
+// recording or replay, as soon as each of their documents commits, and it gets the nonce that
+// names its events from here rather than from anything the page can read. A frame hooked
+// before answers false and gets the new nonce from its content script.
+function injectDialogHook(target) {
+    chrome.storage.local.get(['dialogChannel'], (result) => {
+        if (!result.dialogChannel) return;
+        chrome.scripting.executeScript({ target: target, world: 'MAIN', injectImmediately: true, files: ['dialog-hook.js'] })
+            .then(results => {
+                const frameIds = results.filter(injected => injected.result === true).map(injected => injected.frameId);
+                if (frameIds.length === 0) return;
+                return chrome.scripting.executeScript({
+                    target: { tabId: target.tabId, frameIds: frameIds },
+                    world: 'MAIN',
+                    injectImmediately: true,
+                    func: keyDialogHook,
+                    args: [result.dialogChannel]
+                });
+            })
+            .catch(err => console.log('Could not hook the dialogs of the page (likely restricted):', err));
+    });
+}
+
+function keyDialogHook(nonce) {
+    window.reqnrollRecorderDialogs = nonce;
+}
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+    const target = { tabId: details.tabId, frameIds: [details.frameId] };
+    if (replay && replay.tabs.includes(details.tabId)) {
+        injectDialogHook(target);
+        return;
+    }
+    chrome.storage.local.get(['isRecording', 'sessionTabs'], (result) => {
+        if (result.isRecording && (result.sessionTabs || {})[details.tabId]) injectDialogHook(target);
+    });
+});
+
+// Replay drives the recorded actions in a tab of its own through the content scripts, one
+// step at a time, and stops at the first step that fails. replayStatus in storage tells the
+// step editor how far it got. The replay tab is not part of the recording session, so what
+// the replay does is not recorded.
+const REPLAY_TIMEOUT = 10000;
+const REPLAY_HISTORY_METHODS = { goBack: 'goBack', goForward: 'goForward', refresh: 'reload' };
+const DIALOG_ACTION_TYPES = ['assertDialog', 'acceptDialog', 'dismissDialog'];
+let replay = null;
+
+function setReplayStatus(status) {
+    chrome.storage.local.set({ replayStatus: status });
+}
+
+function startReplay(from) {
+    chrome.storage.local.get(['recordedActions', 'isRecording', 'dialogChannel'], (result) => {
+        const actions = result.recordedActions || [];
+        const run = {};
+
+        // After a failed step is fixed, the replay continues in the same tab.
+        const resume = from > 0 && replay
+            ? chrome.tabs.get(replay.current).then(() => from, () => null)
+            : Promise.resolve(null);
+
+        resume.then(index => {
+            if (index !== null) {
+                replay.run = run;
+                replayFrom(actions, index, run);
+                return;
             }
 
-            chrome.downloads.download({
-                url: stepsUrl,
-                filename: `${featureName}Steps.cs`,
-                saveAs: true
-            }, (stepDownloadId) => {
-                if (chrome.runtime.lastError) {
-                    console.error('Steps download failed:', chrome.runtime.lastError);
-                    alert('Steps file download failed: ' + chrome.runtime.lastError.message);
-                } else {
-                    console.log('Steps download started, ID:', stepDownloadId);
-
-                    if (isFirefox) {
-                        setTimeout(() => URL.revokeObjectURL(stepsUrl), 10000);
-                    }
-                }
+            const start = actions.find(action => action.type === 'navigate') || actions.find(action => action.url);
+            const url = start ? start.value || start.url : '';
+            if (!url) {
+                setReplayStatus({ running: false, index: 0, error: 'The recording has no page to start from.' });
+                return;
+            }
+
+            // A replay during a recording keeps the recording's nonce, whose hooks are in its tabs.
+            const dialogChannel = result.isRecording && result.dialogChannel ? result.dialogChannel : crypto.randomUUID();
+            chrome.storage.local.set({ dialogChannel: dialogChannel }, () => {
+                chrome.tabs.create({ url: url, active: true }, (tab) => {
+                    replay = { run: run, tabs: [tab.id], current: tab.id, history: [], dialogs: [] };
+                    waitForTabComplete(tab.id)
+                        .then(() => replayFrom(actions, actions[0] === start ? 1 : 0, run))
+                        .catch(err => setReplayStatus({ running: false, index: 0, error: err.message }));
+                });
             });
-        }
+        });
+    });
+}
+
+function stopReplay() {
+    if (!replay) return;
+    replay.run = null;
+    chrome.storage.local.get(['replayStatus'], (result) => {
+        setReplayStatus(Object.assign({}, result.replayStatus, { running: false, stopped: true }));
     });
 }
 
-function generateFeatureFile(actions, featureName) {
-    let content = `Feature: ${featureName}\n\n`;
-    content += `  Scenario: Recorded Scenario\n`;
-
-    let previousKeyword = null;
-
-    actions.forEach(action => {
-        let currentKeyword = null;
-        let stepText = '';
-
-        switch (action.type) {
-            case 'navigate':
-                currentKeyword = 'Given';
-                stepText = `I navigate to "${action.value}"`;
-                break;
-            case 'hover':
-                currentKeyword = 'When';
-                stepText = `I hover over the element with ${action.selector} "${action.selectorValue}"`;
-                break;
-            case 'click':
-                currentKeyword = 'When';
-                stepText = `I click the element with ${action.selector} "${action.selectorValue}"`;
-                break;
-            case 'type':
-                currentKeyword = 'Then';
-                stepText = `I type "${action.value}" into element with ${action.selector} "${action.selectorValue}"`;
-                break;
-            case 'checkbox':
-                currentKeyword = 'When';
-                stepText = action.checked
-                    ? `I check the checkbox with ${action.selector} "${action.selectorValue}"`
-                    : `I uncheck the checkbox with ${action.selector} "${action.selectorValue}"`;
-                break;
-            case 'radio':
-                currentKeyword = 'When';
-                stepText = `I select the radio button with ${action.selector} "${action.selectorValue}"`;
-                break;
-            case 'select':
-                currentKeyword = 'Then';
-                stepText = `I select "${action.selectedText}" from dropdown with ${action.selector} "${action.selectorValue}"`;
-                break;
-            case 'enterkey':
-                currentKeyword = 'Then';
-                stepText = `I type "${action.value}" and press Enter in element with ${action.selector} "${action.selectorValue}"`;
-                break;
+function replayFrom(actions, index, run) {
+    if (!replay || replay.run !== run) return;
+    if (index >= actions.length) {
+        setReplayStatus({ running: false, index: index, done: true });
+        return;
+    }
+
+    setReplayStatus({ running: true, index: index });
+    replayStep(actions[index], getQueuedDialogAnswers(actions, index)).then(
+        () => replayFrom(actions, index + 1, run),
+        (err) => {
+            if (replay && replay.run === run) setReplayStatus({ running: false, index: index, error: err.message });
+        });
+}
+
+// The page answers the dialogs the steps after index expect as the step opens them, without
+// showing them.
+function getQueuedDialogAnswers(actions, index) {
+    const answers = [];
+    if (DIALOG_ACTION_TYPES.includes(actions[index].type)) return answers;
+    for (let i = index + 1; i < actions.length && DIALOG_ACTION_TYPES.includes(actions[i].type); i++) {
+        if (actions[i].type === 'acceptDialog') answers.push({ accept: true, text: actions[i].value || null });
+        if (actions[i].type === 'dismissDialog') answers.push({ accept: false, text: null });
+    }
+    return answers;
+}
+
+function replayStep(action, dialogAnswers) {
+    if (action.type === 'navigate') {
+        return chrome.tabs.update(replay.current, { url: action.value }).then(() => waitForTabComplete(replay.current));
+    }
+
+    if (REPLAY_HISTORY_METHODS[action.type]) {
+        return chrome.tabs[REPLAY_HISTORY_METHODS[action.type]](replay.current).then(() => waitForTabComplete(replay.current));
+    }
+
+    if (action.type === 'switchTab') {
+        return waitUntil(() => replay.tabs[action.tab], `Tab ${action.tab + 1} was not opened`).then(tabId => {
+            replay.history.push(replay.current);
+            replay.current = tabId;
+            return chrome.tabs.update(tabId, { active: true }).then(() => waitForTabComplete(tabId));
+        });
+    }
+
+    if (action.type === 'closeTab') {
+        const tabId = replay.tabs[action.tab];
+        // Popups such as sign-in windows often close themselves.
+        return Promise.resolve().then(() => chrome.tabs.remove(tabId)).catch(() => { }).then(() => {
+            replay.current = replay.history.pop() || replay.tabs[0];
+            return chrome.tabs.update(replay.current, { active: true });
+        });
+    }
+
+    // A dialog that led to another page was reported by the step that opened it; one opened
+    // later is still waiting in the page.
+    if (action.type === 'assertDialog' && replay.dialogs.length > 0) {
+        const dialog = replay.dialogs.shift();
+        if (dialog.message !== action.value) {
+            return Promise.reject(new Error(`Expected the dialog "${action.value}" but it said "${dialog.message}"`));
         }
+        return Promise.resolve();
+    }
 
-        const keyword = (currentKeyword === previousKeyword) ? 'And' : currentKeyword;
-        content += `    ${keyword} ${stepText}\n`;
+    if (action.type === 'acceptDialog' || action.type === 'dismissDialog') {
+        return Promise.resolve();
+    }
 
-        previousKeyword = currentKeyword;
+    const tabId = replay.current;
+    return waitUntil(
+        () => chrome.tabs.get(tabId).then(tab => tab.status === 'complete' &&
+            chrome.tabs.sendMessage(tabId, { command: 'replayStep', action: action, dialogs: dialogAnswers })),
+        action.frame ? 'The frame the step was recorded in was not found' : 'The page did not respond'
+    ).then(response => {
+        if (response.status !== 'ok') throw new Error(response.message);
+        replay.dialogs.push(...(response.dialogs || []));
     });
+}
 
-    content += `    Then the page should be in the expected state\n`;
-    return content;
+function pickReplayElement(index) {
+    if (!replay) return;
+    replay.pickIndex = index;
+    chrome.tabs.update(replay.current, { active: true }).catch(() => { });
+    chrome.tabs.sendMessage(replay.current, { command: 'pickElement' }).catch(() => { });
 }
 
-function generateStepsFile(actions, featureName) {
-    const className = `${featureName}Steps`;
-    let content = `using System;
-using Reqnroll;
-using OpenQA.Selenium;
-using OpenQA.Selenium.Support.UI;
-using System.Threading;
+// Retries check until it returns something truthy. Errors count as "not yet": the page may
+// be loading, and a tab without a content script refuses messages.
+function waitUntil(check, timeoutMessage) {
+    const deadline = Date.now() + REPLAY_TIMEOUT;
+    const attempt = () => Promise.resolve().then(check).catch(() => null).then(value => {
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(timeoutMessage);
+        return new Promise(resolve => setTimeout(resolve, 250)).then(attempt);
+    });
+    return attempt();
+}
 
-namespace ReqnrollTests.Steps
-{
-    [Binding]
-    public class ${className}
-    {
-        private readonly IWebDriver _driver;
+function waitForTabComplete(tabId) {
+    return waitUntil(() => chrome.tabs.get(tabId).then(tab => tab.status === 'complete'), 'The page did not finish loading');
+}
 
-        public ${className}(IWebDriver driver)
-        {
-            _driver = driver;
-        }
+chrome.tabs.onCreated.addListener((tab) => {
+    if (replay && replay.tabs.includes(tab.openerTabId)) replay.tabs.push(tab.id);
+});
 
-        [Then(@"the page should be in the expected state")]
-        public void ThenThePageShouldBeInTheExpectedState()
-        {
-            Thread.Sleep(2000);
-        }
-`;
-
-    // Generate step definitions
-    const signatures = new Set();
-
-    actions.forEach(action => {
-        if (action.type === 'navigate') {
-            if (!signatures.has('NavigateToUrl')) {
-                content += `
-        [Given(@"I navigate to ""(.*)""")]
-        [When(@"I navigate to ""(.*)""")]
-        public void NavigateToUrl(string url)
-        {
-            _driver.Navigate().GoToUrl(url);
-            Thread.Sleep(1000);
-        }
-`;
-                signatures.add('NavigateToUrl');
-            }
-        }
-        else if (action.type === 'hover') {
-            if (!signatures.has('HoverOverElement')) {
-                content += `
-        [When(@"I hover over the element with (.*?) ""(.*?)""")]
-        public void HoverOverElement(string selectorType, string selectorValue)
-        {
-            var wait = new OpenQA.Selenium.Support.UI.WebDriverWait(_driver, TimeSpan.FromSeconds(10));
-            var element = wait.Until(d => {
-                var el = GetElement(selectorType, selectorValue);
-                return (el != null && el.Displayed) ? el : null;
-            });
+// Every stopped recording is kept in the session library, newest first. Continuing a session
+// with "Add Scenario to ..." updates its entry instead of adding another.
+let sessionsQueue = Promise.resolve();
 
-            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
-            actions.MoveToElement(element).Perform();
-            Thread.Sleep(500); 
-        }
-`;
-                signatures.add('HoverOverElement');
-            }
+function updateSavedSessions(mutate) {
+    sessionsQueue = sessionsQueue.then(() => new Promise(resolve => {
+        chrome.storage.local.get(['savedSessions'], (result) => {
+            const sessions = result.savedSessions || [];
+            mutate(sessions);
+            chrome.storage.local.set({ savedSessions: sessions }, resolve);
+        });
+    }));
+    return sessionsQueue;
+}
+
+function saveSession(session) {
+    return updateSavedSessions((sessions) => {
+        const index = sessions.findIndex(saved => saved.id === session.id);
+        if (index < 0) {
+            sessions.unshift(Object.assign({ name: session.featureName }, session));
+        } else {
+            sessions[index] = Object.assign({}, sessions[index], session);
         }
-        else if (action.type === 'click') {
-            if (!signatures.has('ClickElementWith')) {
-                content += `
-        [When(@"I click the element with (.*?) ""(.*?)""")]
-        public void ClickElementWith(string selectorType, string selectorValue)
-        {
-            var wait = new OpenQA.Selenium.Support.UI.WebDriverWait(_driver, TimeSpan.FromSeconds(10));
-            var element = wait.Until(d => {
-                var el = GetElement(selectorType, selectorValue);
-                // Special handling for checkboxes/radios that might be hidden by custom UI
-                if (el != null && !el.Displayed && el.TagName.ToLower() == "input" && 
-                   (el.GetAttribute("type") == "checkbox" || el.GetAttribute("type") == "radio"))
-                {
-                    return el;
-                }
-                return (el != null && el.Displayed && el.Enabled) ? el : null;
-            });
+    });
+}
 
-            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
-            actions.MoveToElement(element).Perform();
-            Thread.Sleep(500);
+function createSessionId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
 
-            element.Click();
-            Thread.Sleep(500);
-        }
-`;
-                signatures.add('ClickElementWith');
-            }
-        }
-        else if (action.type === 'type') {
-            if (!signatures.has('TypeIntoElement')) {
-                content += `
-        [Then(@"I type ""(.*)"" into element with (.*?) ""(.*?)""")]
-        public void TypeIntoElement(string text, string selectorType, string selectorValue)
-        {
-            var element = GetElement(selectorType, selectorValue);
-            element.Clear();
-            element.SendKeys(text);
-            Thread.Sleep(300);
-        }
-`;
-                signatures.add('TypeIntoElement');
-            }
-        }
-        else if (action.type === 'enterkey') {
-            if (!signatures.has('TypeAndEnter')) {
-                content += `
-        [Then(@"I type ""(.*)"" and press Enter in element with (.*?) ""(.*?)""")]
-        public void TypeAndEnter(string text, string selectorType, string selectorValue)
-        {
-            var element = GetElement(selectorType, selectorValue);
-            element.Clear();
-            element.SendKeys(text);
-            element.SendKeys(Keys.Enter);
-            Thread.Sleep(1000);
-        }
-`;
-                signatures.add('TypeAndEnter');
-            }
-        }
-        else if (action.type === 'select') {
-            if (!signatures.has('SelectFromDropdown')) {
-                content += `
-        [Then(@"I select ""(.*)"" from dropdown with (.*?) ""(.*?)""")]
-        public void SelectFromDropdown(string optionText, string selectorType, string selectorValue)
-        {
-            var element = GetElement(selectorType, selectorValue);
-            var select = new SelectElement(element);
-            select.SelectByText(optionText);
-            Thread.Sleep(500);
-        }
-`;
-                signatures.add('SelectFromDropdown');
-            }
-        }
-        else if (action.type === 'checkbox') {
-            if (!signatures.has('CheckCheckbox')) {
-                content += `
-        [When(@"I check the checkbox with (.*?) ""(.*?)""")]
-        public void CheckCheckbox(string selectorType, string selectorValue)
-        {
-            var element = GetElement(selectorType, selectorValue);
-            if (!element.Selected)
-            {
-                element.Click();
-            }
-            Thread.Sleep(300);
-        }
+function getStartUrl(scenarios) {
+    const first = scenarios.length > 0 ? scenarios[0].actions.find(action => action.type === 'navigate') : null;
+    return first ? first.value : '';
+}
 
-        [When(@"I uncheck the checkbox with (.*?) ""(.*?)""")]
-        public void UncheckCheckbox(string selectorType, string selectorValue)
-        {
-            var element = GetElement(selectorType, selectorValue);
-            if (element.Selected)
-            {
-                element.Click();
-            }
-            Thread.Sleep(300);
-        }
-`;
-                signatures.add('CheckCheckbox');
-            }
-        }
-        else if (action.type === 'radio') {
-            if (!signatures.has('SelectRadioButton')) {
-                content += `
-        [When(@"I select the radio button with (.*?) ""(.*?)""")]
-        public void SelectRadioButton(string selectorType, string selectorValue)
-        {
-            var element = GetElement(selectorType, selectorValue);
-            if (!element.Selected)
-            {
-                element.Click();
-            }
-            Thread.Sleep(300);
-        }
-`;
-                signatures.add('SelectRadioButton');
+// Recordings shared as JSON are checked for the fields the generator relies on and get a
+// fresh id, so importing the same file twice keeps both copies.
+function normalizeImportedSession(raw) {
+    if (!raw || !Array.isArray(raw.scenarios)) return null;
+
+    const scenarios = raw.scenarios
+        .filter(scenario => scenario && Array.isArray(scenario.actions))
+        .map((scenario, index) => ({
+            name: typeof scenario.name === 'string' && scenario.name ? scenario.name : getDefaultScenarioName(index),
+            actions: scenario.actions.filter(action => action && typeof action.type === 'string')
+        }));
+    if (scenarios.length === 0) return null;
+
+    const featureName = typeof raw.featureName === 'string' && raw.featureName ? raw.featureName : 'MyFeature';
+    return {
+        id: createSessionId(),
+        name: typeof raw.name === 'string' && raw.name ? raw.name : featureName,
+        featureName: featureName,
+        date: typeof raw.date === 'string' ? raw.date : new Date().toISOString(),
+        startUrl: typeof raw.startUrl === 'string' ? raw.startUrl : getStartUrl(scenarios),
+        scenarios: scenarios
+    };
+}
+
+function getDefaultScenarioName(index) {
+    return index === 0 ? 'Recorded Scenario' : `Recorded Scenario ${index + 1}`;
+}
+
+function exportScenarios(scenarios, featureName, generatorOptions, existingBindings) {
+    const options = Object.assign({}, generatorOptions, { existingBindings: existingBindings || [] });
+    generateFiles(scenarios, featureName, options);
+}
+
+function generateFiles(scenarios, featureName, options) {
+    console.log('Generating files for', featureName, 'with', scenarios.length, 'scenarios', options);
+
+    const files = generateExportFiles(scenarios, featureName, options);
+    files.filter(file => file.bindings).forEach(file => rememberBindings(file.bindings, file.filename));
+    downloadFiles(files);
+}
+
+// Later exports treat the shared file's bindings as existing, so it is only emitted once.
+function rememberBindings(bindings, source) {
+    chrome.storage.local.get(['existingBindings'], (result) => {
+        const existing = result.existingBindings || [];
+        bindings.forEach(binding => {
+            if (!existing.some(known => known.pattern === binding.pattern && known.keyword === binding.keyword)) {
+                existing.push({ keyword: binding.keyword, pattern: binding.pattern, source: source });
             }
-        }
+        });
+        chrome.storage.local.set({ existingBindings: existing });
     });
+}
 
-    content += `
-        private IWebElement GetElement(string selectorType, string selectorValue)
-        {
-            By by;
-            switch (selectorType.ToLower())
-            {
-                case "id": by = By.Id(selectorValue); break;
-                case "cssselector": by = By.CssSelector(selectorValue); break;
-                case "xpath": by = By.XPath(selectorValue); break;
-                case "name": by = By.Name(selectorValue); break;
-                default: by = By.CssSelector(selectorValue); break;
-            }
-            return _driver.FindElement(by);
-        }
+function downloadFiles(files) {
+    if (files.length === 0) return;
+
+    const [file, ...remaining] = files;
+    const isFirefox = typeof browser !== 'undefined';
+
+    let url;
+    if (isFirefox) {
+        console.log('Using blob URL for Firefox');
+        url = URL.createObjectURL(new Blob([file.content], { type: 'text/plain' }));
+    } else {
+        console.log('Using data URL for Chrome');
+        url = 'data:application/octet-stream;base64,' + utf8_to_b64(file.content);
     }
-}`;
 
-    return content;
+    chrome.downloads.download({
+        url: url,
+        filename: file.filename,
+        saveAs: true
+    }, (downloadId) => {
+        if (chrome.runtime.lastError) {
+            console.error(`Download of ${file.filename} failed:`, chrome.runtime.lastError);
+            alert(`Download of ${file.filename} failed: ` + chrome.runtime.lastError.message);
+            return;
+        }
+
+        console.log(`Download of ${file.filename} started, ID:`, downloadId);
+        if (isFirefox) {
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+        }
+
+        downloadFiles(remaining);
+    });
 }
 
 function utf8_to_b64(str) {
@@ -7,8 +7,24 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
             isRecording = true;
             attachListeners();
         } else if (request.command === 'stop') {
+            releaseDropdownClick(null);
             isRecording = false;
             removeListeners();
+            sendToDialogHook('release', null);
+        } else if (request.command === 'assert') {
+            recordAssertion(request.assertion, lastContextTarget);
+        } else if (request.command === 'replayStep') {
+            // Every frame of the tab gets the step; only the one it was recorded in answers.
+            if (getFrameKey(getFramePath()) !== getFrameKey(request.action.frame)) return;
+            queueDialogAnswers(request.dialogs || []);
+            replayAction(request.action)
+                .then(() => sendResponse({ status: 'ok', dialogs: takeReplayedDialogs() }))
+                .catch(err => sendResponse({ status: 'failed', message: err.message }));
+            return true;
+        } else if (request.command === 'pickElement') {
+            startPicking();
+        } else if (request.command === 'cancelPick') {
+            stopPicking();
         }
     });
 
@@ -23,12 +39,28 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
     const lastRecordedValues = new Map();
     const lastRecordedAction = { selector: null, type: null, timestamp: 0 };
     const checkboxStates = new Map(); // Track checkbox/radio checked states
+    let lastContextTarget = null; // Element the context menu was opened on, for assertions
+    const pageObserver = new MutationObserver(handleMutations);
+    let selectorConfig = getSelectorConfig();
+    let ignoredClassPatterns = compilePatterns(selectorConfig.ignoredClassPatterns);
+    let sensitivePatterns = compilePatterns(selectorConfig.sensitivePatterns);
+
+    function applySelectorConfig(stored) {
+        selectorConfig = getSelectorConfig(stored);
+        ignoredClassPatterns = compilePatterns(selectorConfig.ignoredClassPatterns);
+        sensitivePatterns = compilePatterns(selectorConfig.sensitivePatterns);
+    }
+
+    chrome.storage.local.get(['selectorConfig'], (result) => applySelectorConfig(result.selectorConfig));
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.selectorConfig) applySelectorConfig(changes.selectorConfig.newValue);
+    });
 
     function getCssPath(el) {
         if (!(el instanceof Element)) return;
         const path = [];
         let depth = 0;
-        const maxDepth = 4;
+        const maxDepth = selectorConfig.maxCssDepth;
 
         while (el.nodeType === Node.ELEMENT_NODE && depth < maxDepth) {
             let selector = el.nodeName.toLowerCase();
@@ -39,27 +71,16 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                 break;
             }
 
-            if (el.className && typeof el.className === 'string') {
-                const classes = el.className.split(/\s+/).filter(c => c);
-                const meaningfulClass = classes.find(c =>
-                    !c.startsWith('atm_') &&
-                    !c.startsWith('css-') &&
-                    !c.startsWith('style-') &&
-                    !c.match(/^[a-z]\d+$/) &&
-                    c.length > 2 &&
-                    c.length < 30
-                );
-
-                if (meaningfulClass) {
-                    selector += '.' + meaningfulClass;
-                    path.unshift(selector);
-                    depth++;
-                    el = el.parentNode;
-                    continue;
-                }
+            const meaningfulClass = getMeaningfulClass(el);
+            if (meaningfulClass) {
+                selector += '.' + meaningfulClass;
+                path.unshift(selector);
+                depth++;
+                el = el.parentNode;
+                continue;
             }
 
-            const dataAttrs = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'role', 'aria-label'];
+            const dataAttrs = selectorConfig.testAttributes.concat('role', 'aria-label');
             let foundAttr = false;
             for (const attr of dataAttrs) {
                 if (el.hasAttribute(attr)) {
@@ -99,7 +120,7 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
 
         const tagName = element.tagName.toLowerCase();
 
-        if (['a', 'button', 'span', 'div', 'li', 'td', 'th', 'label', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tagName)) {
+        if (selectorConfig.allowTextXPath && !element.isContentEditable && ['a', 'button', 'span', 'div', 'li', 'td', 'th', 'label', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tagName)) {
             const text = element.textContent.trim();
             if (text && text.length > 0 && text.length < 50 && !text.includes('"') && !text.includes("'")) {
                 const textXPath = `//${tagName}[normalize-space()="${text}"]`;
@@ -128,30 +149,19 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
             }
         }
 
-        if (element.className && typeof element.className === 'string') {
-            const classes = element.className.split(/\s+/).filter(c => c);
-            const meaningfulClass = classes.find(c =>
-                !c.startsWith('atm_') &&
-                !c.startsWith('css-') &&
-                !c.startsWith('style-') &&
-                !c.match(/^[a-z]\d+$/) &&
-                c.length > 2 &&
-                c.length < 30
-            );
-
-            if (meaningfulClass) {
-                const classXPath = `//${tagName}[contains(@class, "${meaningfulClass}")]`;
-                try {
-                    const count = document.evaluate(`count(${classXPath})`, document, null, XPathResult.NUMBER_TYPE, null).numberValue;
-                    if (count === 1) {
-                        return classXPath;
-                    }
-                } catch (e) { }
-            }
+        const meaningfulClass = getMeaningfulClass(element);
+        if (meaningfulClass) {
+            const classXPath = `//${tagName}[contains(@class, "${meaningfulClass}")]`;
+            try {
+                const count = document.evaluate(`count(${classXPath})`, document, null, XPathResult.NUMBER_TYPE, null).numberValue;
+                if (count === 1) {
+                    return classXPath;
+                }
+            } catch (e) { }
         }
 
         const parent = element.parentElement;
-        if (parent) {
+        if (parent && selectorConfig.allowTextXPath && !parent.isContentEditable) {
             const parentText = parent.textContent.trim();
             if (parentText && parentText.length > 0 && parentText.length < 100 && !parentText.includes('"')) {
                 const siblings = Array.from(parent.children).filter(el => el.tagName === element.tagName);
@@ -187,98 +197,367 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
         return `//${tagName}`;
     }
 
-    function isUnique(selector) {
+    function isUnique(selector, root) {
         try {
-            return document.querySelectorAll(selector).length === 1;
+            return (root || document).querySelectorAll(selector).length === 1;
         } catch (e) { return false; }
     }
 
+    function getMeaningfulClass(el) {
+        if (!el.className || typeof el.className !== 'string') return null;
+        return el.className.split(/\s+/).filter(c => c).find(c =>
+            !ignoredClassPatterns.some(pattern => pattern.test(c)) &&
+            c.length > 2 &&
+            c.length < 30
+        );
+    }
+
+    // Inside shadow DOM a selector is a chain: a CSS selector for each shadow host, from the
+    // document down, then one for the element, joined by ' >>> '. Each part is unique within
+    // its own root; XPath cannot reach into shadow roots, so only CSS is used.
+    function getShadowSelector(el) {
+        const chain = [];
+        let current = el;
+        let root = current.getRootNode();
+
+        while (root instanceof ShadowRoot) {
+            chain.unshift(getCssSelectorInRoot(current, root));
+            current = root.host;
+            root = current.getRootNode();
+        }
+        chain.unshift(getCssSelectorInRoot(current, root));
+
+        return { type: 'ShadowCssSelector', value: chain.join(' >>> ') };
+    }
+
+    function getCssSelectorInRoot(el, root) {
+        const tagName = el.tagName.toLowerCase();
+        const candidates = [];
+
+        selectorConfig.testAttributes.forEach(attr => {
+            if (el.hasAttribute(attr)) candidates.push(`[${attr}="${el.getAttribute(attr)}"]`);
+        });
+        if (el.id) candidates.push('#' + CSS.escape(el.id));
+        if (el.getAttribute('name')) candidates.push(`${tagName}[name="${el.getAttribute('name')}"]`);
+        if (el.getAttribute('aria-label')) candidates.push(`${tagName}[aria-label="${el.getAttribute('aria-label')}"]`);
+        if (el.getAttribute('placeholder')) candidates.push(`${tagName}[placeholder="${el.getAttribute('placeholder')}"]`);
+
+        const meaningfulClass = getMeaningfulClass(el);
+        if (meaningfulClass) candidates.push(`${tagName}.${meaningfulClass}`);
+
+        candidates.push(getCssPath(el));
+
+        return candidates.find(candidate => candidate && isUnique(candidate, root)) || tagName;
+    }
+
     function getBestSelector(el) {
+        const candidates = getSelectorCandidates(el);
+        return candidates ? candidates[0] : null;
+    }
+
+    // Every unique selector found for the element, best first. The generated code falls
+    // back to the later ones when the first stops matching.
+    function getSelectorCandidates(el) {
         if (!el || !el.tagName) return null;
 
+        if (el.getRootNode() instanceof ShadowRoot) {
+            return [getShadowSelector(el)];
+        }
+
+        const candidates = [];
+        const add = (type, value) => {
+            if (!candidates.some(candidate => candidate.type === type && candidate.value === value)) {
+                candidates.push({ type: type, value: value });
+            }
+        };
+
         try {
-            const dataAttrs = ['data-testid', 'data-test-id', 'data-test', 'data-qa'];
-            for (const attr of dataAttrs) {
+            for (const attr of selectorConfig.testAttributes) {
                 if (el.hasAttribute(attr)) {
                     const val = el.getAttribute(attr);
                     const sel = `[${attr}="${val}"]`;
-                    if (isUnique(sel)) return { type: 'CssSelector', value: sel };
+                    if (isUnique(sel)) add('CssSelector', sel);
                 }
             }
 
             if (el.id && isUnique('#' + CSS.escape(el.id))) {
-                return { type: 'Id', value: el.id };
+                add('Id', el.id);
             }
 
             if (el.name && isUnique(`[name="${el.name}"]`)) {
-                return { type: 'Name', value: el.name };
+                add('Name', el.name);
             }
 
-            if (['BUTTON', 'A', 'LABEL', 'SPAN', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'].includes(el.tagName)) {
+            // The text of an editable element is what was typed, not what finds it.
+            if (selectorConfig.allowTextXPath && !el.isContentEditable && ['BUTTON', 'A', 'LABEL', 'SPAN', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'].includes(el.tagName)) {
                 const text = el.innerText.trim();
                 if (text && text.length < 50 && !text.includes('"') && !text.includes("'")) {
                     const xpath = `//${el.tagName.toLowerCase()}[normalize-space()="${text}"]`;
                     if (document.evaluate(`count(${xpath})`, document, null, XPathResult.NUMBER_TYPE, null).numberValue === 1) {
-                        return { type: 'XPath', value: xpath };
+                        add('XPath', xpath);
                     }
                 }
             }
 
             const ariaLabel = el.getAttribute('aria-label');
             if (ariaLabel && isUnique(`[aria-label="${ariaLabel}"]`)) {
-                return { type: 'CssSelector', value: `[aria-label="${ariaLabel}"]` };
+                add('CssSelector', `[aria-label="${ariaLabel}"]`);
             }
 
             const role = el.getAttribute('role');
             if (role && ariaLabel) {
                 const roleAriaSel = `[role="${role}"][aria-label="${ariaLabel}"]`;
                 if (isUnique(roleAriaSel)) {
-                    return { type: 'CssSelector', value: roleAriaSel };
+                    add('CssSelector', roleAriaSel);
                 }
             }
 
             const placeholder = el.getAttribute('placeholder');
             if (placeholder && isUnique(`[placeholder="${placeholder}"]`)) {
-                return { type: 'CssSelector', value: `[placeholder="${placeholder}"]` };
-            }
-
-            if (el.className && typeof el.className === 'string' && el.className.trim().length > 0) {
-                const classes = el.className.split(/\s+/).filter(c => c);
-                const meaningfulClass = classes.find(c =>
-                    !c.startsWith('atm_') &&
-                    !c.startsWith('css-') &&
-                    !c.startsWith('style-') &&
-                    !c.match(/^[a-z]\d+$/) &&
-                    c.length > 2 &&
-                    c.length < 30
-                );
-
-                if (meaningfulClass) {
-                    const classSel = '.' + meaningfulClass;
-                    if (isUnique(classSel)) return { type: 'CssSelector', value: classSel };
-                }
+                add('CssSelector', `[placeholder="${placeholder}"]`);
+            }
 
-                if (meaningfulClass) {
-                    const tagClassSel = el.tagName.toLowerCase() + '.' + meaningfulClass;
-                    if (isUnique(tagClassSel)) return { type: 'CssSelector', value: tagClassSel };
+            const meaningfulClass = getMeaningfulClass(el);
+            if (meaningfulClass) {
+                const classSel = '.' + meaningfulClass;
+                const tagClassSel = el.tagName.toLowerCase() + '.' + meaningfulClass;
+                if (isUnique(classSel)) {
+                    add('CssSelector', classSel);
+                } else if (isUnique(tagClassSel)) {
+                    add('CssSelector', tagClassSel);
                 }
             }
 
             const cssPath = getCssPath(el);
             if (cssPath && isUnique(cssPath)) {
-                return { type: 'CssSelector', value: cssPath };
+                add('CssSelector', cssPath);
             }
 
             const absXPath = getXPath(el);
             if (absXPath) {
-                return { type: 'XPath', value: absXPath };
+                add('XPath', absXPath);
             }
 
-            return { type: 'TagName', value: el.tagName.toLowerCase() };
+            if (candidates.length === 0) {
+                add('TagName', el.tagName.toLowerCase());
+            }
+            return candidates;
         }
         catch (e) {
             console.error('Error getting selector:', e);
-            return { type: 'TagName', value: el.tagName ? el.tagName.toLowerCase() : 'unknown' };
+            if (candidates.length > 0) return candidates;
+            return [{ type: 'TagName', value: el.tagName ? el.tagName.toLowerCase() : 'unknown' }];
+        }
+    }
+
+    function cleanName(text) {
+        if (!text) return '';
+        const name = text.replace(/\s+/g, ' ').replace(/["*:]/g, '').trim();
+        return name.length > 50 ? name.substring(0, 50).trim() : name;
+    }
+
+    function getElementKind(el) {
+        const role = (el.getAttribute('role') || '').toLowerCase();
+        const type = (el.type || '').toLowerCase();
+
+        if (role === 'checkbox' || role === 'switch' || type === 'checkbox') return 'checkbox';
+        if (role === 'radio' || type === 'radio') return 'radio';
+        if (role === 'combobox' || role === 'listbox' || el.tagName === 'SELECT') return 'dropdown';
+        if (role === 'link' || el.tagName === 'A') return 'link';
+        if (role === 'button' || el.tagName === 'BUTTON' || ['submit', 'button', 'reset', 'image'].includes(type)) return 'button';
+        if (role === 'textbox' || role === 'searchbox' || el.tagName === 'TEXTAREA' || el.tagName === 'INPUT' || el.isContentEditable) return 'field';
+        return 'element';
+    }
+
+    // Human-readable name for an element, roughly following how assistive technology names it.
+    // exact gives the accessible name itself, as Playwright's GetByRole matches it: not shortened
+    // or stripped of quotes, and without the name and id attributes the steps fall back on.
+    function getElementName(el, exact) {
+        const clean = exact ? normalizeText : cleanName;
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const root = el.getRootNode();
+            const text = labelledBy.split(/\s+/)
+                .map(id => root.getElementById ? root.getElementById(id) : null)
+                .filter(labelEl => labelEl)
+                .map(labelEl => labelEl.textContent)
+                .join(' ');
+            if (clean(text)) return clean(text);
+        }
+
+        if (clean(el.getAttribute('aria-label'))) return clean(el.getAttribute('aria-label'));
+
+        if (el.labels && el.labels.length > 0) {
+            const labelText = getLabelText(el.labels[0], el);
+            if (clean(labelText)) return clean(labelText);
+        }
+
+        if (clean(el.getAttribute('placeholder'))) return clean(el.getAttribute('placeholder'));
+
+        if (el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type) && clean(el.value)) {
+            return clean(el.value);
+        }
+
+        // Rich-text editors show their placeholder from an attribute, often on the empty first paragraph.
+        if (el.isContentEditable) {
+            const placeholder = el.querySelector('[data-placeholder]');
+            const text = el.getAttribute('aria-placeholder') || el.getAttribute('data-placeholder') ||
+                (placeholder && placeholder.getAttribute('data-placeholder'));
+            if (clean(text)) return clean(text);
+        }
+
+        if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) && !el.isContentEditable && clean(el.innerText)) {
+            return clean(el.innerText);
+        }
+
+        for (const attr of exact ? ['title', 'alt'] : ['title', 'alt', 'name', 'id']) {
+            if (clean(el.getAttribute(attr))) return clean(el.getAttribute(attr));
+        }
+
+        return '';
+    }
+
+    // A label wrapped around its control would otherwise include the control's own text, such as a select's options.
+    function getLabelText(label, el) {
+        return normalizeText(Array.from(label.childNodes)
+            .filter(node => node !== el && !(node.matches && node.matches('input, select, textarea')))
+            .map(node => node.textContent)
+            .join(' '));
+    }
+
+    function describeElement(el) {
+        const description = {
+            elementName: getElementName(el),
+            elementKind: getElementKind(el)
+        };
+        const frame = getFramePath();
+        if (frame.length > 0) description.frame = frame;
+        const fallbackSelectors = (getSelectorCandidates(el) || []).slice(1);
+        if (fallbackSelectors.length > 0) description.fallbackSelectors = fallbackSelectors;
+        const locatorHints = getLocatorHints(el);
+        if (locatorHints) description.locatorHints = locatorHints;
+        return description;
+    }
+
+    // Passwords, values typed into the configured sensitive fields and values matching the
+    // configured patterns never leave the page. The action keeps a name for the secret instead,
+    // taken from the field's name, which the step writes as <password>.
+    function isSensitive(field, value) {
+        return field.type === 'password' ||
+            matchesAny(field, selectorConfig.sensitiveSelectors) ||
+            sensitivePatterns.some(pattern => pattern.test(value || ''));
+    }
+
+    function maskSecret(action, field) {
+        if (!isSensitive(field, action.value)) return action;
+
+        const words = (action.elementName || field.name || field.type || '').split(/[^A-Za-z0-9]+/).filter(word => word);
+        action.secret = words.join('_').toLowerCase().slice(0, 40) || 'secret';
+        action.value = '';
+        return action;
+    }
+
+    // What Playwright's GetByTestId, GetByRole and GetByLabel need to find the element.
+    // Only hints that single the element out on the page are kept.
+    function getLocatorHints(el) {
+        const hints = {};
+        const root = el.getRootNode();
+
+        const testAttribute = selectorConfig.testAttributes.find(attr => el.getAttribute(attr));
+        if (testAttribute) {
+            const value = el.getAttribute(testAttribute);
+            if (isUnique(`[${testAttribute}="${CSS.escape(value)}"]`, root)) {
+                hints.testId = { attribute: testAttribute, value: value };
+            }
+        }
+
+        const role = getRole(el);
+        const name = getElementName(el, true);
+        if (role && name && name.length <= 80 && isUniqueByRole(el, role, name)) {
+            hints.role = role;
+            hints.name = name;
+        }
+
+        if (el.labels && el.labels.length === 1) {
+            const label = getLabelText(el.labels[0], el);
+            if (label && label.length <= 80) hints.label = label;
+        }
+
+        return Object.keys(hints).length > 0 ? hints : null;
+    }
+
+    const INPUT_ROLES = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', search: 'searchbox', number: 'spinbutton', range: 'slider',
+        text: 'textbox', email: 'textbox', tel: 'textbox', url: 'textbox'
+    };
+
+    function getRole(el) {
+        const explicit = (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+        if (explicit) return explicit.toLowerCase();
+
+        if (el.tagName === 'BUTTON') return 'button';
+        if (el.tagName === 'A' && el.hasAttribute('href')) return 'link';
+        if (el.tagName === 'SELECT') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+        if (el.tagName === 'TEXTAREA' || el.isContentEditable) return 'textbox';
+        if (/^H[1-6]$/.test(el.tagName)) return 'heading';
+        if (el.tagName === 'INPUT') return INPUT_ROLES[(el.getAttribute('type') || 'text').toLowerCase()] || null;
+        return null;
+    }
+
+    function isUniqueByRole(el, role, name) {
+        return Array.from(el.getRootNode().querySelectorAll(el.tagName))
+            .filter(other => getRole(other) === role && getElementName(other, true) === name)
+            .length === 1;
+    }
+
+    // Frames from the top document down to this one. Across origins only the index
+    // within the parent is known for the frames above this one.
+    function getFramePath() {
+        const path = [];
+        let win = window;
+
+        while (win !== win.top) {
+            const parentWin = win.parent;
+            const level = { index: getFrameIndex(win) };
+
+            try {
+                const frameElement = win.frameElement;
+                if (frameElement) {
+                    level.id = frameElement.id || '';
+                    level.name = frameElement.getAttribute('name') || '';
+                    level.src = getFrameSrc(frameElement.getAttribute('src') || '');
+                } else {
+                    level.name = win.name || '';
+                    level.src = getFrameSrc(win.location.href);
+                }
+            } catch (e) {
+                // Cross-origin window: keep the index only.
+            }
+
+            path.unshift(level);
+            win = parentWin;
+        }
+
+        return path;
+    }
+
+    function getFrameIndex(win) {
+        const frames = win.parent.frames;
+        for (let i = 0; i < frames.length; i++) {
+            if (frames[i] === win) return i;
+        }
+        return 0;
+    }
+
+    // A fragment of the frame's src that identifies it: its path, or its host for a bare domain.
+    function getFrameSrc(src) {
+        if (!src || /^(about|javascript|data|blob):/i.test(src)) return '';
+        try {
+            const url = new URL(src, document.baseURI);
+            return (url.pathname.length > 1 ? url.pathname : url.host).replace(/['"]/g, '');
+        } catch (e) {
+            return '';
         }
     }
 
@@ -295,10 +574,47 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
         return null;
     }
 
+    // Rich-text editors (TinyMCE, CKEditor, Quill, ProseMirror, chat composers) type into a
+    // contenteditable region; the outermost editable element is the field, and its text the value.
+    function getEditableRoot(el) {
+        if (!el || !el.isContentEditable) return null;
+        let root = el;
+        while (root.parentElement && root.parentElement.isContentEditable) root = root.parentElement;
+        return root;
+    }
+
+    // The editor's text keeps its line breaks; the blank line between paragraphs and the
+    // spacing around each line are dropped.
+    function getEditableText(editable) {
+        return (editable.innerText || '').split('\n')
+            .map(line => normalizeText(line))
+            .join('\n').replace(/\n{2,}/g, '\n').trim();
+    }
+
+    function recordEditableText(editable) {
+        const value = getEditableText(editable);
+        if (!value || value === lastRecordedValues.get(editable)) return;
+        lastRecordedValues.set(editable, value);
+        recordElementAction('type', editable, { value: value, contentEditable: true });
+    }
+
+    // Clicks inside an editor only place the caret; the typing step focuses the editor itself.
+    // Shift+Enter is a line break. Enter may send a chat message as well as start a paragraph,
+    // so it is kept as a key press after the text typed so far.
+    function recordEditableEvent(e, editable) {
+        const enter = e.type === 'keydown' && e.key === 'Enter' && !e.shiftKey;
+        if (e.type !== 'blur' && !enter) return;
+        recordPrecedingSteps(editable);
+        recordEditableText(editable);
+        if (enter) recordElementAction('keypress', editable, { value: 'Enter' });
+    }
+
     document.addEventListener('input', function (e) {
-        const target = e.target;
-        if (!target || !target.tagName) return;
+        const target = getEventTarget(e);
+        if (!target || !target.tagName || target.type === 'file' || target.isContentEditable) return;
         inputValues.set(target, target.value);
+        // Clicks on the field's surroundings record the value too.
+        if (isSensitive(target, target.value)) return;
         let parent = target.parentElement;
         while (parent && parent !== document.body) {
             inputValues.set(parent, target.value);
@@ -306,6 +622,119 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
         }
     }, true);
 
+    document.addEventListener('contextmenu', function (e) {
+        lastContextTarget = getEventTarget(e);
+    }, true);
+
+    // Events from inside open shadow roots are retargeted to the host; the composed path
+    // still starts at the element that was actually used.
+    function getEventTarget(e) {
+        const path = e.composedPath ? e.composedPath() : [];
+        return path.length > 0 && path[0].tagName ? path[0] : e.target;
+    }
+
+    function normalizeText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function findCheckableElement(el) {
+        if (el.type === 'checkbox' || el.type === 'radio' || el.hasAttribute('aria-checked')) return el;
+        if (el.control && ['checkbox', 'radio'].includes(el.control.type)) return el.control;
+        return el.querySelector('input[type="checkbox"], input[type="radio"], [aria-checked]') || el;
+    }
+
+    function getDefaultAssertion(el) {
+        if (el.type === 'checkbox' || el.type === 'radio' || el.hasAttribute('aria-checked') ||
+            (el.control && ['checkbox', 'radio'].includes(el.control.type))) {
+            return 'assertChecked';
+        }
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)) return 'assertValue';
+        if (normalizeText(el.innerText)) return 'assertText';
+        return 'assertVisible';
+    }
+
+    function flashElement(el) {
+        const previousOutline = el.style.outline;
+        el.style.outline = '2px solid #2ecc71';
+        setTimeout(() => { el.style.outline = previousOutline; }, 600);
+    }
+
+    function recordAssertion(assertion, el) {
+        if (!isRecording) return;
+
+        const action = { type: assertion, url: window.location.href };
+
+        if (assertion === 'assertUrl') {
+            action.value = window.location.pathname + window.location.search;
+            sendMessageSafe({ command: 'recordAction', action: action });
+            return;
+        }
+        if (assertion === 'assertTitle') {
+            action.value = document.title;
+            sendMessageSafe({ command: 'recordAction', action: action });
+            return;
+        }
+
+        if (!el || !el.tagName) return;
+
+        let target = el;
+        if (assertion === 'assertValue') target = findInputElement(el) || el;
+        if (assertion === 'assertChecked') target = findCheckableElement(el);
+        // The value would end up in the feature file; a secret is only ever typed.
+        if (assertion === 'assertValue' && isSensitive(target, target.value)) {
+            console.log('Reqnroll Recorder: Not recording the value of a sensitive field');
+            return;
+        }
+
+        const selector = getBestSelector(target);
+        if (!selector) return;
+
+        Object.assign(action, {
+            selector: selector.type,
+            selectorValue: selector.value,
+            tagName: target.tagName,
+            elementType: target.type,
+            ...describeElement(target)
+        });
+
+        if (assertion === 'assertText' || assertion === 'assertTextContains') {
+            const text = normalizeText(target.innerText);
+            const selection = normalizeText(window.getSelection().toString());
+
+            if (assertion === 'assertTextContains' && selection && text.includes(selection)) {
+                action.value = selection;
+            } else if (text.length > 100) {
+                action.type = 'assertTextContains';
+                action.value = text.substring(0, 100).trim();
+            } else {
+                action.value = text;
+            }
+        } else if (assertion === 'assertValue') {
+            action.value = target.value;
+        } else if (assertion === 'assertChecked') {
+            action.checked = target.hasAttribute('aria-checked')
+                ? target.getAttribute('aria-checked') === 'true'
+                : !!target.checked;
+        }
+
+        console.log('Reqnroll Recorder: Recording assertion', action);
+        flashElement(target);
+        recordPrecedingSteps(target);
+        sendMessageSafe({ command: 'recordAction', action: action });
+    }
+
+    // Alt+click records an assertion on the element instead of clicking it.
+    function handleAssertClick(e) {
+        if (!isRecording || !e.altKey) return;
+
+        const target = getEventTarget(e);
+        if (!target || !target.tagName || target.tagName === 'HTML' || target.tagName === 'BODY') return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        recordAssertion(getDefaultAssertion(target), target);
+    }
+
     function sendMessageSafe(message) {
         if (chrome.runtime?.id) {
             try {
@@ -320,11 +749,30 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
 
     function handleEvent(e) {
         if (!isRecording) return;
+        // The click that ends a pointer drag is part of the drag.
+        if (e.type === 'click' && Date.now() < suppressClickUntil) return;
+        if (e.type === 'click' || e.type === 'keydown') releaseDropdownClick(e);
+        if (e.type === 'keydown') {
+            lastInputTime = Date.now();
+            if (recordKeyPress(e)) return;
+        }
 
-        const target = e.target;
-        if (!target || !target.tagName || target.tagName === 'HTML' || target.tagName === 'BODY') {
+        const target = getEventTarget(e);
+        // Editors in a frame of their own make its body editable.
+        if (!target || !target.tagName || target.tagName === 'HTML' || (target.tagName === 'BODY' && !target.isContentEditable)) {
+            return;
+        }
+        if (e.type === 'click' && target.tagName === 'INPUT' && target.type === 'file') {
+            rememberFileChooser(target);
             return;
         }
+        if (target.isContentEditable) {
+            recordEditableEvent(e, getEditableRoot(target));
+            return;
+        }
+        if (e.type === 'click' && handleDropdownClick(target)) return;
+        if (e.type === 'keydown' && e.key === 'Enter' && handleDropdownEnter(target)) return;
+        if (e.type !== 'keydown' || e.key === 'Enter') recordPrecedingSteps(target);
 
         try {
             function findCheckboxInElement(element, depth = 0) {
@@ -382,7 +830,7 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                 }
 
                 if (target.tagName === 'LABEL' && target.htmlFor) {
-                    const associatedInput = document.getElementById(target.htmlFor);
+                    const associatedInput = target.getRootNode().getElementById(target.htmlFor);
                     if (associatedInput && ['checkbox', 'radio'].includes(associatedInput.type)) {
                         console.log('Reqnroll Recorder: Found associated input via label htmlFor:', associatedInput);
                         actualTarget = associatedInput;
@@ -468,7 +916,8 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                 key: e.key,
                 tagName: actualTarget.tagName,
                 elementType: actualTarget.type,
-                url: window.location.href
+                url: window.location.href,
+                ...describeElement(actualTarget)
             };
 
             if (e.type === 'blur') {
@@ -476,7 +925,7 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                     return;
                 }
 
-                if (['INPUT', 'TEXTAREA'].includes(actualTarget.tagName)) {
+                if (['INPUT', 'TEXTAREA'].includes(actualTarget.tagName) && actualTarget.type !== 'file') {
                     const currentValue = actualTarget.value;
                     const lastValue = lastRecordedValues.get(actualTarget);
 
@@ -484,7 +933,7 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                         action.type = 'type';
                         action.value = currentValue;
                         lastRecordedValues.set(actualTarget, currentValue);
-                        sendMessageSafe({ command: 'recordAction', action: action });
+                        sendMessageSafe({ command: 'recordAction', action: maskSecret(action, actualTarget) });
                     }
                 }
             }
@@ -493,7 +942,10 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                     return;
                 }
 
-                if (actualTarget.tagName === 'SELECT') {
+                if (actualTarget.type === 'file') {
+                    recordUpload(actualTarget, Array.from(actualTarget.files || []), fileChooserOpeners.get(actualTarget));
+                }
+                else if (actualTarget.tagName === 'SELECT') {
                     action.type = 'select';
                     action.value = actualTarget.value;
                     const selectedOption = actualTarget.options[actualTarget.selectedIndex];
@@ -532,7 +984,8 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                                 checked: isChecked,
                                 tagName: actualTarget.tagName,
                                 elementType: actualTarget.type,
-                                url: window.location.href
+                                url: window.location.href,
+                                ...describeElement(actualTarget)
                             };
 
                             sendMessageSafe({ command: 'recordAction', action: checkAction });
@@ -552,39 +1005,41 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                     console.log('Reqnroll Recorder: Checking for uncommitted input before click on', actualTarget.tagName);
 
                     const activeElement = document.activeElement;
-                    if (activeElement &&
+                    if (activeElement && activeElement.type !== 'file' &&
                         (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) {
 
                         const currentValue = activeElement.value;
                         const lastValue = lastRecordedValues.get(activeElement);
 
                         console.log('Reqnroll Recorder: Active input found:', {
-                            value: currentValue,
-                            lastRecorded: lastValue,
-                            willRecord: currentValue && currentValue !== lastValue
+                            willRecord: !!currentValue && currentValue !== lastValue
                         });
 
                         if (currentValue && currentValue !== lastValue) {
                             const inputSelector = getBestSelector(activeElement);
                             if (inputSelector) {
-                                console.log('Reqnroll Recorder: Recording input value before click:', currentValue);
+                                console.log('Reqnroll Recorder: Recording input value before click');
                                 sendMessageSafe({
                                     command: 'recordAction',
-                                    action: {
+                                    action: maskSecret({
                                         type: 'type',
                                         selector: inputSelector.type,
                                         selectorValue: inputSelector.value,
                                         value: currentValue,
                                         tagName: activeElement.tagName,
                                         elementType: activeElement.type,
-                                        url: window.location.href
-                                    }
+                                        url: window.location.href,
+                                        ...describeElement(activeElement)
+                                    }, activeElement)
                                 });
                                 lastRecordedValues.set(activeElement, currentValue);
                             }
                         }
                     }
 
+                    const activeEditable = getEditableRoot(activeElement);
+                    if (activeEditable) recordEditableText(activeEditable);
+
                     const allInputs = document.querySelectorAll('input[type="text"], input[type="search"], input[type="email"], input[type="password"], textarea');
                     allInputs.forEach(input => {
                         const currentValue = input.value;
@@ -593,18 +1048,19 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                         if (currentValue && currentValue !== lastValue && input !== activeElement) {
                             const inputSelector = getBestSelector(input);
                             if (inputSelector) {
-                                console.log('Reqnroll Recorder: Found uncommitted input field:', currentValue);
+                                console.log('Reqnroll Recorder: Found uncommitted input field');
                                 sendMessageSafe({
                                     command: 'recordAction',
-                                    action: {
+                                    action: maskSecret({
                                         type: 'type',
                                         selector: inputSelector.type,
                                         selectorValue: inputSelector.value,
                                         value: currentValue,
                                         tagName: input.tagName,
                                         elementType: input.type,
-                                        url: window.location.href
-                                    }
+                                        url: window.location.href,
+                                        ...describeElement(input)
+                                    }, input)
                                 });
                                 lastRecordedValues.set(input, currentValue);
                             }
@@ -613,6 +1069,7 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                 }
 
                 action.value = inputValues.get(actualTarget) || null;
+                if (isSensitive(actualTarget, action.value)) action.value = null;
                 sendMessageSafe({ command: 'recordAction', action: action });
 
                 lastRecordedAction.selector = selectorKey;
@@ -623,7 +1080,7 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
                 action.type = 'enterkey';
                 action.value = inputValues.get(target) || (inputEl ? inputEl.value : target.value);
                 lastRecordedValues.set(target, action.value);
-                sendMessageSafe({ command: 'recordAction', action: action });
+                sendMessageSafe({ command: 'recordAction', action: maskSecret(action, inputEl || target) });
             }
         }
         catch (error) {
@@ -631,24 +1088,938 @@ if (typeof browser !== 'undefined') globalThis.chrome = browser;
         }
     }
 
+    // Hovers, double- and right-clicks, drag-and-drop and scrolling. A hover is only worth a
+    // step when it reveals something (a menu, say) that a later action uses, and scrolling
+    // only when it loads the element an action uses; both are recorded just before that action.
+    const HOVER_DWELL = 600;
+    const DRAG_DISTANCE = 10;
+    const SCROLL_LOAD_TIME = 3000;
+    let hoverCandidate = null;
+    let pendingHovers = [];
+    let hoverRules = null;
+    let lazyElements = new WeakSet();
+    let lastScrollTime = 0;
+    let lastInputTime = 0;
+    let dragSource = null;
+    let pointerDrag = null;
+    let suppressClickUntil = 0;
+
+    function recordElementAction(type, el, details) {
+        const selector = getBestSelector(el);
+        if (!selector) return;
+
+        const action = Object.assign({
+            type: type,
+            selector: selector.type,
+            selectorValue: selector.value,
+            tagName: el.tagName,
+            elementType: el.type,
+            url: window.location.href,
+            ...describeElement(el)
+        }, details);
+        if (type === 'type') maskSecret(action, el);
+        console.log('Reqnroll Recorder: Recording', type, action);
+        sendMessageSafe({ command: 'recordAction', action: action });
+    }
+
+    // File inputs record the names of the chosen files; the generated code takes files of those
+    // names from the test data folder. Drop zones and labels open the file chooser by passing
+    // their click on to the input right away, and that click gives way to the upload step.
+    const fileChooserOpeners = new WeakMap();
+    let lastUpload = null;
+
+    function rememberFileChooser(input) {
+        const passedOn = lastRecordedAction.type === 'click' && Date.now() - lastRecordedAction.timestamp < 1000;
+        fileChooserOpeners.set(input, passedOn ? lastRecordedAction.selector : null);
+    }
+
+    function recordUpload(input, files, opener) {
+        if (files.length === 0) return;
+        const value = files.map(file => file.name).join(', ');
+        // Drop zones often hand dropped files to their input and fire its change event as well.
+        if (lastUpload && lastUpload.input === input && lastUpload.value === value && Date.now() - lastUpload.time < 1000) return;
+        lastUpload = { input: input, value: value, time: Date.now() };
+
+        recordElementAction('upload', input, {
+            value: value,
+            fileCount: files.length,
+            accept: input.accept || null,
+            opener: opener || null
+        });
+    }
+
+    // The input behind a drop zone is usually inside it, or next to it.
+    function findFileInput(el) {
+        for (let level = 0; el && level < 5; level++, el = el.parentElement) {
+            if (el.matches('input[type="file"]')) return el;
+            const input = el.querySelector('input[type="file"]');
+            if (input) return input;
+        }
+        return null;
+    }
+
+    // Custom dropdowns (React-Select, MUI, Ant Design, Select2, Choices, Vue Select and ARIA
+    // comboboxes) list options that are no <option> elements. The click that opens one is held
+    // back, and picking an option records a single select step against the control, with the
+    // text typed to filter the options, if any. generator.js finds the options the same way.
+    const DROPDOWN_CONTROLS = ['[role="combobox"]', '[aria-haspopup="listbox"]', '.react-select__control', '.MuiSelect-select',
+        '.MuiAutocomplete-inputRoot', '.ant-select-selector', '.select2-selection', '.choices__inner', '.vs__dropdown-toggle'].join(', ');
+    const DROPDOWN_OPTIONS = ['[role="option"]', '.react-select__option', '[id^="react-select-"][id*="-option-"]', '.MuiAutocomplete-option',
+        '.MuiMenuItem-root', '.ant-select-item-option', '.select2-results__option', '.choices__item--choice', '.vs__dropdown-option'].join(', ');
+    let openedDropdown = null;
+
+    function findDropdownControl(el) {
+        const control = el.closest(DROPDOWN_CONTROLS);
+        return control && control.tagName !== 'SELECT' ? control : null;
+    }
+
+    // The options are often rendered elsewhere in the page; a control that was not clicked open
+    // points at them with aria-controls or aria-owns while it is expanded.
+    function findOptionControl(option) {
+        if (openedDropdown && openedDropdown.isConnected) return openedDropdown;
+        const list = option.closest('[role="listbox"]');
+        if (!list || !list.id) return null;
+        const id = CSS.escape(list.id);
+        const control = document.querySelector(`[aria-controls~="${id}"], [aria-owns~="${id}"]`);
+        return control && control.getAttribute('aria-expanded') === 'true' ? control : null;
+    }
+
+    // A click elsewhere or Escape closes the dropdown without a pick, and a control may only have
+    // opened a menu: the click that opened it is recorded after all, so the test opens it too.
+    function releaseDropdownClick(e) {
+        if (!openedDropdown) return;
+        const target = e && getEventTarget(e);
+        if (e && e.type === 'click' && target && target.closest && target.closest(DROPDOWN_OPTIONS)) return;
+        if (e && e.type === 'keydown' && e.key !== 'Escape') return;
+
+        const control = openedDropdown;
+        openedDropdown = null;
+        if (control.isConnected) recordElementAction('click', control);
+    }
+
+    // Returns whether the click was taken care of. Options of a list that no control opened,
+    // such as a listbox always shown, stay plain clicks.
+    function handleDropdownClick(target) {
+        const option = target.closest(DROPDOWN_OPTIONS);
+        if (!option) {
+            openedDropdown = findDropdownControl(target);
+            return !!openedDropdown;
+        }
+        const control = findOptionControl(option);
+        openedDropdown = null;
+        if (!control) return false;
+        recordDropdownOption(control, option);
+        return true;
+    }
+
+    // Picking with the arrow keys and Enter: the control points at the highlighted option.
+    function handleDropdownEnter(target) {
+        const control = findDropdownControl(target);
+        const optionId = control && (target.getAttribute('aria-activedescendant') || control.getAttribute('aria-activedescendant'));
+        const option = optionId && document.getElementById(optionId);
+        if (!option) return false;
+        openedDropdown = null;
+        recordDropdownOption(control, option);
+        return true;
+    }
+
+    function recordDropdownOption(control, option) {
+        const optionText = normalizeText(option.innerText || option.textContent);
+        const input = control.tagName === 'INPUT' ? control : control.querySelector('input:not([type="hidden"])');
+        const details = { value: optionText, selectedText: optionText, customDropdown: true, elementKind: 'dropdown' };
+        // The control itself often shows the current value; its input has the label.
+        const name = input ? getElementName(input) : null;
+        if (name) details.elementName = name;
+
+        if (input && input.value && inputValues.get(input) === input.value) {
+            details.filterText = input.value;
+            const field = getBestSelector(input);
+            if (field) details.filterField = `${field.type}:${field.value}`;
+        }
+        // Once the option is picked, the input shows its text or nothing, which is no typing to record.
+        if (input) setTimeout(() => lastRecordedValues.set(input, input.value), 0);
+
+        recordPrecedingSteps(control);
+        recordElementAction('select', control, details);
+    }
+
+    // Native dialogs block the page and never reach the DOM, so dialog-hook.js reports them from
+    // the page's world. The steps after the action that opened one check its message and answer it.
+    // The hook's events are named after the nonce of the recording or replay it was injected for.
+    let dialogChannel = null;
+    let replayedDialogs = null;
+
+    function listenToDialogHook(channel) {
+        if (dialogChannel) window.removeEventListener(`reqnroll-recorder-dialog-${dialogChannel}`, handleDialog);
+        // A hook from an earlier recording moves on to the new nonce.
+        if (dialogChannel && channel && channel !== dialogChannel) sendToDialogHook('rekey', channel);
+        dialogChannel = channel || null;
+        if (dialogChannel) window.addEventListener(`reqnroll-recorder-dialog-${dialogChannel}`, handleDialog);
+    }
+
+    chrome.storage.local.get(['dialogChannel'], (result) => listenToDialogHook(result.dialogChannel));
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.dialogChannel) listenToDialogHook(changes.dialogChannel.newValue);
+    });
+
+    function handleDialog(e) {
+        const dialog = JSON.parse(e.detail);
+        if (isRecording) recordDialog(dialog);
+        if (replayedDialogs) replayedDialogs.push({ message: normalizeText(dialog.message) });
+    }
+
+    function sendToDialogHook(name, detail) {
+        if (dialogChannel) window.dispatchEvent(new CustomEvent(`reqnroll-recorder-${name}-${dialogChannel}`, { detail: detail }));
+    }
+
+    function recordDialog(dialog) {
+        const message = normalizeText(dialog.message);
+        const details = { url: window.location.href, dialogType: dialog.dialogType, message: message };
+        const frame = getFramePath();
+        if (frame.length > 0) details.frame = frame;
+
+        const answer = dialog.accepted
+            ? { type: 'acceptDialog', value: dialog.dialogType === 'prompt' ? dialog.value : null }
+            : { type: 'dismissDialog' };
+        console.log('Reqnroll Recorder: Recording', dialog.dialogType, message);
+        sendMessageSafe({ command: 'recordAction', action: Object.assign({ type: 'assertDialog', value: message }, details) });
+        sendMessageSafe({ command: 'recordAction', action: Object.assign(answer, details) });
+    }
+
+    function isUsable(el) {
+        return el && el.tagName && el.tagName !== 'HTML' && el.tagName !== 'BODY';
+    }
+
+    function handleMutations(mutations) {
+        const loadedByScrolling = lastScrollTime > lastInputTime && Date.now() - lastScrollTime < SCROLL_LOAD_TIME;
+        const dwelling = hoverCandidate && hoverCandidate.timer !== null;
+        mutations.forEach(mutation => {
+            if (mutation.type === 'childList') {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    if (loadedByScrolling) lazyElements.add(node);
+                    if (dwelling) hoverCandidate.changed.push(node);
+                });
+            } else if (dwelling && !mutation.target.contains(hoverCandidate.element)) {
+                // Changes to the hovered element and its ancestors are mostly hover styling.
+                hoverCandidate.changed.push(mutation.target);
+            }
+        });
+    }
+
+    function getHoverTarget(el) {
+        return el.closest('a, button, summary, li, [role="menuitem"], [role="button"], [aria-haspopup]') || el;
+    }
+
+    // What hovering el might show, such as a submenu inside it or next to it.
+    function getNearbyElements(el) {
+        const nearby = Array.from(el.querySelectorAll('*'));
+        for (let sibling = el.nextElementSibling; sibling; sibling = sibling.nextElementSibling) {
+            nearby.push(sibling);
+        }
+        return nearby.length > 300 ? [] : nearby;
+    }
+
+    // Selectors of the page's style rules that show or hide an element on :hover, with the
+    // :hover taken out. Menus styled this way open before any listener sees the mouse.
+    function getHoverRuleSelectors() {
+        if (hoverRules && hoverRules.sheetCount === document.styleSheets.length) return hoverRules.selectors;
+
+        const selectors = [];
+        const collect = rules => Array.from(rules).forEach(rule => {
+            if (rule.selectorText) {
+                if (rule.selectorText.includes(':hover') && (rule.style.display || rule.style.visibility)) {
+                    selectors.push(rule.selectorText.replace(/:hover/g, ''));
+                }
+            } else if (rule.cssRules) {
+                collect(rule.cssRules);
+            }
+        });
+        Array.from(document.styleSheets).forEach(sheet => {
+            try {
+                collect(sheet.cssRules);
+            } catch (e) {
+                // Style sheets from other origins cannot be read.
+            }
+        });
+
+        hoverRules = { sheetCount: document.styleSheets.length, selectors: selectors };
+        return selectors;
+    }
+
+    // Distance between the boxes of two elements; 0 when they overlap.
+    function getGap(el, other) {
+        const a = el.getBoundingClientRect();
+        const b = other.getBoundingClientRect();
+        return Math.max(a.left - b.right, b.left - a.right, a.top - b.bottom, b.top - a.bottom, 0);
+    }
+
+    function matchesAny(el, selectors) {
+        return selectors.some(selector => {
+            try {
+                return el.matches(selector);
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    function handleMouseOver(e) {
+        const target = getEventTarget(e);
+        if (!isUsable(target)) return;
+
+        const element = getHoverTarget(target);
+        if (hoverCandidate && hoverCandidate.element === element) return;
+
+        if (hoverCandidate) clearTimeout(hoverCandidate.timer);
+        const nearby = getNearbyElements(element);
+        hoverCandidate = {
+            element: element,
+            nearby: nearby,
+            // Menus opened by the page's own listeners are still closed at this point.
+            hidden: nearby.filter(el => !isVisible(el)),
+            changed: [],
+            timer: setTimeout(checkHover, HOVER_DWELL)
+        };
+    }
+
+    function checkHover() {
+        const candidate = hoverCandidate;
+        candidate.timer = null;
+        const hoverRuleSelectors = getHoverRuleSelectors();
+        // Elsewhere on the page, a carousel or a live feed may be changing at the same time.
+        const changedNearby = candidate.changed.filter(el => el.isConnected && getGap(el, candidate.element) < 50);
+        const revealed = candidate.hidden
+            .concat(changedNearby)
+            .concat(candidate.nearby.filter(el => matchesAny(el, hoverRuleSelectors)))
+            .filter(el => el !== candidate.element && el.isConnected && isVisible(el));
+        if (revealed.length === 0) return;
+
+        pendingHovers = pendingHovers
+            .filter(hover => hover.element !== candidate.element)
+            .concat({ element: candidate.element, revealed: revealed })
+            .slice(-5);
+    }
+
+    function isLazilyLoaded(el) {
+        for (let node = el; node; node = node.parentElement) {
+            if (lazyElements.has(node)) return true;
+        }
+        return false;
+    }
+
+    // Records what made el reachable: scrolling to lazily loaded content and the chain of
+    // hovers (a menu, then its submenu) that revealed it.
+    function recordPrecedingSteps(el) {
+        const needed = [];
+        let reached = el;
+        for (let i = pendingHovers.length - 1; i >= 0; i--) {
+            const hover = pendingHovers[i];
+            if (hover.element !== el && hover.revealed.some(revealed => revealed.contains(reached))) {
+                needed.unshift(hover);
+                reached = hover.element;
+            }
+        }
+        pendingHovers = pendingHovers.filter(hover =>
+            !needed.includes(hover) && hover.revealed.some(revealed => revealed.isConnected && isVisible(revealed)));
+
+        if (isLazilyLoaded(reached)) {
+            recordElementAction('scrollTo', reached);
+            // Scrolling there in the test loads everything loaded so far.
+            lazyElements = new WeakSet();
+        }
+        needed.forEach(hover => recordElementAction('hover', hover.element));
+    }
+
+    function handleScroll() {
+        lastScrollTime = Date.now();
+    }
+
+    function handleDoubleClick(e) {
+        if (!isRecording) return;
+
+        const target = getEventTarget(e);
+        // Double-clicking a field selects a word; the typing is recorded on its own.
+        if (!isUsable(target) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable) return;
+
+        recordPrecedingSteps(target);
+        recordElementAction('doubleClick', target);
+    }
+
+    // Only a page with a context menu of its own cancels the browser's, which otherwise is
+    // where assertions are picked from.
+    function handleContextMenu(e) {
+        if (!isRecording) return;
+
+        const target = getEventTarget(e);
+        if (!isUsable(target)) return;
+
+        setTimeout(() => {
+            if (!e.defaultPrevented || !isRecording) return;
+            recordPrecedingSteps(target);
+            recordElementAction('rightClick', target);
+        }, 0);
+    }
+
+    function recordDragAndDrop(source, target) {
+        const targetSelector = getBestSelector(target);
+        if (!targetSelector) return;
+
+        // The drop target is in the same frame as the element dragged onto it.
+        const { frame, ...targetDescription } = describeElement(target);
+        recordPrecedingSteps(source);
+        recordElementAction('dragAndDrop', source, {
+            target: {
+                selector: targetSelector.type,
+                selectorValue: targetSelector.value,
+                tagName: target.tagName,
+                elementType: target.type,
+                url: window.location.href,
+                ...targetDescription
+            }
+        });
+    }
+
+    function handleDragStart(e) {
+        pointerDrag = null;
+        const source = getEventTarget(e);
+        dragSource = source.closest ? (source.closest('[draggable="true"]') || source) : null;
+    }
+
+    function handleDrop(e) {
+        const source = dragSource;
+        dragSource = null;
+        const target = getEventTarget(e);
+        const files = e.dataTransfer ? Array.from(e.dataTransfer.files) : [];
+        if (files.length > 0) {
+            const input = isRecording && isUsable(target) ? findFileInput(target) : null;
+            if (input) recordUpload(input, files, null);
+            return;
+        }
+        if (!isRecording || !isUsable(source) || !isUsable(target) || source.contains(target)) return;
+
+        recordDragAndDrop(source, target);
+    }
+
+    // Drag libraries that follow the mouse instead of using HTML5 drag-and-drop: the button
+    // goes down on one element and comes up over another without text being selected.
+    function handleMouseDown(e) {
+        lastInputTime = Date.now();
+        pointerDrag = null;
+        const source = getEventTarget(e);
+        if (e.button !== 0 || !isUsable(source) || ['INPUT', 'TEXTAREA', 'SELECT', 'OPTION'].includes(source.tagName) ||
+            source.isContentEditable) {
+            return;
+        }
+        // A press on a scrollbar lands on the scrolled element, outside its content.
+        if (source.clientWidth && (e.offsetX > source.clientWidth || e.offsetY > source.clientHeight)) return;
+
+        pointerDrag = { element: source, x: e.clientX, y: e.clientY };
+    }
+
+    function handleMouseUp(e) {
+        const drag = pointerDrag;
+        pointerDrag = null;
+        if (!isRecording || !drag || e.button !== 0) return;
+        if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < DRAG_DISTANCE) return;
+        if (!window.getSelection().isCollapsed) return;
+
+        // The element that follows the mouse usually ignores pointer events; if not, it is the
+        // dragged element or one of its parts.
+        const target = document.elementsFromPoint(e.clientX, e.clientY)
+            .find(el => !drag.element.contains(el) && !el.contains(drag.element));
+        if (!isUsable(target)) return;
+
+        suppressClickUntil = Date.now() + 500;
+        recordDragAndDrop(drag.element, target);
+    }
+
+    // Keys other than Enter and keyboard shortcuts become keypress actions, written like
+    // "Control+Shift+S": the modifiers, then the key by its KeyboardEvent.key name, with Space
+    // and Plus for ' ' and '+' so a + only ever separates keys.
+    const SPECIAL_KEYS = ['Enter', 'Tab', 'Escape', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+        'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'];
+    // Inside a field these only edit the text or move the caret; the value is recorded instead.
+    const TEXT_EDITING_KEYS = ['Backspace', 'Delete', 'Home', 'End', 'ArrowLeft', 'ArrowRight', 'A', 'C', 'V', 'X', 'Y', 'Z'];
+    const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'];
+
+    function isTextField(el) {
+        if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+        return el.tagName === 'INPUT' &&
+            !['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'range', 'color'].includes(el.type);
+    }
+
+    function describeKeyPress(e, el) {
+        if (e.isComposing || MODIFIER_KEYS.includes(e.key) || e.getModifierState('AltGraph')) return null;
+
+        // In a field, Alt (Option on a Mac) with a letter types a character of another script.
+        const shortcut = e.ctrlKey || e.metaKey || (e.altKey && !isTextField(el));
+        let key = e.key;
+        if (key.length === 1) {
+            // Without a modifier it is typing.
+            if (!shortcut) return null;
+            key = key === ' ' ? 'Space' : (key === '+' ? 'Plus' : key.toUpperCase());
+        } else if (!SPECIAL_KEYS.includes(key)) {
+            return null;
+        }
+
+        // Enter on its own keeps its enterkey action; Shift+Enter is a line break.
+        if (key === 'Enter' && !shortcut) return null;
+        if (isTextField(el) && TEXT_EDITING_KEYS.includes(key)) return null;
+        // A dropdown's arrow keys change its value, which is recorded as the option selected.
+        if ((el.tagName === 'SELECT' || el.getAttribute('role') === 'combobox') && key.startsWith('Arrow')) return null;
+
+        const modifiers = [];
+        if (e.ctrlKey) modifiers.push('Control');
+        if (e.altKey) modifiers.push('Alt');
+        if (e.shiftKey) modifiers.push('Shift');
+        if (e.metaKey) modifiers.push('Meta');
+        return modifiers.concat(key).join('+');
+    }
+
+    // A key pressed in a field is recorded against it; any other goes to whatever has focus
+    // when the test runs, as it did here.
+    function recordKeyPress(e) {
+        const target = getEventTarget(e);
+        if (!target || !target.tagName) return false;
+        const keys = describeKeyPress(e, target);
+        if (!keys) return false;
+
+        const candidate = getEditableRoot(target) || target;
+        const field = isTextField(candidate) && getBestSelector(candidate) ? candidate : null;
+        if (!field) {
+            console.log('Reqnroll Recorder: Recording keypress', keys);
+            sendMessageSafe({ command: 'recordAction', action: { type: 'keypress', value: keys, url: window.location.href } });
+            return true;
+        }
+
+        recordPrecedingSteps(field);
+        // Tab and the like leave the field before its blur records the value typed.
+        if (field.isContentEditable) {
+            recordEditableText(field);
+        } else if (field.value && field.value !== lastRecordedValues.get(field)) {
+            recordElementAction('type', field, { value: field.value });
+            lastRecordedValues.set(field, field.value);
+        }
+        recordElementAction('keypress', field, { value: keys });
+        return true;
+    }
+
+    // Replay: the background script sends the recorded steps one at a time. The element must
+    // be the only match for its selector within the wait; it is scrolled to, outlined and used
+    // the way the recorded action used it.
+    const REPLAY_TIMEOUT = 5000;
+    let pickHighlight = null;
+
+    function getFrameKey(frame) {
+        return (frame || []).map(level =>
+            level.id || level.name || (level.src ? `src=${level.src}` : `index=${level.index || 0}`)).join(' > ');
+    }
+
+    function findAllBySelector(selectorType, selectorValue) {
+        switch ((selectorType || '').toLowerCase()) {
+            case 'id': return Array.from(document.querySelectorAll('#' + CSS.escape(selectorValue)));
+            case 'name': return Array.from(document.querySelectorAll(`[name="${CSS.escape(selectorValue)}"]`));
+            case 'xpath': {
+                const result = document.evaluate(selectorValue, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                return Array.from({ length: result.snapshotLength }, (_, i) => result.snapshotItem(i));
+            }
+            case 'shadowcssselector': {
+                const parts = selectorValue.split(' >>> ');
+                let root = document;
+                for (const part of parts.slice(0, -1)) {
+                    const hosts = root.querySelectorAll(part);
+                    if (hosts.length !== 1 || !hosts[0].shadowRoot) return [];
+                    root = hosts[0].shadowRoot;
+                }
+                return Array.from(root.querySelectorAll(parts[parts.length - 1]));
+            }
+            default: return Array.from(document.querySelectorAll(selectorValue));
+        }
+    }
+
+    // Retries check until it returns a result with passed set, or the wait runs out.
+    function waitForCheck(check) {
+        const deadline = Date.now() + REPLAY_TIMEOUT;
+        return new Promise((resolve, reject) => {
+            const attempt = () => {
+                let result;
+                try {
+                    result = check();
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                if (result.passed) resolve(result);
+                else if (Date.now() > deadline) reject(new Error(result.message));
+                else setTimeout(attempt, 100);
+            };
+            attempt();
+        });
+    }
+
+    // whileMissing is called on each attempt that finds nothing, e.g. to scroll lazy content in.
+    function findReplayElement(action, whileMissing) {
+        const locator = `${action.selector} "${action.selectorValue}"`;
+        return waitForCheck(() => {
+            let matches;
+            try {
+                matches = findAllBySelector(action.selector, action.selectorValue);
+            } catch (e) {
+                throw new Error(`${locator} is not a valid selector`);
+            }
+            if (matches.length === 0 && whileMissing) whileMissing();
+            return {
+                passed: matches.length === 1,
+                element: matches[0],
+                message: matches.length === 0
+                    ? `No element matches ${locator}`
+                    : `${matches.length} elements match ${locator}; it must match exactly one`
+            };
+        }).then(result => result.element);
+    }
+
+    function dispatchMouseEvents(el, types, options) {
+        const rect = el.getBoundingClientRect();
+        const init = Object.assign({ cancelable: true, composed: true, view: window, clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 }, options);
+        types.forEach(type => {
+            const EventType = type.startsWith('pointer') ? PointerEvent : MouseEvent;
+            el.dispatchEvent(new EventType(type, Object.assign({ bubbles: !type.endsWith('enter') }, init)));
+        });
+    }
+
+    // Elements marked draggable get the events of HTML5 drag-and-drop, others those of a mouse drag.
+    function dispatchDrag(source, target) {
+        if (source.draggable) {
+            const dataTransfer = new DataTransfer();
+            const fire = (el, type) => el.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, composed: true, dataTransfer: dataTransfer }));
+            fire(source, 'dragstart');
+            fire(target, 'dragenter');
+            fire(target, 'dragover');
+            fire(target, 'drop');
+            fire(source, 'dragend');
+            return;
+        }
+        dispatchMouseEvents(source, ['pointerdown', 'mousedown']);
+        dispatchMouseEvents(target, ['pointermove', 'mousemove', 'pointerup', 'mouseup'], { buttons: 1 });
+    }
+
+    function setFieldValue(el, value) {
+        const field = findInputElement(el) || el;
+        field.focus();
+        if (field.tagName === 'INPUT' || field.tagName === 'TEXTAREA') {
+            // React and similar libraries track the value through the prototype's setter.
+            const prototype = field.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+            Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+        } else if (field.isContentEditable) {
+            // Editors keep a model of their content, which they update from the input events of typing.
+            field.ownerDocument.getSelection().selectAllChildren(field);
+            field.ownerDocument.execCommand('insertText', false, value);
+            return field;
+        } else {
+            field.textContent = value;
+        }
+        field.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+        return field;
+    }
+
+    // The replay cannot read files from disk; empty files with the recorded names show whether
+    // the input is found and the page accepts them.
+    function setFiles(input, names) {
+        const transfer = new DataTransfer();
+        names.forEach(name => transfer.items.add(new File([], name)));
+        input.files = transfer.files;
+        input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function pressEnter(field) {
+        const init = { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true, cancelable: true, composed: true };
+        const notCancelled = field.dispatchEvent(new KeyboardEvent('keydown', init));
+        field.dispatchEvent(new KeyboardEvent('keyup', init));
+        // Synthetic key events do not submit forms by themselves.
+        if (notCancelled && field.form) field.form.requestSubmit();
+    }
+
+    // Page scripts see the keys; the browser itself does not act on synthetic key events, so
+    // Tab does not move the focus.
+    function pressKeys(el, keys) {
+        const names = keys.split('+').map(name => ({ Space: ' ', Plus: '+' })[name] || name);
+        const key = names.pop();
+        const init = {
+            key: key.length === 1 && !names.includes('Shift') ? key.toLowerCase() : key,
+            ctrlKey: names.includes('Control'),
+            altKey: names.includes('Alt'),
+            shiftKey: names.includes('Shift'),
+            metaKey: names.includes('Meta'),
+            bubbles: true,
+            cancelable: true,
+            composed: true
+        };
+        el.dispatchEvent(new KeyboardEvent('keydown', init));
+        el.dispatchEvent(new KeyboardEvent('keyup', init));
+    }
+
+    // A secret's value was never recorded, so the replay waits for it to be typed into the field.
+    const SECRET_TIMEOUT = 120000;
+
+    function waitForSecret(el, action) {
+        const field = findInputElement(el) || el;
+        const placeholder = field.getAttribute('placeholder');
+        field.setAttribute('placeholder', `Type <${action.secret}> to continue the replay`);
+        field.focus();
+
+        return new Promise((resolve, reject) => {
+            const finish = (error) => {
+                clearTimeout(timer);
+                field.removeEventListener('change', onChange);
+                if (placeholder === null) field.removeAttribute('placeholder');
+                else field.setAttribute('placeholder', placeholder);
+                if (error) reject(error);
+                else resolve();
+            };
+            const onChange = () => finish();
+            const timer = setTimeout(() => finish(new Error(`The secret <${action.secret}> was not typed into the field.`)), SECRET_TIMEOUT);
+            field.addEventListener('change', onChange);
+        });
+    }
+
+    function isChecked(el) {
+        return el.hasAttribute('aria-checked') && el.tagName !== 'INPUT'
+            ? el.getAttribute('aria-checked') === 'true'
+            : !!el.checked;
+    }
+
+    function selectDropdownOption(control, action) {
+        dispatchMouseEvents(control, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click']);
+        if (action.filterText) {
+            const active = document.activeElement;
+            const input = active && active.tagName === 'INPUT' ? active : control.querySelector('input:not([type="hidden"])');
+            setFieldValue(input || control, action.filterText);
+        }
+        const text = normalizeText(action.selectedText);
+        return waitForCheck(() => {
+            const option = Array.from(document.querySelectorAll(DROPDOWN_OPTIONS))
+                .find(candidate => isVisible(candidate) && normalizeText(candidate.innerText) === text);
+            return { passed: !!option, element: option, message: `The dropdown shows no option "${action.selectedText}"` };
+        }).then(result => dispatchMouseEvents(result.element, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click']));
+    }
+
+    function isVisible(el) {
+        return el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+    }
+
+    function checkAssertion(action, el) {
+        switch (action.type) {
+            case 'assertVisible':
+                return { passed: isVisible(el), message: 'The element is not visible' };
+            case 'assertText': {
+                const text = normalizeText(el.innerText);
+                return { passed: text === action.value, message: `Expected text "${action.value}" but found "${text}"` };
+            }
+            case 'assertTextContains': {
+                const text = normalizeText(el.innerText);
+                return { passed: text.includes(action.value), message: `Expected "${text}" to contain "${action.value}"` };
+            }
+            case 'assertValue': {
+                const value = (findInputElement(el) || el).value;
+                return { passed: value === action.value, message: `Expected value "${action.value}" but found "${value}"` };
+            }
+            case 'assertChecked':
+                return { passed: isChecked(el) === !!action.checked, message: `Expected the element to be ${action.checked ? 'checked' : 'unchecked'}` };
+            case 'assertUrl':
+                return { passed: window.location.href.includes(action.value), message: `Expected the URL "${window.location.href}" to contain "${action.value}"` };
+            case 'assertTitle':
+                return { passed: document.title === action.value, message: `Expected the title "${action.value}" but found "${document.title}"` };
+        }
+        return { passed: true };
+    }
+
+    // The answers to the dialogs the next steps expect are queued before the step that opens them.
+    function queueDialogAnswers(answers) {
+        if (!replayedDialogs) replayedDialogs = [];
+        sendToDialogHook('answers', JSON.stringify(answers));
+    }
+
+    function takeReplayedDialogs() {
+        const dialogs = replayedDialogs;
+        replayedDialogs = [];
+        return dialogs;
+    }
+
+    function checkDialog(action) {
+        const dialog = replayedDialogs[0];
+        if (!dialog) return { passed: false, message: 'No dialog was opened' };
+        if (dialog.message !== action.value) {
+            return { passed: false, message: `Expected the dialog "${action.value}" but it said "${dialog.message}"` };
+        }
+        replayedDialogs.shift();
+        return { passed: true };
+    }
+
+    function replayAction(action) {
+        if (action.type === 'assertDialog') {
+            return waitForCheck(() => checkDialog(action));
+        }
+        if (!action.selectorValue) {
+            if (action.type === 'keypress') {
+                pressKeys(document.activeElement || document.body, action.value || '');
+                return Promise.resolve();
+            }
+            return waitForCheck(() => checkAssertion(action, null));
+        }
+
+        const scrollDown = action.type === 'scrollTo' ? () => window.scrollBy(0, window.innerHeight) : null;
+        return findReplayElement(action, scrollDown).then(el => {
+            el.scrollIntoView({ block: 'center', inline: 'nearest' });
+            flashElement(el);
+
+            switch (action.type) {
+                case 'click':
+                    if (el.focus) el.focus();
+                    dispatchMouseEvents(el, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click']);
+                    break;
+                case 'hover':
+                    dispatchMouseEvents(el, ['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'pointermove', 'mousemove']);
+                    break;
+                case 'doubleClick':
+                    dispatchMouseEvents(el, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click', 'pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click', 'dblclick']);
+                    break;
+                case 'rightClick':
+                    dispatchMouseEvents(el, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'contextmenu'], { button: 2, buttons: 2 });
+                    break;
+                case 'dragAndDrop':
+                    return findReplayElement(action.target || {}).then(target => dispatchDrag(el, target));
+                case 'scrollTo':
+                    break;
+                case 'upload':
+                    setFiles(el, (action.value || '').split(',').map(name => name.trim()).filter(name => name));
+                    break;
+                case 'type':
+                    if (action.secret) return waitForSecret(el, action);
+                    setFieldValue(el, action.value);
+                    break;
+                case 'enterkey':
+                    // Whoever types the secret presses Enter too.
+                    if (action.secret) return waitForSecret(el, action);
+                    pressEnter(setFieldValue(el, action.value));
+                    break;
+                case 'keypress':
+                    if (el.focus) el.focus();
+                    pressKeys(el, action.value || '');
+                    break;
+                case 'select': {
+                    if (el.tagName !== 'SELECT') return selectDropdownOption(el, action);
+                    const option = Array.from(el.options || []).find(opt => opt.text.trim() === (action.selectedText || '').trim()) ||
+                        Array.from(el.options || []).find(opt => opt.value === action.selectedValue);
+                    if (!option) throw new Error(`The dropdown has no option "${action.selectedText}"`);
+                    el.value = option.value;
+                    el.dispatchEvent(new Event('input', { bubbles: true }));
+                    el.dispatchEvent(new Event('change', { bubbles: true }));
+                    break;
+                }
+                case 'checkbox':
+                case 'radio':
+                    if (isChecked(el) !== (action.type === 'radio' || !!action.checked)) {
+                        dispatchMouseEvents(el, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click']);
+                    }
+                    break;
+                default:
+                    return waitForCheck(() => checkAssertion(action, el));
+            }
+        });
+    }
+
+    // Picking lets a step whose selector failed during replay be pointed at the right element.
+    function startPicking() {
+        document.addEventListener('mouseover', handlePickHover, { capture: true });
+        document.addEventListener('click', handlePickClick, { capture: true });
+    }
+
+    function stopPicking() {
+        document.removeEventListener('mouseover', handlePickHover, { capture: true });
+        document.removeEventListener('click', handlePickClick, { capture: true });
+        if (pickHighlight) {
+            pickHighlight.element.style.outline = pickHighlight.outline;
+            pickHighlight = null;
+        }
+    }
+
+    function handlePickHover(e) {
+        const target = getEventTarget(e);
+        if (pickHighlight) pickHighlight.element.style.outline = pickHighlight.outline;
+        pickHighlight = { element: target, outline: target.style.outline };
+        target.style.outline = '2px dashed #e67e22';
+    }
+
+    function handlePickClick(e) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        stopPicking();
+
+        const target = getEventTarget(e);
+        const selector = getBestSelector(target);
+        if (!selector) return;
+
+        const { elementName, ...description } = describeElement(target);
+        sendMessageSafe({
+            command: 'elementPicked',
+            elementName: elementName,
+            changes: Object.assign({
+                selector: selector.type,
+                selectorValue: selector.value,
+                tagName: target.tagName,
+                elementType: target.type,
+                frame: null,
+                fallbackSelectors: [],
+                locatorHints: null
+            }, description)
+        });
+    }
+
     function attachListeners() {
+        document.addEventListener('click', handleAssertClick, { capture: true });
         document.addEventListener('click', handleEvent, { capture: true, passive: true });
         document.addEventListener('keydown', handleEvent, { capture: true, passive: true });
         document.addEventListener('blur', handleEvent, { capture: true, passive: true });
         document.addEventListener('change', handleEvent, { capture: true, passive: true });
-        console.log('Reqnroll Recorder: Listeners attached');
-
-        sendMessageSafe({
-            command: 'recordAction',
-            action: { type: 'navigate', value: window.location.href }
+        document.addEventListener('dblclick', handleDoubleClick, { capture: true, passive: true });
+        document.addEventListener('contextmenu', handleContextMenu, { capture: true, passive: true });
+        document.addEventListener('mouseover', handleMouseOver, { capture: true, passive: true });
+        document.addEventListener('mousedown', handleMouseDown, { capture: true, passive: true });
+        document.addEventListener('mouseup', handleMouseUp, { capture: true, passive: true });
+        document.addEventListener('dragstart', handleDragStart, { capture: true, passive: true });
+        document.addEventListener('drop', handleDrop, { capture: true, passive: true });
+        document.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+        pageObserver.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class', 'style', 'hidden', 'open', 'aria-expanded', 'aria-hidden']
         });
+        console.log('Reqnroll Recorder: Listeners attached');
     }
 
     function removeListeners() {
+        document.removeEventListener('click', handleAssertClick, { capture: true });
         document.removeEventListener('click', handleEvent, { capture: true });
         document.removeEventListener('keydown', handleEvent, { capture: true });
         document.removeEventListener('blur', handleEvent, { capture: true });
         document.removeEventListener('change', handleEvent, { capture: true });
+        document.removeEventListener('dblclick', handleDoubleClick, { capture: true });
+        document.removeEventListener('contextmenu', handleContextMenu, { capture: true });
+        document.removeEventListener('mouseover', handleMouseOver, { capture: true });
+        document.removeEventListener('mousedown', handleMouseDown, { capture: true });
+        document.removeEventListener('mouseup', handleMouseUp, { capture: true });
+        document.removeEventListener('dragstart', handleDragStart, { capture: true });
+        document.removeEventListener('drop', handleDrop, { capture: true });
+        document.removeEventListener('scroll', handleScroll, { capture: true });
+        pageObserver.disconnect();
+        if (hoverCandidate) clearTimeout(hoverCandidate.timer);
+        hoverCandidate = null;
+        pendingHovers = [];
+        hoverRules = null;
         console.log('Reqnroll Recorder: Listeners removed');
     }
 
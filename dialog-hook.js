@@ -0,0 +1,108 @@
+// Runs in the page's own JavaScript world, where the page calls alert(), confirm() and prompt();
+// content scripts cannot see those calls. background.js injects it into the tabs of a recording
+// or a replay only, then hands it a nonce made for that recording or replay through a setter the
+// page can neither read nor replace. The events it shares with content.js are named after the
+// nonce, so the page can neither listen to them nor send them. Each dialog and the answer it got
+// are reported to content.js; during a replay, content.js passes on the recorded answers and the
+// dialogs are answered from them without showing. Stopping the recording puts the page's own
+// dialogs back, and the next recording or replay moves the hook on to its nonce.
+(function () {
+    const original = { alert: window.alert, confirm: window.confirm, prompt: window.prompt };
+    // Kept from now on, so a page that replaces them later cannot read the nonce off the event names.
+    const addListener = EventTarget.prototype.addEventListener;
+    const removeListener = EventTarget.prototype.removeEventListener;
+    const dispatch = EventTarget.prototype.dispatchEvent;
+    const DialogEvent = CustomEvent;
+    let nonce = null;
+    let answers = [];
+
+    function eventName(name) {
+        return `reqnroll-recorder-${name}-${nonce}`;
+    }
+
+    function queueAnswers(e) {
+        try {
+            answers = JSON.parse(e.detail);
+        } catch (err) {
+            answers = null;
+        }
+        // Without answers the dialogs show as usual.
+        if (!Array.isArray(answers)) answers = [];
+    }
+
+    function takeQueuedAnswer() {
+        return answers.shift() || null;
+    }
+
+    function report(dialogType, message, accepted, value) {
+        dispatch.call(window, new DialogEvent(eventName('dialog'), {
+            detail: JSON.stringify({
+                dialogType: dialogType,
+                message: message === undefined ? '' : String(message),
+                accepted: accepted,
+                value: value
+            })
+        }));
+    }
+
+    const hooked = {
+        alert: function (message) {
+            if (!takeQueuedAnswer()) original.alert.apply(window, arguments);
+            report('alert', message, true, null);
+        },
+
+        confirm: function (message) {
+            const answer = takeQueuedAnswer();
+            const accepted = answer ? !!answer.accept : original.confirm.apply(window, arguments);
+            report('confirm', message, accepted, null);
+            return accepted;
+        },
+
+        prompt: function (message, defaultValue) {
+            const answer = takeQueuedAnswer();
+            let value;
+            if (!answer) value = original.prompt.apply(window, arguments);
+            else if (!answer.accept) value = null;
+            else value = answer.text !== null && answer.text !== undefined ? answer.text : String(defaultValue === undefined ? '' : defaultValue);
+            report('prompt', message, value !== null, value);
+            return value;
+        }
+    };
+
+    const listeners = { answers: queueAnswers, release: release, rekey: rekey };
+
+    function listen(add) {
+        Object.keys(listeners).forEach(name => (add ? addListener : removeListener).call(window, eventName(name), listeners[name]));
+    }
+
+    function hook(key) {
+        nonce = key;
+        answers = [];
+        listen(true);
+        Object.assign(window, hooked);
+    }
+
+    // The listeners stay, so that a later recording can move the hook on to its own nonce.
+    function release() {
+        Object.keys(hooked).forEach(name => {
+            if (window[name] === hooked[name]) window[name] = original[name];
+        });
+    }
+
+    function rekey(e) {
+        listen(false);
+        hook(String(e.detail));
+    }
+
+    // A page that took the name first gets no nonce: background.js only hands it over when this is true.
+    try {
+        Object.defineProperty(window, 'reqnrollRecorderDialogs', {
+            set: function (key) {
+                if (!nonce) hook(String(key));
+            }
+        });
+    } catch (e) {
+        return false;
+    }
+    return true;
+})();
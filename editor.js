@@ -0,0 +1,317 @@
+if (typeof browser !== 'undefined') globalThis.chrome = browser;
+
+// value: the action property edited in the Value column ('checked' edits a boolean,
+// 'target' the locator of the element dropped onto).
+const ACTION_TYPES = {
+    navigate: { label: 'Navigate to URL', value: 'value', element: false },
+    goBack: { label: 'Go back', element: false },
+    goForward: { label: 'Go forward', element: false },
+    refresh: { label: 'Refresh page', element: false },
+    click: { label: 'Click', element: true },
+    hover: { label: 'Hover', element: true },
+    doubleClick: { label: 'Double-click', element: true },
+    rightClick: { label: 'Right-click', element: true },
+    dragAndDrop: { label: 'Drag and drop onto', value: 'target', element: true },
+    scrollTo: { label: 'Scroll to (lazy content)', element: true },
+    type: { label: 'Type text', value: 'value', element: true },
+    enterkey: { label: 'Type and press Enter', value: 'value', element: true },
+    // Without a selector the keys go to whatever has focus.
+    keypress: { label: 'Press keys', value: 'value', element: true },
+    // File names, comma-separated.
+    upload: { label: 'Upload files', value: 'value', element: true },
+    select: { label: 'Select option', value: 'selectedText', element: true },
+    checkbox: { label: 'Check / uncheck', value: 'checked', element: true },
+    radio: { label: 'Select radio button', element: true },
+    assertVisible: { label: 'Assert visible', element: true },
+    assertText: { label: 'Assert text equals', value: 'value', element: true },
+    assertTextContains: { label: 'Assert text contains', value: 'value', element: true },
+    assertValue: { label: 'Assert value equals', value: 'value', element: true },
+    assertChecked: { label: 'Assert checked', value: 'checked', element: true },
+    assertUrl: { label: 'Assert URL contains', value: 'value', element: false },
+    assertTitle: { label: 'Assert page title', value: 'value', element: false },
+    // alert(), confirm() and prompt(), in the steps after the one that opened the dialog.
+    assertDialog: { label: 'Assert dialog message', value: 'value', element: false },
+    // The value is the text typed into a prompt before accepting it.
+    acceptDialog: { label: 'Accept dialog', value: 'value', element: false },
+    dismissDialog: { label: 'Dismiss dialog', element: false },
+    switchTab: { label: 'Switch tab', element: false },
+    closeTab: { label: 'Close tab and return', element: false }
+};
+
+const SELECTOR_TYPES = ['CssSelector', 'XPath', 'Id', 'Name', 'TagName', 'ShadowCssSelector'];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const stepsBody = document.getElementById('steps');
+    const emptyState = document.getElementById('emptyState');
+    const addStepBtn = document.getElementById('addStepBtn');
+    const replayBtn = document.getElementById('replayBtn');
+    const stopReplayBtn = document.getElementById('stopReplayBtn');
+    const pickBtn = document.getElementById('pickBtn');
+    const continueBtn = document.getElementById('continueBtn');
+    const replayStatusSpan = document.getElementById('replayStatus');
+    const scenarioBar = document.getElementById('scenarioBar');
+    const scenarioSelect = document.getElementById('scenarioSelect');
+
+    let recording = { recordedActions: [], completedScenarios: [], scenarioName: '' };
+    // null for the scenario being recorded, else the index of a completed one.
+    let scenario = null;
+    let actions = [];
+    let renderPending = false;
+    let replayStatus = null;
+
+    function loadActions() {
+        chrome.storage.local.get(['recordedActions', 'completedScenarios', 'scenarioName', 'replayStatus'], (result) => {
+            replayStatus = result.replayStatus || null;
+            showRecording(result);
+            render();
+        });
+    }
+
+    function showRecording(changes) {
+        Object.keys(recording).forEach(key => {
+            if (key in changes) recording[key] = changes[key] || (key === 'scenarioName' ? '' : []);
+        });
+        const completed = recording.completedScenarios;
+        if (scenario !== null && !completed[scenario]) scenario = null;
+        actions = scenario === null ? recording.recordedActions : completed[scenario].actions;
+
+        scenarioSelect.textContent = '';
+        completed.map((done, index) => ({ value: String(index), label: done.name }))
+            .concat({ value: '', label: `${recording.scenarioName || 'Current scenario'} (recording)` })
+            .forEach(option => {
+                const optionEl = document.createElement('option');
+                optionEl.value = option.value;
+                optionEl.textContent = option.label;
+                scenarioSelect.appendChild(optionEl);
+            });
+        scenarioSelect.value = scenario === null ? '' : String(scenario);
+        scenarioBar.classList.toggle('hidden', completed.length === 0);
+    }
+
+    function send(message) {
+        chrome.runtime.sendMessage(message).catch(err => {
+            console.log('Reqnroll Recorder: Could not update actions', err);
+        });
+    }
+
+    function editActions(message) {
+        send(Object.assign({ scenario: scenario }, message));
+    }
+
+    function updateAction(index, changes) {
+        editActions({ command: 'updateAction', index: index, changes: changes });
+    }
+
+    function insertAction(index) {
+        const neighbour = actions[index - 1] || actions[index] || {};
+        editActions({
+            command: 'insertAction',
+            index: index,
+            action: {
+                type: 'click',
+                selector: 'CssSelector',
+                selectorValue: '',
+                url: neighbour.url || neighbour.value || ''
+            }
+        });
+    }
+
+    function createSelect(options, selected, onChange) {
+        const select = document.createElement('select');
+        options.forEach(option => {
+            const optionEl = document.createElement('option');
+            optionEl.value = option.value;
+            optionEl.textContent = option.label;
+            select.appendChild(optionEl);
+        });
+        select.value = selected;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    function createTextInput(value, placeholder, onChange) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value || '';
+        input.placeholder = placeholder;
+        input.addEventListener('change', () => onChange(input.value));
+        return input;
+    }
+
+    function createButton(label, title, onClick, className) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        if (className) button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function createLocatorEditor(selector, selectorValue, onChange) {
+        const locator = document.createElement('div');
+        locator.className = 'locator';
+        const selectorTypes = SELECTOR_TYPES.includes(selector) || !selector
+            ? SELECTOR_TYPES
+            : SELECTOR_TYPES.concat(selector);
+        locator.appendChild(createSelect(
+            selectorTypes.map(type => ({ value: type, label: type })),
+            selector || 'CssSelector',
+            value => onChange({ selector: value })
+        ));
+        const selectorInput = createTextInput(selectorValue, 'Selector', value => onChange({ selectorValue: value }));
+        // The generated code leaves out element steps without a selector.
+        selectorInput.required = true;
+        locator.appendChild(selectorInput);
+        return locator;
+    }
+
+    function createValueEditor(action, index) {
+        const definition = ACTION_TYPES[action.type] || {};
+
+        if (definition.value === 'checked') {
+            return createSelect(
+                [{ value: 'true', label: 'Checked' }, { value: 'false', label: 'Unchecked' }],
+                String(!!action.checked),
+                value => updateAction(index, { checked: value === 'true', value: value === 'true' ? 'check' : 'uncheck' })
+            );
+        }
+
+        if (definition.value === 'target') {
+            const target = action.target || {};
+            return createLocatorEditor(target.selector, target.selectorValue,
+                changes => updateAction(index, { target: Object.assign({}, target, changes) }));
+        }
+
+        // The value of a secret was never recorded; its <name> can be changed, or replaced by a plain value.
+        if (action.secret && definition.value === 'value') {
+            return createTextInput(`<${action.secret}>`, '', value => {
+                const reference = value.trim().match(/^<(\w+)>$/);
+                updateAction(index, reference ? { secret: reference[1] } : { secret: null, value: value });
+            });
+        }
+
+        if (definition.value) {
+            return createTextInput(action[definition.value], '', value => updateAction(index, { [definition.value]: value }));
+        }
+
+        return document.createTextNode('');
+    }
+
+    function createRow(action, index) {
+        const definition = ACTION_TYPES[action.type] || { label: action.type, element: !!action.selectorValue };
+        const row = document.createElement('tr');
+
+        const indexCell = document.createElement('td');
+        indexCell.className = 'index';
+        indexCell.textContent = index + 1;
+        row.appendChild(indexCell);
+
+        const typeOptions = Object.keys(ACTION_TYPES).map(type => ({ value: type, label: ACTION_TYPES[type].label }));
+        if (!ACTION_TYPES[action.type]) typeOptions.push({ value: action.type, label: action.type });
+        const typeCell = document.createElement('td');
+        typeCell.appendChild(createSelect(typeOptions, action.type, value => updateAction(index, { type: value })));
+        row.appendChild(typeCell);
+
+        const nameCell = document.createElement('td');
+        const locatorCell = document.createElement('td');
+        if (definition.element) {
+            nameCell.appendChild(createTextInput(action.elementName, 'Element name', value => updateAction(index, { elementName: value })));
+            locatorCell.appendChild(createLocatorEditor(action.selector, action.selectorValue, changes => updateAction(index, changes)));
+        }
+        row.appendChild(nameCell);
+        row.appendChild(locatorCell);
+
+        const valueCell = document.createElement('td');
+        valueCell.appendChild(createValueEditor(action, index));
+        row.appendChild(valueCell);
+
+        const buttonsCell = document.createElement('td');
+        buttonsCell.className = 'buttons';
+        buttonsCell.appendChild(createButton('↑', 'Move up', () => editActions({ command: 'moveAction', index: index, to: index - 1 })));
+        buttonsCell.appendChild(createButton('↓', 'Move down', () => editActions({ command: 'moveAction', index: index, to: index + 1 })));
+        buttonsCell.appendChild(createButton('+', 'Insert a step below', () => insertAction(index + 1)));
+        buttonsCell.appendChild(createButton('✕', 'Delete', () => editActions({ command: 'deleteAction', index: index }), 'danger'));
+        row.appendChild(buttonsCell);
+
+        return row;
+    }
+
+    function render() {
+        renderPending = false;
+        stepsBody.textContent = '';
+        actions.forEach((action, index) => stepsBody.appendChild(createRow(action, index)));
+        emptyState.classList.toggle('hidden', actions.length > 0);
+        showReplayStatus();
+    }
+
+    function describeReplayStatus(status) {
+        const step = `Step ${status.index + 1}`;
+        if (status.running) return `Replaying step ${status.index + 1} of ${actions.length}...`;
+        if (status.done) return `All ${actions.length} steps replayed.`;
+        if (status.error) return `${step} failed: ${status.error} Fix its selector below or pick the element in the replay tab, then continue.`;
+        if (status.picked) return `${step} now uses the element you picked.`;
+        if (status.stopped) return `Replay stopped at step ${status.index + 1}.`;
+        return '';
+    }
+
+    // Marks the replayed, running and failed rows without re-rendering the table. Replay runs
+    // the scenario being recorded, so a completed one shows no replay controls.
+    function showReplayStatus() {
+        const status = scenario === null && replayStatus || {};
+        Array.from(stepsBody.children).forEach((row, index) => {
+            row.classList.toggle('replayed', status.index !== undefined && index < status.index);
+            row.classList.toggle('replaying', !!status.running && index === status.index);
+            row.classList.toggle('failed', !!status.error && index === status.index);
+        });
+
+        const canContinue = !status.running && !status.done && (!!status.error || !!status.picked || !!status.stopped) &&
+            status.index < actions.length;
+        replayBtn.classList.toggle('hidden', scenario !== null);
+        replayBtn.disabled = !!status.running || actions.length === 0;
+        stopReplayBtn.classList.toggle('hidden', !status.running);
+        pickBtn.classList.toggle('hidden', !status.error);
+        continueBtn.classList.toggle('hidden', !canContinue);
+        replayStatusSpan.textContent = describeReplayStatus(status);
+    }
+
+    addStepBtn.addEventListener('click', () => insertAction(actions.length));
+    replayBtn.addEventListener('click', () => send({ command: 'replay', from: 0 }));
+    stopReplayBtn.addEventListener('click', () => send({ command: 'stopReplay' }));
+    pickBtn.addEventListener('click', () => send({ command: 'pickElement', index: replayStatus.index }));
+    continueBtn.addEventListener('click', () => send({ command: 'replay', from: replayStatus.index }));
+    scenarioSelect.addEventListener('change', () => {
+        scenario = scenarioSelect.value === '' ? null : Number(scenarioSelect.value);
+        showRecording({});
+        render();
+    });
+
+    // Re-rendering while a text field has focus would throw away what is being typed,
+    // so wait until focus leaves the table.
+    stepsBody.addEventListener('focusout', (e) => {
+        if (renderPending && !stepsBody.contains(e.relatedTarget)) render();
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes.replayStatus) {
+            replayStatus = changes.replayStatus.newValue || null;
+            showReplayStatus();
+            const failedRow = scenario === null && replayStatus && replayStatus.error ? stepsBody.children[replayStatus.index] : null;
+            if (failedRow) failedRow.scrollIntoView({ block: 'center' });
+        }
+        if (!changes.recordedActions && !changes.completedScenarios && !changes.scenarioName) return;
+
+        const values = {};
+        Object.keys(changes).forEach(key => {
+            values[key] = changes[key].newValue;
+        });
+        showRecording(values);
+        if (stepsBody.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') {
+            renderPending = true;
+        } else {
+            render();
+        }
+    });
+
+    loadActions();
+});
@@ -0,0 +1,1041 @@
+// Turns recorded scenarios into Gherkin and step definitions. The wording of the steps,
+// the page and element names and the binding patterns are shared; each target (a test
+// framework and language) registers itself from its own target-*.js file and writes the
+// step definitions and any support files.
+
+const DEFAULT_GENERATOR_OPTIONS = {
+    target: 'reqnroll-selenium',
+    outputStyle: 'selectors',
+    assertionLibrary: 'nunit',
+    waitTimeout: 10,
+    waitForRequests: true,
+    fixedSleeps: false,
+    fallbackLocators: true,
+    testDataFolder: 'TestData'
+};
+
+// A target provides:
+//   label              - shown in the popup
+//   options            - the generator options it honours, so the popup can hide the others
+//   aliases            - optional, ids stored for it by earlier versions
+//   featureFileName    - optional, (featureName) => file name of the feature file
+//   generateStepFiles  - (scenarios, featureName, options) => [{ filename, content, bindings? }];
+//                        bindings lists what a shared steps file binds, for later exports to reuse
+const GENERATOR_TARGETS = {};
+
+function registerGeneratorTarget(id, target) {
+    GENERATOR_TARGETS[id] = target;
+}
+
+function getGeneratorTarget(id) {
+    const aliased = Object.keys(GENERATOR_TARGETS).find(key => (GENERATOR_TARGETS[key].aliases || []).includes(id));
+    return GENERATOR_TARGETS[id] || GENERATOR_TARGETS[aliased] || GENERATOR_TARGETS[DEFAULT_GENERATOR_OPTIONS.target];
+}
+
+function getGeneratorTargets() {
+    return Object.keys(GENERATOR_TARGETS).map(id => ({
+        id: id,
+        label: GENERATOR_TARGETS[id].label,
+        aliases: GENERATOR_TARGETS[id].aliases || [],
+        options: GENERATOR_TARGETS[id].options
+    }));
+}
+
+function generateExportFiles(scenarios, featureName, options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options);
+    const target = getGeneratorTarget(options.target);
+
+    const featureFile = {
+        filename: target.featureFileName ? target.featureFileName(featureName) : `${featureName}.feature`,
+        content: generateFeatureFile(scenarios, featureName, options)
+    };
+    return [featureFile].concat(target.generateStepFiles(scenarios, featureName, options)).filter(file => file.content);
+}
+
+// Step wording per output style. Tokens in braces become the recorded values in the
+// feature file and capture groups (or literal text) in the binding pattern.
+// Tab steps carry no element, so every output style words them the same way.
+const TAB_PHRASES = {
+    switchToNewTab: { keywords: ['When'], text: 'I switch to the new tab', method: 'SwitchToTheNewTab' },
+    switchToTab: { keywords: ['When'], text: 'I switch to tab {tab}', method: 'SwitchToTab' },
+    closeTab: { keywords: ['When'], text: 'I close the tab and return', method: 'CloseTheTabAndReturn' }
+};
+
+// The browser's Back, Forward and Reload buttons, as the user pressed them while recording.
+const HISTORY_PHRASES = {
+    goBack: { keywords: ['When'], text: 'I go back', method: 'GoBack' },
+    goForward: { keywords: ['When'], text: 'I go forward', method: 'GoForward' },
+    refresh: { keywords: ['When'], text: 'I refresh the page', method: 'RefreshThePage' }
+};
+
+// alert(), confirm() and prompt(): the message is checked and the dialog answered in the steps
+// after the one that opened it.
+const DIALOG_PHRASES = {
+    assertDialog: { keywords: ['Then'], text: 'I should see an alert {expected}', method: 'ShouldSeeAnAlert' },
+    acceptDialog: { keywords: ['When'], text: 'I accept the dialog', method: 'AcceptTheDialog' },
+    dismissDialog: { keywords: ['When'], text: 'I dismiss the dialog', method: 'DismissTheDialog' },
+    answerPrompt: { keywords: ['When'], text: 'I enter {text} into the prompt and accept it', method: 'AnswerThePrompt' }
+};
+
+const FRAME_PHRASES = {
+    switchToFrame: { keywords: ['When'], text: 'I switch to the frame {frame}', method: 'SwitchToTheFrame' },
+    switchToMainPage: { keywords: ['When'], text: 'I switch back to the main page', method: 'SwitchBackToTheMainPage' }
+};
+
+const STEP_PHRASES = {
+    selectors: {
+        navigate: { keywords: ['Given', 'When'], text: 'I navigate to {url}', method: 'NavigateToUrl' },
+        click: { keywords: ['When'], text: 'I click the element with {locator}', method: 'ClickElementWith' },
+        hover: { keywords: ['When'], text: 'I hover over the element with {locator}', method: 'HoverOverElement' },
+        doubleClick: { keywords: ['When'], text: 'I double-click the element with {locator}', method: 'DoubleClickElementWith' },
+        rightClick: { keywords: ['When'], text: 'I right-click the element with {locator}', method: 'RightClickElementWith' },
+        dragAndDrop: { keywords: ['When'], text: 'I drag the element with {locator} onto the element with {targetLocator}', method: 'DragElementOnto' },
+        scrollTo: { keywords: ['When'], text: 'I scroll to the element with {locator}', method: 'ScrollToElement' },
+        type: { keywords: ['Then'], text: 'I type {text} into element with {locator}', method: 'TypeIntoElement' },
+        enterkey: { keywords: ['Then'], text: 'I type {text} and press Enter in element with {locator}', method: 'TypeAndEnter' },
+        typeRichText: { keywords: ['Then'], text: 'I type {text} into the editor with {locator}', method: 'TypeIntoEditor' },
+        typeSecret: { keywords: ['Then'], text: 'I type {secret} into element with {locator}', method: 'TypeSecretIntoElement' },
+        enterkeySecret: { keywords: ['Then'], text: 'I type {secret} and press Enter in element with {locator}', method: 'TypeSecretAndEnter' },
+        pressKeys: { keywords: ['When'], text: 'I press {keys}', method: 'PressTheKeys' },
+        pressKeysIn: { keywords: ['When'], text: 'I press {keys} in element with {locator}', method: 'PressKeysInElement' },
+        upload: { keywords: ['When'], text: 'I upload {files} to element with {locator}', method: 'UploadFilesToElement' },
+        select: { keywords: ['Then'], text: 'I select {option} from dropdown with {locator}', method: 'SelectFromDropdown' },
+        selectFiltered: { keywords: ['Then'], text: 'I search {filter} and select {option} from dropdown with {locator}', method: 'SearchAndSelectFromDropdown' },
+        check: { keywords: ['When'], text: 'I check the checkbox with {locator}', method: 'CheckCheckbox' },
+        uncheck: { keywords: ['When'], text: 'I uncheck the checkbox with {locator}', method: 'UncheckCheckbox' },
+        radio: { keywords: ['When'], text: 'I select the radio button with {locator}', method: 'SelectRadioButton' },
+        assertVisible: { keywords: ['Then'], text: 'the element with {locator} should be visible', method: 'ElementShouldBeVisible' },
+        assertText: { keywords: ['Then'], text: 'the element with {locator} should have text {expected}', method: 'ElementShouldHaveText' },
+        assertTextContains: { keywords: ['Then'], text: 'the element with {locator} should contain text {expected}', method: 'ElementShouldContainText' },
+        assertValue: { keywords: ['Then'], text: 'the element with {locator} should have value {expected}', method: 'ElementShouldHaveValue' },
+        assertChecked: { keywords: ['Then'], text: 'the element with {locator} should be checked', method: 'ElementShouldBeChecked' },
+        assertUnchecked: { keywords: ['Then'], text: 'the element with {locator} should not be checked', method: 'ElementShouldNotBeChecked' },
+        assertUrl: { keywords: ['Then'], text: 'the URL should contain {expected}', method: 'UrlShouldContain' },
+        assertTitle: { keywords: ['Then'], text: 'the page title should be {expected}', method: 'PageTitleShouldBe' },
+        ...TAB_PHRASES,
+        ...HISTORY_PHRASES,
+        ...DIALOG_PHRASES,
+        ...FRAME_PHRASES
+    },
+    readable: {
+        navigate: { keywords: ['Given', 'When'], text: 'I navigate to {url}', method: 'NavigateToUrl' },
+        click: { keywords: ['When'], text: 'I click the {name} {kind}', method: 'ClickNamedElement' },
+        hover: { keywords: ['When'], text: 'I hover over the {name} {kind}', method: 'HoverOverNamedElement' },
+        doubleClick: { keywords: ['When'], text: 'I double-click the {name} {kind}', method: 'DoubleClickNamedElement' },
+        rightClick: { keywords: ['When'], text: 'I right-click the {name} {kind}', method: 'RightClickNamedElement' },
+        dragAndDrop: { keywords: ['When'], text: 'I drag the {name} {kind} onto the {targetName} {targetKind}', method: 'DragNamedElementOnto' },
+        scrollTo: { keywords: ['When'], text: 'I scroll to the {name} {kind}', method: 'ScrollToNamedElement' },
+        type: { keywords: ['When'], text: 'I enter {text} into the {name} field', method: 'EnterTextIntoField' },
+        enterkey: { keywords: ['When'], text: 'I enter {text} into the {name} field and press Enter', method: 'EnterTextAndPressEnter' },
+        typeRichText: { keywords: ['When'], text: 'I enter {text} into the {name} editor', method: 'EnterTextIntoEditor' },
+        typeSecret: { keywords: ['When'], text: 'I enter {secret} into the {name} field', method: 'EnterSecretIntoField' },
+        enterkeySecret: { keywords: ['When'], text: 'I enter {secret} into the {name} field and press Enter', method: 'EnterSecretAndPressEnter' },
+        pressKeys: { keywords: ['When'], text: 'I press {keys}', method: 'PressTheKeys' },
+        pressKeysIn: { keywords: ['When'], text: 'I press {keys} in the {name} {kind}', method: 'PressKeysInNamedElement' },
+        upload: { keywords: ['When'], text: 'I upload {files} to the {name} field', method: 'UploadFilesToField' },
+        select: { keywords: ['When'], text: 'I select {option} from the {name} dropdown', method: 'SelectOptionFromDropdown' },
+        selectFiltered: { keywords: ['When'], text: 'I search {filter} and select {option} from the {name} dropdown', method: 'SearchAndSelectOptionFromDropdown' },
+        check: { keywords: ['When'], text: 'I check the {name} checkbox', method: 'CheckNamedCheckbox' },
+        uncheck: { keywords: ['When'], text: 'I uncheck the {name} checkbox', method: 'UncheckNamedCheckbox' },
+        radio: { keywords: ['When'], text: 'I select the {name} radio button', method: 'SelectNamedRadioButton' },
+        assertVisible: { keywords: ['Then'], text: 'the {name} {kind} should be visible', method: 'NamedElementShouldBeVisible' },
+        assertText: { keywords: ['Then'], text: 'the {name} {kind} should have text {expected}', method: 'NamedElementShouldHaveText' },
+        assertTextContains: { keywords: ['Then'], text: 'the {name} {kind} should contain text {expected}', method: 'NamedElementShouldContainText' },
+        assertValue: { keywords: ['Then'], text: 'the {name} {kind} should have value {expected}', method: 'NamedElementShouldHaveValue' },
+        assertChecked: { keywords: ['Then'], text: 'the {name} {kind} should be checked', method: 'NamedElementShouldBeChecked' },
+        assertUnchecked: { keywords: ['Then'], text: 'the {name} {kind} should not be checked', method: 'NamedElementShouldNotBeChecked' },
+        assertUrl: { keywords: ['Then'], text: 'the URL should contain {expected}', method: 'UrlShouldContain' },
+        assertTitle: { keywords: ['Then'], text: 'the page title should be {expected}', method: 'PageTitleShouldBe' },
+        ...TAB_PHRASES,
+        ...HISTORY_PHRASES,
+        ...DIALOG_PHRASES,
+        ...FRAME_PHRASES
+    },
+    pageObjects: {
+        navigate: { keywords: ['Given', 'When'], text: 'I navigate to {url}', method: 'NavigateToUrl' },
+        click: { keywords: ['When'], text: 'I click {element} on the {page} page', pageMethod: 'Click{element}' },
+        hover: { keywords: ['When'], text: 'I hover over {element} on the {page} page', pageMethod: 'HoverOver{element}' },
+        doubleClick: { keywords: ['When'], text: 'I double-click {element} on the {page} page', pageMethod: 'DoubleClick{element}' },
+        rightClick: { keywords: ['When'], text: 'I right-click {element} on the {page} page', pageMethod: 'RightClick{element}' },
+        dragAndDrop: { keywords: ['When'], text: 'I drag {element} onto {targetElement} on the {page} page', pageMethod: 'Drag{element}Onto{targetElement}' },
+        scrollTo: { keywords: ['When'], text: 'I scroll to {element} on the {page} page', pageMethod: 'ScrollTo{element}' },
+        type: { keywords: ['When'], text: 'I enter {text} into {element} on the {page} page', pageMethod: 'Enter{element}' },
+        enterkey: { keywords: ['When'], text: 'I enter {text} into {element} on the {page} page and press Enter', pageMethod: 'Enter{element}AndPressEnter' },
+        typeRichText: { keywords: ['When'], text: 'I type {text} into {element} on the {page} page', pageMethod: 'TypeInto{element}' },
+        typeSecret: { keywords: ['When'], text: 'I enter {secret} into {element} on the {page} page', pageMethod: 'EnterSecretInto{element}' },
+        enterkeySecret: { keywords: ['When'], text: 'I enter {secret} into {element} on the {page} page and press Enter', pageMethod: 'EnterSecretInto{element}AndPressEnter' },
+        pressKeys: { keywords: ['When'], text: 'I press {keys}', method: 'PressTheKeys' },
+        pressKeysIn: { keywords: ['When'], text: 'I press {keys} in {element} on the {page} page', pageMethod: 'PressKeysIn{element}' },
+        upload: { keywords: ['When'], text: 'I upload {files} to {element} on the {page} page', pageMethod: 'UploadTo{element}' },
+        select: { keywords: ['When'], text: 'I select {option} from {element} on the {page} page', pageMethod: 'SelectFrom{element}' },
+        selectFiltered: { keywords: ['When'], text: 'I search {filter} and select {option} from {element} on the {page} page', pageMethod: 'SearchAndSelectFrom{element}' },
+        check: { keywords: ['When'], text: 'I check {element} on the {page} page', pageMethod: 'Check{element}' },
+        uncheck: { keywords: ['When'], text: 'I uncheck {element} on the {page} page', pageMethod: 'Uncheck{element}' },
+        radio: { keywords: ['When'], text: 'I select {element} on the {page} page', pageMethod: 'Select{element}' },
+        assertVisible: { keywords: ['Then'], text: '{element} on the {page} page should be visible' },
+        assertText: { keywords: ['Then'], text: '{element} on the {page} page should have text {expected}' },
+        assertTextContains: { keywords: ['Then'], text: '{element} on the {page} page should contain text {expected}' },
+        assertValue: { keywords: ['Then'], text: '{element} on the {page} page should have value {expected}' },
+        assertChecked: { keywords: ['Then'], text: '{element} on the {page} page should be checked' },
+        assertUnchecked: { keywords: ['Then'], text: '{element} on the {page} page should not be checked' },
+        assertUrl: { keywords: ['Then'], text: 'the URL should contain {expected}', method: 'UrlShouldContain' },
+        assertTitle: { keywords: ['Then'], text: 'the page title should be {expected}', method: 'PageTitleShouldBe' },
+        ...TAB_PHRASES,
+        ...HISTORY_PHRASES,
+        ...DIALOG_PHRASES,
+        ...FRAME_PHRASES
+    }
+};
+
+const ELEMENT_NOUNS = {
+    button: 'button',
+    link: 'link',
+    field: 'field',
+    dropdown: 'dropdown',
+    checkbox: 'checkbox',
+    radio: 'radio button',
+    element: 'element'
+};
+
+// A token without a pattern is matched literally, so the binding only fits that one step.
+const PHRASE_TOKENS = {
+    url: { render: (action) => `"${action.value}"`, pattern: '"(.*)"', params: ['url'] },
+    text: { render: (action) => `"${parameterOr(action, action.value)}"`, pattern: '"(.*)"', params: ['text'] },
+    // Stops at the first quote so "I press ..." cannot also match "I press ... in ...".
+    keys: { render: (action) => `"${action.value}"`, pattern: '"([^"]*)"', params: ['keys'] },
+    // Secrets are written unquoted, as <password>, so their steps never match those for typed text.
+    secret: { render: (action) => `<${action.secret}>`, pattern: '<(\\w+)>', params: ['secretName'] },
+    // File names only, comma-separated; the generated code finds them in the test data folder.
+    files: { render: (action) => `"${action.value}"`, pattern: '"(.*)"', params: ['fileNames'] },
+    option: { render: (action) => `"${parameterOr(action, action.selectedText)}"`, pattern: '"(.*)"', params: ['optionText'] },
+    // The text typed into a type-ahead dropdown to filter its options.
+    filter: { render: (action) => `"${action.filterText}"`, pattern: '"(.*)"', params: ['filterText'] },
+    expected: { render: (action) => `"${action.value}"`, pattern: '"(.*)"', params: ['expected'] },
+    locator: { render: (action) => `${action.selector} "${action.selectorValue}"`, pattern: '(.*?) "(.*?)"', params: ['selectorType', 'selectorValue'] },
+    name: { render: (action, context) => `"${context.element.name}"`, pattern: '"(.*)"', params: ['elementName'] },
+    kind: { render: (action, context) => ELEMENT_NOUNS[context.element.kind], pattern: `(?:${Object.values(ELEMENT_NOUNS).join('|')})`, params: [] },
+    element: { render: (action, context) => context.element.property, pattern: null, params: [] },
+    // The element a drag-and-drop step drops onto.
+    targetLocator: { render: (action) => `${action.target.selector} "${action.target.selectorValue}"`, pattern: '(.*?) "(.*?)"', params: ['targetSelectorType', 'targetSelectorValue'] },
+    targetName: { render: (action, context) => `"${context.targetElement.name}"`, pattern: '"(.*)"', params: ['targetElementName'] },
+    targetKind: { render: (action, context) => ELEMENT_NOUNS[context.targetElement.kind], pattern: `(?:${Object.values(ELEMENT_NOUNS).join('|')})`, params: [] },
+    targetElement: { render: (action, context) => context.targetElement.property, pattern: null, params: [] },
+    page: { render: (action, context) => context.page.displayName, pattern: null, params: [] },
+    tab: { render: (action) => String((action.tab || 0) + 1), pattern: '(\\d+)', params: ['tabNumber'] },
+    frame: { render: (action) => `"${getFramePath(action)}"`, pattern: '"(.*)"', params: ['framePath'] }
+};
+
+// For the Selenium targets outside .NET: the method of the generated session class that
+// performs each step kind. '$element' stands for the element's locator and other names for
+// step parameters, with '$target' for the element a drag-and-drop step drops onto; the session
+// parses numbers itself, so every parameter stays a string.
+const SESSION_CALLS = {
+    navigate: { method: 'navigateTo', args: ['url'] },
+    click: { method: 'click', args: ['$element'] },
+    hover: { method: 'hover', args: ['$element'] },
+    doubleClick: { method: 'doubleClick', args: ['$element'] },
+    rightClick: { method: 'rightClick', args: ['$element'] },
+    dragAndDrop: { method: 'dragAndDrop', args: ['$element', '$target'] },
+    scrollTo: { method: 'scrollTo', args: ['$element'] },
+    type: { method: 'typeText', args: ['$element', 'text'] },
+    enterkey: { method: 'typeTextAndPressEnter', args: ['$element', 'text'] },
+    typeRichText: { method: 'typeRichText', args: ['$element', 'text'] },
+    typeSecret: { method: 'typeSecret', args: ['$element', 'secretName'] },
+    enterkeySecret: { method: 'typeSecretAndPressEnter', args: ['$element', 'secretName'] },
+    pressKeys: { method: 'pressKeys', args: ['keys'] },
+    pressKeysIn: { method: 'pressKeysIn', args: ['$element', 'keys'] },
+    upload: { method: 'uploadFiles', args: ['$element', 'fileNames'] },
+    select: { method: 'selectOption', args: ['$element', 'optionText'] },
+    selectFiltered: { method: 'searchAndSelectOption', args: ['$element', 'filterText', 'optionText'] },
+    check: { method: 'setChecked', args: ['$element', true] },
+    uncheck: { method: 'setChecked', args: ['$element', false] },
+    radio: { method: 'setChecked', args: ['$element', true] },
+    assertVisible: { method: 'assertVisible', args: ['$element'] },
+    assertText: { method: 'assertText', args: ['$element', 'expected'] },
+    assertTextContains: { method: 'assertTextContains', args: ['$element', 'expected'] },
+    assertValue: { method: 'assertValue', args: ['$element', 'expected'] },
+    assertChecked: { method: 'assertChecked', args: ['$element', true] },
+    assertUnchecked: { method: 'assertChecked', args: ['$element', false] },
+    assertUrl: { method: 'assertUrlContains', args: ['expected'] },
+    assertTitle: { method: 'assertTitle', args: ['expected'] },
+    switchToNewTab: { method: 'switchToNewWindow', args: [] },
+    switchToTab: { method: 'switchToWindow', args: ['tabNumber'] },
+    closeTab: { method: 'closeWindowAndReturn', args: [] },
+    goBack: { method: 'navigateBack', args: [] },
+    goForward: { method: 'navigateForward', args: [] },
+    refresh: { method: 'refreshPage', args: [] },
+    assertDialog: { method: 'assertDialogText', args: ['expected'] },
+    acceptDialog: { method: 'acceptDialog', args: [] },
+    dismissDialog: { method: 'dismissDialog', args: [] },
+    answerPrompt: { method: 'answerPrompt', args: ['text'] },
+    switchToFrame: { method: 'switchToFrame', args: ['framePath'] },
+    switchToMainPage: { method: 'switchToMainPage', args: [] },
+    placeholder: { method: 'waitForPageReady', args: [] }
+};
+
+// Custom dropdowns (React-Select, MUI, Ant Design, Select2, Choices, Vue Select and ARIA
+// listboxes) render options that are no <option> elements; the generated code finds them with
+// this selector, as content.js does when recording.
+const DROPDOWN_OPTION_SELECTOR = [
+    "[role='option']", '.react-select__option', "[id^='react-select-'][id*='-option-']", '.MuiAutocomplete-option',
+    '.MuiMenuItem-root', '.ant-select-item-option', '.select2-results__option', '.choices__item--choice', '.vs__dropdown-option'
+].join(', ');
+
+// Renders a session call's arguments: the element locators, step parameters (named by
+// renderParam) and boolean literals (written by renderBoolean).
+function renderSessionArgs(kind, locator, renderParam, renderBoolean, targetLocator) {
+    return SESSION_CALLS[kind].args.map(arg => {
+        if (arg === '$element') return locator;
+        if (arg === '$target') return targetLocator;
+        if (typeof arg === 'boolean') return renderBoolean(arg);
+        return renderParam(arg);
+    }).join(', ');
+}
+
+// Those targets have no way to tell bindings already in a project apart, so every export
+// carries the whole generic vocabulary in one shared file and the feature's file holds
+// only what is specific to it.
+function planSharedBindings(scenarios, options) {
+    return planBindings(scenarios, Object.assign({}, options, { sharedSteps: true, existingBindings: [] }));
+}
+
+// The folder the generated code takes files to upload from, relative to where the tests run.
+function getTestDataFolder(options) {
+    return String(options.testDataFolder || '').trim() || DEFAULT_GENERATOR_OPTIONS.testDataFolder;
+}
+
+// Values the user marked as Scenario Outline parameters are written as <placeholders>.
+function parameterOr(action, value) {
+    return action.parameter ? `<${action.parameter}>` : value;
+}
+
+function getParameterValue(action) {
+    return action.type === 'select' ? action.selectedText : action.value;
+}
+
+function getExamples(actions) {
+    const examples = new Map();
+    actions.forEach(action => {
+        if (action.parameter && !action.secret && !examples.has(action.parameter)) {
+            examples.set(action.parameter, getParameterValue(action) || '');
+        }
+    });
+    return examples;
+}
+
+function toTableCell(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+}
+
+function getStepKind(action) {
+    if (action.type === 'checkbox') {
+        return action.checked ? 'check' : 'uncheck';
+    }
+    if (action.type === 'assertChecked') {
+        return action.checked ? 'assertChecked' : 'assertUnchecked';
+    }
+    if (action.type === 'switchTab') {
+        return action.newTab === false ? 'switchToTab' : 'switchToNewTab';
+    }
+    if (action.secret && ['type', 'enterkey'].includes(action.type)) {
+        return action.type === 'type' ? 'typeSecret' : 'enterkeySecret';
+    }
+    // Typed into a contenteditable region, such as the body of a rich-text editor.
+    if (action.type === 'type' && action.contentEditable) {
+        return 'typeRichText';
+    }
+    if (action.type === 'select' && action.filterText) {
+        return 'selectFiltered';
+    }
+    if (action.type === 'keypress') {
+        return action.selectorValue ? 'pressKeysIn' : 'pressKeys';
+    }
+    if (action.type === 'acceptDialog' && action.value) {
+        return 'answerPrompt';
+    }
+    return action.type;
+}
+
+function isAssertionStep(step) {
+    return step.kind.startsWith('assert');
+}
+
+function expandPhrase(template, action, context) {
+    let text = '';
+    let pattern = '';
+    const params = [];
+    let lastIndex = 0;
+
+    template.replace(/\{(\w+)\}/g, (match, name, offset) => {
+        const literal = template.slice(lastIndex, offset);
+        const token = PHRASE_TOKENS[name];
+        const rendered = token.render(action, context);
+
+        text += literal + rendered;
+        pattern += escapeRegex(literal) + (token.pattern || escapeRegex(rendered));
+        params.push(...token.params);
+        lastIndex = offset + match.length;
+        return match;
+    });
+
+    const tail = template.slice(lastIndex);
+    return { text: text + tail, pattern: pattern + escapeRegex(tail), params: params };
+}
+
+function getAllActions(scenarios) {
+    return scenarios.reduce((all, scenario) => all.concat(scenario.actions), []);
+}
+
+// Page and element names are shared by every scenario of the feature, so build
+// them once from all recorded actions.
+function buildNameModels(actions, options) {
+    return {
+        pageModel: options.outputStyle === 'pageObjects' ? buildPageModel(actions) : null,
+        elementNames: options.outputStyle === 'readable' ? buildElementNames(actions) : null
+    };
+}
+
+// Step kinds after which WebDriver is back in the top-level document.
+const TOP_LEVEL_STEP_KINDS = ['navigate', 'goBack', 'goForward', 'refresh', 'switchToNewTab', 'switchToTab', 'closeTab'];
+
+function buildSteps(actions, options, models) {
+    const phrases = STEP_PHRASES[options.outputStyle] || STEP_PHRASES.selectors;
+    const { pageModel, elementNames } = models || buildNameModels(actions, options);
+    const steps = [];
+    let currentFrame = '';
+
+    actions.forEach(action => {
+        const kind = getStepKind(action);
+        const phrase = phrases[kind];
+        if (!phrase) return;
+        // A drag-and-drop step changed to in the step editor has nowhere to drop yet, and a step
+        // added there may still lack its element.
+        if (kind === 'dragAndDrop' && !(action.target && action.target.selectorValue)) return;
+        if (!action.selectorValue && /\{(locator|name|element)\}/.test(phrase.text)) return;
+
+        // Switch frames only when the element lives in a different one than the previous step's.
+        if (action.selectorValue) {
+            const frame = getFramePath(action);
+            if (frame !== currentFrame) {
+                const frameKind = frame ? 'switchToFrame' : 'switchToMainPage';
+                steps.push(createStep(frameKind, phrases[frameKind], action, {}));
+                currentFrame = frame;
+            }
+        } else if (TOP_LEVEL_STEP_KINDS.includes(kind)) {
+            currentFrame = '';
+        }
+
+        const context = {};
+        if (pageModel && action.selectorValue) {
+            context.page = pageModel.pageFor(action);
+            context.element = context.page.elementFor(action);
+            if (kind === 'dragAndDrop') context.targetElement = context.page.elementFor(action.target);
+        } else if (elementNames && action.selectorValue) {
+            context.element = elementNames.elementFor(action);
+            if (kind === 'dragAndDrop') context.targetElement = elementNames.elementFor(action.target);
+        }
+
+        steps.push(createStep(kind, phrase, action, context));
+    });
+
+    return steps;
+}
+
+function createStep(kind, phrase, action, context) {
+    const docStringToken = getDocStringToken(phrase, action);
+    const stepPhrase = docStringToken ? toDocStringPhrase(phrase, docStringToken) : phrase;
+    const expanded = expandPhrase(stepPhrase.text, action, context);
+    const docStringParam = docStringToken ? PHRASE_TOKENS[docStringToken].params[0] : null;
+    return {
+        kind: kind,
+        phrase: stepPhrase,
+        keyword: stepPhrase.keywords[0],
+        text: expanded.text,
+        pattern: expanded.pattern,
+        // The DocString comes after the step's other arguments.
+        params: docStringParam ? expanded.params.concat(docStringParam) : expanded.params,
+        docString: docStringToken ? String(action.value) : null,
+        docStringParam: docStringParam,
+        page: context.page,
+        element: context.element,
+        targetElement: context.targetElement
+    };
+}
+
+// Typed text and expected values are written in quotes, which a line break or a quote of
+// their own would end early; such a value follows the step as a DocString instead.
+const DOC_STRING_TOKENS = ['text', 'expected'];
+
+function getDocStringToken(phrase, action) {
+    if (action.parameter || !/["\n]/.test(action.value || '')) return null;
+    return DOC_STRING_TOKENS.find(name => phrase.text.includes(`{${name}}`)) || null;
+}
+
+// "I should see an alert {expected}" becomes "I should see an alert:", and "I enter {text}
+// into the {name} field" becomes "I enter the following into the {name} field:".
+function toDocStringPhrase(phrase, token) {
+    const placeholder = ` {${token}}`;
+    const text = phrase.text.endsWith(placeholder)
+        ? phrase.text.slice(0, -placeholder.length)
+        : phrase.text.replace(`{${token}}`, 'the following');
+    return Object.assign({}, phrase, {
+        text: `${text}:`,
+        method: phrase.method && `${phrase.method}FromDocString`
+    });
+}
+
+function renderDocString(value) {
+    const lines = value.replace(/"""/g, '\\"\\"\\"').split('\n');
+    return ['"""'].concat(lines, '"""').map(line => `      ${line}\n`).join('');
+}
+
+// The named elements the steps use, for the readable style's element registry.
+function getStepElements(steps) {
+    const elements = [];
+    steps.forEach(step => {
+        [step.element, step.targetElement].forEach(element => {
+            if (element && !elements.includes(element)) elements.push(element);
+        });
+    });
+    return elements;
+}
+
+// Frames are written outermost first, e.g. "checkout > card-number". Each level is its
+// id or name, src=<part of its src>, or index=<position in the parent>.
+function getFramePath(action) {
+    return (action.frame || []).map(level => {
+        if (level.id) return level.id;
+        if (level.name) return level.name;
+        if (level.src) return `src=${level.src}`;
+        return `index=${level.index || 0}`;
+    }).join(' > ');
+}
+
+function renderStepLines(steps) {
+    let content = '';
+    let previousKeyword = null;
+
+    steps.forEach(step => {
+        const keyword = (step.keyword === previousKeyword) ? 'And' : step.keyword;
+        content += `    ${keyword} ${step.text}\n`;
+        if (step.docString) content += renderDocString(step.docString);
+
+        previousKeyword = step.keyword;
+    });
+
+    return content;
+}
+
+// Leading steps every scenario shares move into a Background. Each scenario keeps
+// at least one step of its own, and steps using outline parameters, which are quoted
+// ("<email>") unlike secrets (<password>), stay put.
+function countBackgroundSteps(scenarioSteps) {
+    if (scenarioSteps.length < 2) return 0;
+
+    const shortest = Math.min(...scenarioSteps.map(steps => steps.length));
+    let count = 0;
+
+    while (count < shortest - 1) {
+        const first = scenarioSteps[0][count];
+        const shared = !/"<[^>]+>"/.test(first.text) && scenarioSteps.every(steps =>
+            steps[count].keyword === first.keyword && steps[count].text === first.text);
+        if (!shared) break;
+        count++;
+    }
+
+    return count;
+}
+
+function generateFeatureFile(scenarios, featureName, options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options);
+
+    const models = buildNameModels(getAllActions(scenarios), options);
+    const scenarioSteps = scenarios.map(scenario => buildSteps(scenario.actions, options, models));
+    const backgroundCount = countBackgroundSteps(scenarioSteps);
+
+    let content = `Feature: ${featureName}\n`;
+
+    if (backgroundCount > 0) {
+        content += `\n  Background:\n`;
+        content += renderStepLines(scenarioSteps[0].slice(0, backgroundCount));
+    }
+
+    scenarios.forEach((scenario, index) => {
+        const steps = scenarioSteps[index];
+        const examples = getExamples(scenario.actions);
+
+        content += examples.size > 0
+            ? `\n  Scenario Outline: ${scenario.name}\n`
+            : `\n  Scenario: ${scenario.name}\n`;
+        content += renderStepLines(steps.slice(backgroundCount));
+
+        if (!steps.some(isAssertionStep)) {
+            content += `    Then the page should be in the expected state\n`;
+        }
+
+        if (examples.size > 0) {
+            const headers = Array.from(examples.keys());
+            const values = headers.map(header => toTableCell(examples.get(header)));
+            const widths = headers.map((header, i) => Math.max(header.length, values[i].length));
+
+            content += `\n    Examples:\n`;
+            content += `      | ${headers.map((header, i) => header.padEnd(widths[i])).join(' | ')} |\n`;
+            content += `      | ${values.map((value, i) => value.padEnd(widths[i])).join(' | ')} |\n`;
+        }
+    });
+
+    return content;
+}
+
+// Classes that hold the generic bindings when they are exported once as a shared file.
+const SHARED_STEP_CLASSES = {
+    selectors: 'RecordedSteps',
+    readable: 'RecordedReadableSteps',
+    pageObjects: 'RecordedPageSteps'
+};
+
+const PLACEHOLDER_PHRASE = {
+    keywords: ['Then'],
+    text: 'the page should be in the expected state',
+    method: 'ThenThePageShouldBeInTheExpectedState'
+};
+
+function buildPlaceholderStep() {
+    const expanded = expandPhrase(PLACEHOLDER_PHRASE.text, {}, {});
+    return {
+        kind: 'placeholder',
+        phrase: PLACEHOLDER_PHRASE,
+        keyword: 'Then',
+        text: expanded.text,
+        pattern: expanded.pattern,
+        params: []
+    };
+}
+
+// Splits the bindings the recording needs into those for the feature's own class and
+// those for the shared class, dropping any the project already has.
+function planBindings(scenarios, options) {
+    const steps = buildSteps(getAllActions(scenarios), options);
+    const needsPlaceholderStep = scenarios.some(scenario =>
+        !buildSteps(scenario.actions, options).some(isAssertionStep));
+    if (needsPlaceholderStep) steps.push(buildPlaceholderStep());
+
+    const existing = compileExistingBindings(options.existingBindings);
+    const groups = new Map();
+    steps.forEach(step => {
+        const key = step.phrase.method || step.pattern;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(step);
+    });
+
+    const featureBindings = [];
+    const boundKinds = new Set();
+    let hasBoundNameBinding = false;
+
+    groups.forEach(groupSteps => {
+        const step = groupSteps[0];
+        if (groupSteps.every(groupStep => isStepBound(groupStep, existing))) {
+            boundKinds.add(step.kind);
+            if (step.params.includes('elementName')) hasBoundNameBinding = true;
+            return;
+        }
+        // The shared file has no DocString variants of its steps.
+        if (options.sharedSteps && step.phrase.method && !step.docString) return;
+        featureBindings.push(step);
+    });
+
+    let sharedBindings = [];
+    if (options.sharedSteps) {
+        const phrases = STEP_PHRASES[options.outputStyle] || STEP_PHRASES.selectors;
+        const vocabulary = Object.keys(phrases)
+            .filter(kind => phrases[kind].method)
+            .map(kind => buildGenericStep(kind, phrases[kind]))
+            .concat(buildPlaceholderStep());
+
+        sharedBindings = vocabulary.filter(step =>
+            !boundKinds.has(step.kind) && !existing.some(binding => binding.source === step.pattern));
+    }
+
+    return {
+        steps: steps,
+        featureBindings: featureBindings,
+        sharedBindings: sharedBindings,
+        registerElements: options.outputStyle === 'readable' && (options.sharedSteps || hasBoundNameBinding)
+    };
+}
+
+// A binding for a step kind that was not necessarily recorded, for the shared file.
+function buildGenericStep(kind, phrase) {
+    let pattern = '';
+    const params = [];
+    let lastIndex = 0;
+
+    phrase.text.replace(/\{(\w+)\}/g, (match, name, offset) => {
+        const token = PHRASE_TOKENS[name];
+        pattern += escapeRegex(phrase.text.slice(lastIndex, offset)) + token.pattern;
+        params.push(...token.params);
+        lastIndex = offset + match.length;
+        return match;
+    });
+
+    return {
+        kind: kind,
+        phrase: phrase,
+        keyword: phrase.keywords[0],
+        pattern: pattern + escapeRegex(phrase.text.slice(lastIndex)),
+        params: params
+    };
+}
+
+function getBindingMethodName(step) {
+    return step.phrase.method || toMethodName(step.keyword, step.phrase.text, step);
+}
+
+// Bindings imported from the user's project, as JavaScript regular expressions.
+function compileExistingBindings(existingBindings) {
+    return (existingBindings || []).map(binding => {
+        try {
+            return {
+                keyword: binding.keyword,
+                source: binding.pattern,
+                regex: isCucumberExpression(binding.pattern)
+                    ? cucumberExpressionToRegex(binding.pattern)
+                    : dotNetRegexToRegex(binding.pattern)
+            };
+        } catch (e) {
+            console.log('Skipping binding that cannot be compiled:', binding.pattern, e);
+            return null;
+        }
+    }).filter(binding => binding);
+}
+
+function isStepBound(step, existing) {
+    return existing.some(binding =>
+        (binding.keyword === 'StepDefinition' || binding.keyword === step.keyword) && binding.regex.test(step.text));
+}
+
+function isCucumberExpression(pattern) {
+    return !/^\^|\$$/.test(pattern) && !/\(\.[*+]\??\)|\\[dsw]|\[\^?/.test(pattern) && /\{\w*\}/.test(pattern);
+}
+
+function dotNetRegexToRegex(pattern) {
+    let flags = '';
+    let source = pattern.replace(/^\(\?i\)/, () => {
+        flags = 'i';
+        return '';
+    });
+    source = source.replace(/^\^/, '').replace(/\$$/, '');
+    return new RegExp(`^(?:${source})$`, flags);
+}
+
+const CUCUMBER_PARAMETER_PATTERNS = {
+    int: '(-?\\d+)',
+    long: '(-?\\d+)',
+    byte: '(-?\\d+)',
+    float: '(-?\\d*\\.?\\d+)',
+    double: '(-?\\d*\\.?\\d+)',
+    decimal: '(-?\\d*\\.?\\d+)',
+    word: '([^\\s]+)',
+    string: '(?:"([^"]*)"|\'([^\']*)\')'
+};
+
+function cucumberExpressionToRegex(expression) {
+    const source = expression
+        .split(/(\{\w*\}|\([^)]*\))/)
+        .map(part => {
+            const parameter = part.match(/^\{(\w*)\}$/);
+            if (parameter) return CUCUMBER_PARAMETER_PATTERNS[parameter[1]] || '(.*)';
+            const optional = part.match(/^\(([^)]*)\)$/);
+            if (optional) return `(?:${escapeRegex(optional[1])})?`;
+            return escapeRegex(part);
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+// Groups recorded elements by the page they were used on, giving each page and
+// element a stable class and property name.
+function buildPageModel(actions) {
+    const pagesByKey = new Map();
+    const usedClassNames = new Set();
+
+    function pageFor(action) {
+        const key = getPageKey(action.url);
+        if (pagesByKey.has(key)) return pagesByKey.get(key);
+
+        const baseName = getPageName(action.url);
+        let displayName = baseName;
+        for (let i = 2; usedClassNames.has(displayName + 'Page'); i++) {
+            displayName = baseName + i;
+        }
+        usedClassNames.add(displayName + 'Page');
+
+        const page = createPage(displayName);
+        pagesByKey.set(key, page);
+        return page;
+    }
+
+    actions.forEach(action => {
+        if (action.selectorValue) pageFor(action);
+    });
+
+    return { pageFor: pageFor };
+}
+
+function createPage(displayName) {
+    const elementsByLocator = new Map();
+    const methodsByName = new Map();
+    const className = displayName + 'Page';
+
+    const page = {
+        displayName: displayName,
+        className: className,
+        fieldName: '_' + className.charAt(0).toLowerCase() + className.slice(1),
+        elements: [],
+        methods: [],
+
+        elementFor(action) {
+            const locatorKey = `${action.selector}:${action.selectorValue}`;
+            if (elementsByLocator.has(locatorKey)) return elementsByLocator.get(locatorKey);
+
+            const baseName = getElementPropertyName(action);
+            let property = baseName;
+            for (let i = 2; page.elements.some(e => e.property === property) || property === className; i++) {
+                property = baseName + i;
+            }
+
+            const element = {
+                property: property,
+                selector: action.selector,
+                selectorValue: action.selectorValue,
+                fallbackSelectors: action.fallbackSelectors || [],
+                locatorHints: action.locatorHints || null
+            };
+            elementsByLocator.set(locatorKey, element);
+            page.elements.push(element);
+            return element;
+        },
+
+        methodFor(step) {
+            const targetProperty = step.targetElement ? step.targetElement.property : null;
+            const name = step.phrase.pageMethod
+                .replace('{element}', step.element.property)
+                .replace('{targetElement}', targetProperty);
+            if (!methodsByName.has(name)) {
+                const method = {
+                    name: name,
+                    params: step.params,
+                    kind: step.kind,
+                    property: step.element.property,
+                    targetProperty: targetProperty
+                };
+                methodsByName.set(name, method);
+                page.methods.push(method);
+            }
+            return name;
+        }
+    };
+
+    return page;
+}
+
+// Gives every recorded element a unique human-readable name for the feature file.
+function buildElementNames(actions) {
+    const elementsByLocator = new Map();
+    const usedNames = new Set();
+
+    function elementFor(action) {
+        const locatorKey = `${action.selector}:${action.selectorValue}`;
+        if (elementsByLocator.has(locatorKey)) return elementsByLocator.get(locatorKey);
+
+        const baseName = getElementLabel(action);
+        let name = baseName;
+        for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+            name = `${baseName} ${i}`;
+        }
+        usedNames.add(name.toLowerCase());
+
+        const element = {
+            name: name,
+            kind: ELEMENT_NOUNS[action.elementKind] ? action.elementKind : getElementKind(action),
+            selector: action.selector,
+            selectorValue: action.selectorValue,
+            fallbackSelectors: action.fallbackSelectors || [],
+            locatorHints: action.locatorHints || null
+        };
+        elementsByLocator.set(locatorKey, element);
+        return element;
+    }
+
+    return { elementFor: elementFor };
+}
+
+function getPageKey(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.origin + parsed.pathname;
+    } catch (e) {
+        return url || '';
+    }
+}
+
+function getPageName(url) {
+    let segments = [];
+    try {
+        segments = new URL(url).pathname.split('/');
+    } catch (e) { }
+
+    const meaningful = segments
+        .map(segment => decodeURIComponent(segment).replace(/\.\w+$/, ''))
+        .filter(segment => segment && !/^[\d-]+$/.test(segment) && !/^[0-9a-f-]{16,}$/i.test(segment));
+
+    const name = toPascalCase(meaningful[meaningful.length - 1] || '');
+    return name || 'Home';
+}
+
+function getElementKind(action) {
+    const tagName = (action.tagName || '').toUpperCase();
+    const elementType = (action.elementType || '').toLowerCase();
+
+    if (action.type === 'checkbox') return 'checkbox';
+    if (action.type === 'radio') return 'radio';
+    if (action.type === 'select' || tagName === 'SELECT') return 'dropdown';
+    if (tagName === 'A') return 'link';
+    if (tagName === 'BUTTON' || ['submit', 'button', 'reset'].includes(elementType)) return 'button';
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA') return 'field';
+    return 'element';
+}
+
+// Falls back to the most descriptive part of the locator for recordings made
+// before the recorder captured element names.
+function getElementLabel(action) {
+    if (action.elementName) return action.elementName;
+
+    const value = action.selectorValue || '';
+    let rawName = '';
+
+    if (action.selector === 'Id' || action.selector === 'Name') {
+        rawName = value;
+    } else {
+        const quoted = value.match(/(?:normalize-space\(\)|@[\w-]+|\[[\w-]+)\s*=\s*"([^"]+)"/);
+        const identifier = value.match(/[#.]([\w-]+)(?!.*[#.[])/);
+        if (quoted) rawName = quoted[1];
+        else if (identifier) rawName = identifier[1];
+        else rawName = (action.tagName || 'element').toLowerCase();
+    }
+
+    const label = rawName
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[-_]+/g, ' ')
+        .replace(/"/g, '')
+        .trim();
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function getElementPropertyName(action) {
+    let name = toPascalCase(getElementLabel(action)).slice(0, 40);
+    if (!name || /^\d/.test(name)) name = 'Element' + name;
+
+    const kind = ELEMENT_NOUNS[action.elementKind] ? action.elementKind : getElementKind(action);
+    const suffix = toPascalCase(kind);
+    return name.endsWith(suffix) ? name : name + suffix;
+}
+
+function toPascalCase(text) {
+    return String(text)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(word => word)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+}
+
+function toCamelCase(text) {
+    const pascal = toPascalCase(String(text).replace(/([A-Z])([A-Z][a-z])/g, '$1 $2'));
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function toSnakeCase(text) {
+    return String(text)
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(word => word)
+        .map(word => word.toLowerCase())
+        .join('_');
+}
+
+function toMethodName(keyword, template, step) {
+    const words = template
+        .replace(/\{element\}/g, step.element ? step.element.property : '')
+        .replace(/\{targetElement\}/g, step.targetElement ? step.targetElement.property : '')
+        .replace(/\{page\}/g, step.page ? step.page.displayName : '')
+        .replace(/\{\w+\}/g, ' ');
+    return keyword + words.split(/[^A-Za-z0-9]+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+}
+
+// Elements recorded with alternative selectors, one entry per primary locator.
+function getFallbackLocators(scenarios, options) {
+    if (!options.fallbackLocators) return [];
+
+    const locators = new Map();
+    getRecordedElements(scenarios).forEach(element => {
+        if (element.selectorValue && element.fallbackSelectors && element.fallbackSelectors.length > 0) {
+            locators.set(`${element.selector}:${element.selectorValue}`, {
+                selector: element.selector,
+                selectorValue: element.selectorValue,
+                fallbackSelectors: element.fallbackSelectors
+            });
+        }
+    });
+    return Array.from(locators.values());
+}
+
+function usesDialogs(scenarios) {
+    return getAllActions(scenarios).some(action => ['assertDialog', 'acceptDialog', 'dismissDialog'].includes(action.type));
+}
+
+function usesShadowDom(scenarios) {
+    return getRecordedElements(scenarios).some(element => element.selector === 'ShadowCssSelector');
+}
+
+// Every element the actions locate: their own and the drop targets of drag-and-drop.
+function getRecordedElements(scenarios) {
+    return getAllActions(scenarios).reduce((elements, action) =>
+        elements.concat(action.target ? [action, action.target] : [action]), []);
+}
+
+// Page readiness: the document has loaded and, optionally, no fetch/XHR requests are pending.
+// The request counter is installed on first use, so requests already in flight at that point are not seen.
+function pageReadyScript(options) {
+    if (!options.waitForRequests) {
+        return `return document.readyState === 'complete';`;
+    }
+
+    return `if (document.readyState !== 'complete') return false;
+            if (!window.__reqnrollPendingRequests) {
+                var pending = window.__reqnrollPendingRequests = { count: 0 };
+                var done = function () { pending.count = Math.max(0, pending.count - 1); };
+                if (window.fetch) {
+                    var fetch = window.fetch;
+                    window.fetch = function () { pending.count++; return fetch.apply(this, arguments).finally(done); };
+                }
+                var send = XMLHttpRequest.prototype.send;
+                XMLHttpRequest.prototype.send = function () { pending.count++; this.addEventListener('loadend', done); return send.apply(this, arguments); };
+            }
+            return window.__reqnrollPendingRequests.count === 0 && !(window.jQuery && window.jQuery.active);`;
+}
+
+// Selenium's mouse actions do not fire the events of HTML5 drag-and-drop, so elements marked
+// draggable="true" are dragged by dispatching them from script: arguments[0] onto arguments[1].
+const HTML5_DRAG_SCRIPT = `var source = arguments[0], target = arguments[1], data = new DataTransfer();
+            var fire = function (el, type) { el.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, composed: true, dataTransfer: data })); };
+            fire(source, 'dragstart');
+            fire(target, 'dragenter');
+            fire(target, 'dragover');
+            fire(target, 'drop');
+            fire(source, 'dragend');`;
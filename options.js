@@ -0,0 +1,179 @@
+if (typeof browser !== 'undefined') globalThis.chrome = browser;
+
+// Matches [Given(@"...")], [When("...")], [StepDefinition(...)] and attribute lists such as [Given(...), When(...)].
+const BINDING_ATTRIBUTE = /(?:\[|,)\s*(?:\w+\.)*(Given|When|Then|StepDefinition)(?:Attribute)?\s*\(\s*(@"(?:[^"]|"")*"|"(?:[^"\\]|\\.)*")/g;
+
+function parseBindings(source, sourceName) {
+    const bindings = [];
+    let match;
+
+    BINDING_ATTRIBUTE.lastIndex = 0;
+    while ((match = BINDING_ATTRIBUTE.exec(source)) !== null) {
+        const literal = match[2];
+        const pattern = literal.startsWith('@')
+            ? literal.slice(2, -1).replace(/""/g, '"')
+            : literal.slice(1, -1).replace(/\\(["\\])/g, '$1');
+
+        bindings.push({ keyword: match[1], pattern: pattern, source: sourceName });
+    }
+
+    return bindings;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const bindingFilesInput = document.getElementById('bindingFiles');
+    const bindingText = document.getElementById('bindingText');
+    const importBtn = document.getElementById('importBtn');
+    const clearBtn = document.getElementById('clearBtn');
+    const bindingStatus = document.getElementById('bindingStatus');
+    const bindingSources = document.getElementById('bindingSources');
+
+    function loadBindings() {
+        chrome.storage.local.get(['existingBindings'], (result) => renderBindings(result.existingBindings || []));
+    }
+
+    // Re-importing a source replaces the bindings previously imported from it.
+    function importBindings(bindings, sourceName) {
+        return new Promise(resolve => {
+            chrome.storage.local.get(['existingBindings'], (result) => {
+                const existing = (result.existingBindings || []).filter(binding => binding.source !== sourceName);
+                chrome.storage.local.set({ existingBindings: existing.concat(bindings) }, resolve);
+                bindingStatus.textContent = `Imported ${bindings.length} bindings from ${sourceName}`;
+            });
+        });
+    }
+
+    function removeSource(sourceName) {
+        chrome.storage.local.get(['existingBindings'], (result) => {
+            const existing = (result.existingBindings || []).filter(binding => binding.source !== sourceName);
+            chrome.storage.local.set({ existingBindings: existing });
+        });
+    }
+
+    function renderBindings(bindings) {
+        bindingSources.textContent = '';
+
+        const sources = new Map();
+        bindings.forEach(binding => {
+            if (!sources.has(binding.source)) sources.set(binding.source, []);
+            sources.get(binding.source).push(binding);
+        });
+
+        sources.forEach((sourceBindings, sourceName) => {
+            const sourceDiv = document.createElement('div');
+            sourceDiv.className = 'source';
+
+            const title = document.createElement('div');
+            title.className = 'source-title';
+            const name = document.createElement('span');
+            name.textContent = `${sourceName} (${sourceBindings.length})`;
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'danger';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => removeSource(sourceName));
+            title.appendChild(name);
+            title.appendChild(removeBtn);
+            sourceDiv.appendChild(title);
+
+            sourceBindings.forEach(binding => {
+                const bindingDiv = document.createElement('div');
+                bindingDiv.className = 'binding';
+                const keyword = document.createElement('span');
+                keyword.className = 'keyword';
+                keyword.textContent = binding.keyword + ' ';
+                bindingDiv.appendChild(keyword);
+                bindingDiv.appendChild(document.createTextNode(binding.pattern));
+                sourceDiv.appendChild(bindingDiv);
+            });
+
+            bindingSources.appendChild(sourceDiv);
+        });
+    }
+
+    bindingFilesInput.addEventListener('change', () => {
+        // One file at a time, so each import sees the bindings stored by the previous one.
+        Array.from(bindingFilesInput.files).reduce((previous, file) => previous
+            .then(() => file.text())
+            .then(text => importBindings(parseBindings(text, file.name), file.name)), Promise.resolve());
+        bindingFilesInput.value = '';
+    });
+
+    importBtn.addEventListener('click', () => {
+        const bindings = parseBindings(bindingText.value, 'Pasted bindings');
+        if (bindings.length === 0) {
+            bindingStatus.textContent = 'No [Given], [When], [Then] or [StepDefinition] attributes found';
+            return;
+        }
+        importBindings(bindings, 'Pasted bindings');
+        bindingText.value = '';
+    });
+
+    clearBtn.addEventListener('click', () => {
+        chrome.storage.local.set({ existingBindings: [] });
+        bindingStatus.textContent = '';
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.existingBindings) {
+            renderBindings(changes.existingBindings.newValue || []);
+        }
+    });
+
+    loadBindings();
+    setUpSelectorConfig();
+});
+
+function setUpSelectorConfig() {
+    const configInputs = document.querySelectorAll('[data-config]');
+
+    function showConfig(config) {
+        configInputs.forEach(input => {
+            const value = config[input.dataset.config];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (Array.isArray(value)) {
+                input.value = value.join('\n');
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    function readInput(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'number') return Math.max(1, parseInt(input.value, 10) || DEFAULT_SELECTOR_CONFIG[input.dataset.config]);
+        return input.value.split('\n').map(line => line.trim()).filter(line => line);
+    }
+
+    function saveInput(input) {
+        const value = readInput(input);
+        if (input.dataset.config.endsWith('Patterns')) {
+            const invalid = value.filter(pattern => compilePatterns([pattern]).length === 0);
+            input.closest('section').querySelector('.config-status').textContent =
+                invalid.length > 0 ? `Not a valid regular expression: ${invalid.join(', ')}` : '';
+        }
+
+        chrome.storage.local.get(['selectorConfig'], (result) => {
+            const config = Object.assign({}, result.selectorConfig, { [input.dataset.config]: value });
+            chrome.storage.local.set({ selectorConfig: config });
+        });
+    }
+
+    configInputs.forEach(input => input.addEventListener('change', () => saveInput(input)));
+
+    // Each section resets only its own settings.
+    document.querySelectorAll('.reset-config').forEach(button => {
+        const section = button.closest('section');
+        button.addEventListener('click', () => {
+            chrome.storage.local.get(['selectorConfig'], (result) => {
+                const config = Object.assign({}, result.selectorConfig);
+                section.querySelectorAll('[data-config]').forEach(input => delete config[input.dataset.config]);
+                chrome.storage.local.set({ selectorConfig: config });
+                showConfig(getSelectorConfig(config));
+            });
+            section.querySelector('.config-status').textContent = '';
+        });
+    });
+
+    chrome.storage.local.get(['selectorConfig'], (result) => showConfig(getSelectorConfig(result.selectorConfig)));
+}
@@ -1,30 +1,134 @@
 document.addEventListener('DOMContentLoaded', () => {
     const startBtn = document.getElementById('startBtn');
     const stopBtn = document.getElementById('stopBtn');
+    const editBtn = document.getElementById('editBtn');
+    const nextScenarioBtn = document.getElementById('nextScenarioBtn');
+    const appendBtn = document.getElementById('appendBtn');
     const featureNameInput = document.getElementById('featureName');
+    const scenarioNameInput = document.getElementById('scenarioName');
+    const lastFeatureNameSpan = document.getElementById('lastFeatureName');
+    const scenarioCountSpan = document.getElementById('scenarioCount');
+    const scenarioCountContainer = document.getElementById('scenarioCountContainer');
     const statusDiv = document.getElementById('status');
     const actionCountSpan = document.getElementById('actionCount');
     const actionCountContainer = document.getElementById('actionCountContainer');
+    const optionInputs = document.querySelectorAll('[data-option]');
+    const targetSelect = document.getElementById('target');
+    const parametersContainer = document.getElementById('parametersContainer');
+    const parameterList = document.getElementById('parameterList');
+    let isRecordingSession = false;
+
+    let generatorTargets = [];
+
+    function findTarget(id) {
+        return generatorTargets.find(target => target.id === id || target.aliases.includes(id));
+    }
+
+    // Hides the options the selected target does not use.
+    function showTargetOptions() {
+        const target = findTarget(targetSelect.value);
+        optionInputs.forEach(input => {
+            if (input === targetSelect) return;
+            const container = input.type === 'checkbox' ? input.closest('label') : input.closest('.control-group');
+            container.classList.toggle('hidden', !!target && !target.options.includes(input.dataset.option));
+        });
+        document.querySelectorAll('.checkbox-group').forEach(group => {
+            group.classList.toggle('hidden', !group.querySelector('label:not(.hidden)'));
+        });
+    }
+
+    function loadOptions() {
+        chrome.storage.local.get(['generatorOptions'], (result) => {
+            const options = result.generatorOptions || {};
+            optionInputs.forEach(input => {
+                if (options[input.dataset.option] === undefined) return;
+                if (input.type === 'checkbox') {
+                    input.checked = options[input.dataset.option];
+                } else if (input === targetSelect) {
+                    const target = findTarget(options.target);
+                    if (target) input.value = target.id;
+                } else {
+                    input.value = options[input.dataset.option];
+                }
+            });
+            showTargetOptions();
+        });
+    }
+
+    chrome.runtime.sendMessage({ command: 'getGeneratorTargets' }, (response) => {
+        generatorTargets = (response && response.targets) || [];
+        generatorTargets.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.id;
+            option.textContent = target.label;
+            targetSelect.appendChild(option);
+        });
+        loadOptions();
+    });
+
+    targetSelect.addEventListener('change', showTargetOptions);
+
+    optionInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            chrome.storage.local.get(['generatorOptions'], (result) => {
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                const options = Object.assign({}, result.generatorOptions, { [input.dataset.option]: value });
+                chrome.storage.local.set({ generatorOptions: options });
+            });
+        });
+    });
+
+    let lastSession = null;
+
+    chrome.storage.local.get(['isRecording', 'featureName', 'actionCount', 'scenarioName', 'completedScenarios', 'lastSession'], (result) => {
+        lastSession = result.lastSession || null;
 
-    chrome.storage.local.get(['isRecording', 'featureName', 'actionCount'], (result) => {
         if (result.isRecording) {
             setRecordingState(true);
             if (result.featureName) featureNameInput.value = result.featureName;
             if (result.actionCount) actionCountSpan.textContent = result.actionCount;
+            if (result.scenarioName) scenarioNameInput.value = result.scenarioName;
+            showScenarioCount((result.completedScenarios || []).length);
         } else {
             setRecordingState(false);
         }
     });
 
-    startBtn.addEventListener('click', () => {
+    function showScenarioCount(count) {
+        scenarioCountSpan.textContent = count;
+        scenarioCountContainer.classList.toggle('hidden', count === 0);
+    }
+
+    function startRecording(append) {
         const featureName = featureNameInput.value.trim() || 'MyFeature';
+        const scenarioName = scenarioNameInput.value.trim();
 
-        chrome.runtime.sendMessage({ command: 'startRecording', featureName: featureName }, (response) => {
+        chrome.runtime.sendMessage({ command: 'startRecording', featureName: featureName, scenarioName: scenarioName, append: append }, (response) => {
             if (response && response.status === 'started') {
                 setRecordingState(true);
                 window.close();
             }
         });
+    }
+
+    startBtn.addEventListener('click', () => startRecording(false));
+    appendBtn.addEventListener('click', () => startRecording(true));
+
+    nextScenarioBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ command: 'nextScenario' }, (response) => {
+            if (response && response.status === 'ok') {
+                chrome.storage.local.get(['scenarioName', 'completedScenarios'], (result) => {
+                    scenarioNameInput.value = result.scenarioName || '';
+                    showScenarioCount((result.completedScenarios || []).length);
+                    statusDiv.textContent = 'Recording next scenario...';
+                });
+            }
+        });
+    });
+
+    scenarioNameInput.addEventListener('change', () => {
+        if (!isRecordingSession) return;
+        chrome.runtime.sendMessage({ command: 'renameScenario', scenarioName: scenarioNameInput.value.trim() });
     });
 
     stopBtn.addEventListener('click', () => {
@@ -36,16 +140,126 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    document.getElementById('settingsLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.runtime.openOptionsPage();
+        window.close();
+    });
+
+    document.getElementById('libraryLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.tabs.create({ url: chrome.runtime.getURL('sessions.html') });
+        window.close();
+    });
+
+    editBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('editor.html') });
+        window.close();
+    });
+
+    function suggestParameterName(action, usedNames) {
+        const words = (action.elementName || action.selectorValue || 'value').split(/[^A-Za-z0-9]+/).filter(word => word);
+        const base = words.map((word, i) => i === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('').slice(0, 30) || 'value';
+
+        let name = base;
+        for (let i = 2; usedNames.has(name); i++) {
+            name = base + i;
+        }
+        return name;
+    }
+
+    // Lists the typed and selected values so they can be turned into Scenario Outline parameters.
+    function renderParameters(actions) {
+        parameterList.textContent = '';
+
+        const usedNames = new Set(actions.filter(action => action.parameter).map(action => action.parameter));
+        const candidates = actions
+            .map((action, index) => ({ action: action, index: index }))
+            .filter(item => ['type', 'enterkey', 'select'].includes(item.action.type) && !item.action.secret);
+
+        candidates.forEach(({ action, index }) => {
+            const row = document.createElement('div');
+            row.className = 'parameter';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !!action.parameter;
+            checkbox.title = 'Use as a Scenario Outline parameter';
+
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'parameter-value';
+            const value = action.type === 'select' ? action.selectedText : action.value;
+            valueSpan.textContent = `${action.elementName || action.selectorValue}: "${value}"`;
+            valueSpan.title = valueSpan.textContent;
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.placeholder = 'name';
+            nameInput.value = action.parameter || '';
+            nameInput.disabled = !action.parameter;
+
+            checkbox.addEventListener('change', () => {
+                const parameter = checkbox.checked ? suggestParameterName(action, usedNames) : null;
+                chrome.runtime.sendMessage({ command: 'updateAction', index: index, changes: { parameter: parameter } });
+            });
+
+            nameInput.addEventListener('change', () => {
+                const parameter = nameInput.value.trim().replace(/[^A-Za-z0-9_]+/g, '_');
+                if (parameter) {
+                    chrome.runtime.sendMessage({ command: 'updateAction', index: index, changes: { parameter: parameter } });
+                }
+            });
+
+            row.appendChild(checkbox);
+            row.appendChild(valueSpan);
+            row.appendChild(nameInput);
+            parameterList.appendChild(row);
+        });
+
+        parametersContainer.classList.toggle('hidden', !isRecordingSession || candidates.length === 0);
+    }
+
+    function loadParameters() {
+        chrome.storage.local.get(['recordedActions'], (result) => renderParameters(result.recordedActions || []));
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes.recordedActions) {
+            renderParameters(changes.recordedActions.newValue || []);
+        }
+        if (changes.lastSession && !isRecordingSession) {
+            lastSession = changes.lastSession.newValue || null;
+            showAppendButton();
+        }
+    });
+
+    function showAppendButton() {
+        appendBtn.classList.toggle('hidden', !lastSession);
+        if (lastSession) lastFeatureNameSpan.textContent = lastSession.featureName;
+    }
+
     function setRecordingState(isRecording) {
+        isRecordingSession = isRecording;
+        loadParameters();
+
         if (isRecording) {
             startBtn.classList.add('hidden');
+            appendBtn.classList.add('hidden');
             stopBtn.classList.remove('hidden');
+            editBtn.classList.remove('hidden');
+            nextScenarioBtn.classList.remove('hidden');
             featureNameInput.disabled = true;
             actionCountContainer.classList.remove('hidden');
             statusDiv.textContent = 'Recording in progress...';
         } else {
             startBtn.classList.remove('hidden');
             stopBtn.classList.add('hidden');
+            editBtn.classList.add('hidden');
+            nextScenarioBtn.classList.add('hidden');
+            showAppendButton();
             featureNameInput.disabled = false;
             actionCountContainer.classList.add('hidden');
             statusDiv.textContent = 'Ready to record';
@@ -0,0 +1,28 @@
+
+// Selector preferences and what counts as sensitive data, edited on the settings page and
+// read by the content script.
+const DEFAULT_SELECTOR_CONFIG = {
+    testAttributes: ['data-testid', 'data-test-id', 'data-test', 'data-qa'],
+    ignoredClassPatterns: ['^atm_', '^css-', '^style-', '^[a-z]\\d+$'],
+    allowTextXPath: true,
+    maxCssDepth: 4,
+    // Password fields are always treated as sensitive.
+    sensitiveSelectors: ['[autocomplete="cc-number"]', '[autocomplete="cc-csc"]', '[autocomplete="one-time-code"]'],
+    // Card numbers and JSON web tokens, wherever they are typed.
+    sensitivePatterns: ['^(\\d[ -]?){12,18}\\d$', '^eyJ[\\w-]+\\.[\\w-]+\\.[\\w-]+$']
+};
+
+function getSelectorConfig(stored) {
+    return Object.assign({}, DEFAULT_SELECTOR_CONFIG, stored);
+}
+
+// Patterns that are not valid regular expressions are skipped rather than breaking recording.
+function compilePatterns(patterns) {
+    return (patterns || []).map(pattern => {
+        try {
+            return new RegExp(pattern);
+        } catch (e) {
+            return null;
+        }
+    }).filter(regex => regex);
+}
@@ -0,0 +1,186 @@
+if (typeof browser !== 'undefined') globalThis.chrome = browser;
+
+const SESSION_FILE_FORMAT = 'reqnroll-recorder-sessions';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const sessionsBody = document.getElementById('sessions');
+    const emptyState = document.getElementById('emptyState');
+    const optionInputs = document.querySelectorAll('[data-option]');
+    const targetSelect = document.getElementById('target');
+    const importBtn = document.getElementById('importBtn');
+    const importFile = document.getElementById('importFile');
+    const importStatus = document.getElementById('importStatus');
+    const downloadAllBtn = document.getElementById('downloadAllBtn');
+
+    let sessions = [];
+    let renderPending = false;
+
+    function send(message, callback) {
+        chrome.runtime.sendMessage(message).then(callback).catch(err => {
+            console.log('Reqnroll Recorder: Could not update the session library', err);
+        });
+    }
+
+    // The generator options are shared with the popup, so a session can be exported
+    // again with another target or output style.
+    function loadOptions(targets) {
+        targets.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.id;
+            option.textContent = target.label;
+            targetSelect.appendChild(option);
+        });
+
+        chrome.storage.local.get(['generatorOptions'], (result) => {
+            const options = result.generatorOptions || {};
+            const target = targets.find(known => known.id === options.target || known.aliases.includes(options.target));
+            if (target) targetSelect.value = target.id;
+            optionInputs.forEach(input => {
+                if (input !== targetSelect && options[input.dataset.option] !== undefined) {
+                    input.value = options[input.dataset.option];
+                }
+            });
+        });
+    }
+
+    optionInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            chrome.storage.local.get(['generatorOptions'], (result) => {
+                const options = Object.assign({}, result.generatorOptions, { [input.dataset.option]: input.value });
+                chrome.storage.local.set({ generatorOptions: options });
+            });
+        });
+    });
+
+    function countSteps(session) {
+        return session.scenarios.reduce((count, scenario) => count + scenario.actions.length, 0);
+    }
+
+    function downloadJson(list, filename) {
+        const content = JSON.stringify({ format: SESSION_FILE_FORMAT, version: 1, sessions: list }, null, 2);
+        const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    function toFileName(name) {
+        return (name || 'recording').replace(/[^A-Za-z0-9_-]+/g, '_');
+    }
+
+    function createButton(label, title, onClick, className) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        if (className) button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function createCell(text, className) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (className) cell.className = className;
+        return cell;
+    }
+
+    function createRow(session) {
+        const row = document.createElement('tr');
+
+        const nameCell = document.createElement('td');
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = session.name || session.featureName;
+        nameInput.addEventListener('change', () => {
+            send({ command: 'renameSession', id: session.id, name: nameInput.value.trim() || session.featureName });
+        });
+        nameCell.appendChild(nameInput);
+        row.appendChild(nameCell);
+
+        row.appendChild(createCell(session.featureName));
+        row.appendChild(createCell(session.date ? new Date(session.date).toLocaleString() : '', 'date'));
+        const urlCell = createCell(session.startUrl, 'url');
+        urlCell.title = session.startUrl;
+        row.appendChild(urlCell);
+        const scenarioCount = session.scenarios.length;
+        row.appendChild(createCell(`${countSteps(session)}${scenarioCount > 1 ? ` in ${scenarioCount} scenarios` : ''}`, 'count'));
+
+        const buttonsCell = document.createElement('td');
+        buttonsCell.className = 'buttons';
+        buttonsCell.appendChild(createButton('Export', 'Generate the feature and step files with the options above',
+            () => send({ command: 'exportSession', id: session.id })));
+        buttonsCell.appendChild(createButton('Continue', 'Make this the session "Add Scenario to ..." in the popup appends to',
+            () => send({ command: 'openSession', id: session.id }, () => {
+                importStatus.textContent = `"Add Scenario to ${session.featureName}" in the popup now continues this session.`;
+            })));
+        buttonsCell.appendChild(createButton('Duplicate', 'Copy this session',
+            () => send({ command: 'duplicateSession', id: session.id })));
+        buttonsCell.appendChild(createButton('JSON', 'Download the raw recording to share it',
+            () => downloadJson([session], `${toFileName(session.name || session.featureName)}.recording.json`)));
+        buttonsCell.appendChild(createButton('✕', 'Delete', () => {
+            if (confirm(`Delete the recording "${session.name || session.featureName}"?`)) {
+                send({ command: 'deleteSession', id: session.id });
+            }
+        }, 'danger'));
+        row.appendChild(buttonsCell);
+
+        return row;
+    }
+
+    function render() {
+        renderPending = false;
+        sessionsBody.textContent = '';
+        sessions.forEach(session => sessionsBody.appendChild(createRow(session)));
+        emptyState.classList.toggle('hidden', sessions.length > 0);
+        downloadAllBtn.disabled = sessions.length === 0;
+    }
+
+    importBtn.addEventListener('click', () => importFile.click());
+
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        importFile.value = '';
+        if (!file) return;
+
+        file.text().then(text => {
+            const data = JSON.parse(text);
+            // A single exported session is accepted as well as the library format.
+            const list = Array.isArray(data.sessions) ? data.sessions : [data];
+            send({ command: 'importSessions', sessions: list }, (response) => {
+                importStatus.textContent = `Imported ${response.count} recording(s)` +
+                    (response.skipped ? `, skipped ${response.skipped} without recorded scenarios.` : '.');
+            });
+        }).catch(err => {
+            importStatus.textContent = `Could not read ${file.name}: ${err.message}`;
+        });
+    });
+
+    downloadAllBtn.addEventListener('click', () => downloadJson(sessions, 'reqnroll-recordings.json'));
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes.savedSessions) return;
+
+        sessions = changes.savedSessions.newValue || [];
+        // Re-rendering would throw away a name that is being typed.
+        if (sessionsBody.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') {
+            renderPending = true;
+        } else {
+            render();
+        }
+    });
+
+    sessionsBody.addEventListener('focusout', (e) => {
+        if (renderPending && !sessionsBody.contains(e.relatedTarget)) render();
+    });
+
+    chrome.runtime.sendMessage({ command: 'getGeneratorTargets' }, (response) => {
+        loadOptions((response && response.targets) || []);
+    });
+
+    chrome.storage.local.get(['savedSessions'], (result) => {
+        sessions = result.savedSessions || [];
+        render();
+    });
+});
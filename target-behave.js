@@ -0,0 +1,598 @@
+// Behave step definitions in Python, driving the browser with Selenium WebDriver through a
+// generated RecordedSession. The feature goes in features/ and every .py file in features/steps/.
+
+function toPythonString(text) {
+    return JSON.stringify(String(text));
+}
+
+function toPythonLocator(selectorType, selectorValue) {
+    const value = toPythonString(selectorValue);
+    switch ((selectorType || '').toLowerCase()) {
+        case 'id': return `(By.ID, ${value})`;
+        case 'name': return `(By.NAME, ${value})`;
+        case 'xpath': return `(By.XPATH, ${value})`;
+        case 'tagname': return `(By.TAG_NAME, ${value})`;
+        case 'shadowcssselector': return `("shadow", ${value})`;
+        default: return `(By.CSS_SELECTOR, ${value})`;
+    }
+}
+
+function toPythonConstant(text) {
+    return toSnakeCase(text).toUpperCase();
+}
+
+function renderPythonSessionCall(session, kind, locator, targetLocator) {
+    const args = renderSessionArgs(kind, locator, param => toSnakeCase(param), value => (value ? 'True' : 'False'), targetLocator);
+    return `${session}.${toSnakeCase(SESSION_CALLS[kind].method)}(${args})`;
+}
+
+// Behave tells Given, When and Then apart, so a step gets a decorator for each keyword it is written with.
+function renderPythonBinding(step) {
+    let body;
+    if (step.page && step.kind !== 'placeholder' && isAssertionStep(step)) {
+        body = renderPythonSessionCall('get_session(context)', step.kind, `${step.page.className}.${toPythonConstant(step.element.property)}`);
+    } else if (step.page) {
+        const args = step.params.map(toSnakeCase).join(', ');
+        body = `${step.page.className}(get_session(context)).${toSnakeCase(step.page.methodFor(step))}(${args})`;
+    } else if (step.params.includes('selectorType')) {
+        body = renderPythonSessionCall('get_session(context)', step.kind, 'to_locator(selector_type, selector_value)',
+            'to_locator(target_selector_type, target_selector_value)');
+    } else if (step.params.includes('elementName')) {
+        body = renderPythonSessionCall('get_session(context)', step.kind, 'element(element_name)', 'element(target_element_name)');
+    } else {
+        body = renderPythonSessionCall('get_session(context)', step.kind);
+    }
+
+    const decorators = step.phrase.keywords
+        .map(keyword => `@${keyword.toLowerCase()}(${toPythonString(`^${step.pattern}$`)})\n`)
+        .join('');
+    // Behave hands the DocString over as context.text rather than as an argument.
+    const params = ['context'].concat(step.params.filter(param => param !== step.docStringParam).map(toSnakeCase)).join(', ');
+    const docString = step.docStringParam ? `${toSnakeCase(step.docStringParam)} = context.text\n    ` : '';
+
+    return `
+
+${decorators}def ${toSnakeCase(getBindingMethodName(step))}(${params}):
+    ${docString}${body}
+`;
+}
+
+// thirdParty and local are import lines, grouped the way isort would.
+function generatePythonStepsModule(steps, thirdParty, local, preamble) {
+    const keywords = ['given', 'when', 'then']
+        .filter(keyword => steps.some(step => step.phrase.keywords.some(k => k.toLowerCase() === keyword)));
+    if (keywords.length) thirdParty = [`from behave import ${keywords.join(', ')}, use_step_matcher`].concat(thirdParty);
+
+    return `${thirdParty.join('\n')}
+
+${local.join('\n')}
+${preamble || ''}${keywords.length ? `
+use_step_matcher("re")
+${steps.map(renderPythonBinding).join('')}
+
+use_step_matcher("parse")
+` : ''}`;
+}
+
+function generatePythonStepsFile(scenarios, featureName, options) {
+    const plan = planSharedBindings(scenarios, options);
+    const steps = plan.featureBindings;
+    if (!plan.registerElements && steps.length === 0) return '';
+
+    const thirdParty = [];
+    const sessionImports = [];
+    let preamble = '';
+    if (steps.length) sessionImports.push('get_session');
+    if (plan.registerElements) {
+        const elements = getStepElements(plan.steps);
+        thirdParty.push('from selenium.webdriver.common.by import By');
+        sessionImports.push('register_elements');
+        preamble = `
+register_elements({
+${elements.map(element => `    ${toPythonString(element.name)}: ${toPythonLocator(element.selector, element.selectorValue)},\n`).join('')}})
+`;
+    }
+
+    const local = [`from recorded_session import ${sessionImports.join(', ')}`];
+    const pages = [];
+    steps.forEach(step => {
+        if (step.page && !pages.includes(step.page.className)) pages.push(step.page.className);
+    });
+    if (pages.length) local.push(`from ${toSnakeCase(featureName)}_pages import ${pages.join(', ')}`);
+
+    return generatePythonStepsModule(steps, thirdParty, local, preamble);
+}
+
+function generatePythonSharedStepsFile(scenarios, options) {
+    const plan = planSharedBindings(scenarios, options);
+    const sessionImports = ['get_session'];
+    if (options.outputStyle === 'readable') sessionImports.push('element');
+    else if (options.outputStyle !== 'pageObjects') sessionImports.push('to_locator');
+
+    const className = SHARED_STEP_CLASSES[options.outputStyle] || SHARED_STEP_CLASSES.selectors;
+    return {
+        filename: `${toSnakeCase(className)}.py`,
+        content: generatePythonStepsModule(plan.sharedBindings, [], [`from recorded_session import ${sessionImports.join(', ')}`])
+    };
+}
+
+function generatePythonPagesFile(scenarios, featureName) {
+    const steps = buildSteps(getAllActions(scenarios), { outputStyle: 'pageObjects' });
+
+    const pages = [];
+    steps.forEach(step => {
+        if (!step.page) return;
+        if (!pages.includes(step.page)) pages.push(step.page);
+        if (!isAssertionStep(step)) step.page.methodFor(step);
+    });
+
+    return `"""The pages visited while recording the ${featureName} feature."""
+
+from selenium.webdriver.common.by import By
+${pages.map(page => `
+
+class ${page.className}:
+${page.elements.map(element => `    ${toPythonConstant(element.property)} = ${toPythonLocator(element.selector, element.selectorValue)}\n`).join('')}
+    def __init__(self, session):
+        self.session = session
+${page.methods.map(method => `
+    def ${toSnakeCase(method.name)}(${['self'].concat(method.params.map(toSnakeCase)).join(', ')}):
+        ${renderPythonSessionCall('self.session', method.kind, `self.${toPythonConstant(method.property)}`,
+            method.targetProperty && `self.${toPythonConstant(method.targetProperty)}`)}
+`).join('')}`).join('')}`;
+}
+
+function generatePythonSessionFile(options) {
+    const waitTimeout = Number(options.waitTimeout) || DEFAULT_GENERATOR_OPTIONS.waitTimeout;
+    const pageReady = pageReadyScript(options).replace(/\s*\n\s*/g, ' ');
+
+    return `"""The browser the recorded steps drive.
+
+get_session uses context.browser when environment.py sets one up, and otherwise starts
+Chrome for the scenario.
+"""
+
+import os
+import re
+
+from selenium import webdriver
+from selenium.common.exceptions import (
+    NoAlertPresentException,
+    NoSuchElementException,
+    StaleElementReferenceException,
+    TimeoutException,
+    WebDriverException,
+)
+from selenium.webdriver.common.action_chains import ActionChains
+from selenium.webdriver.common.by import By
+from selenium.webdriver.common.keys import Keys
+from selenium.webdriver.support import expected_conditions
+from selenium.webdriver.support.ui import Select, WebDriverWait
+
+WAIT_TIMEOUT = ${waitTimeout}
+TEST_DATA_FOLDER = ${toPythonString(getTestDataFolder(options))}
+PAGE_READY_SCRIPT = ${toPythonString(pageReady)}
+HTML5_DRAG_SCRIPT = ${toPythonString(HTML5_DRAG_SCRIPT.replace(/\s*\n\s*/g, ' '))}
+DROPDOWN_OPTIONS = ${toPythonString(DROPDOWN_OPTION_SELECTOR)}
+
+BY_SELECTOR_TYPE = {
+    "id": By.ID,
+    "xpath": By.XPATH,
+    "name": By.NAME,
+    "tagname": By.TAG_NAME,
+    "cssselector": By.CSS_SELECTOR,
+}
+
+# Filled by each feature's steps module when Behave loads it.
+ELEMENTS = {}
+
+
+def register_elements(elements):
+    ELEMENTS.update(elements)
+
+
+def element(name):
+    if name not in ELEMENTS:
+        raise KeyError(f'No element named "{name}" was registered')
+    return ELEMENTS[name]
+
+
+def to_locator(selector_type, selector_value):
+    if selector_type.lower() == "shadowcssselector":
+        return ("shadow", selector_value)
+    return (BY_SELECTOR_TYPE.get(selector_type.lower(), By.CSS_SELECTOR), selector_value)
+
+
+def get_session(context):
+    if not hasattr(context, "recorded_session"):
+        driver = getattr(context, "browser", None)
+        if driver is None:
+            driver = webdriver.Chrome()
+            context.add_cleanup(driver.quit)
+        context.recorded_session = RecordedSession(driver)
+    return context.recorded_session
+
+
+def normalize_text(text):
+    return re.sub(r"\\s+", " ", text or "").strip()
+
+
+class RecordedSession:
+    def __init__(self, driver):
+        self.driver = driver
+        self.wait = WebDriverWait(
+            driver, WAIT_TIMEOUT, ignored_exceptions=[NoSuchElementException, StaleElementReferenceException]
+        )
+        # Window handles in the order the tabs were opened, and the tabs to return to when one is closed.
+        self.windows = []
+        self.return_windows = []
+        self.current_window = None
+
+    def find(self, locator):
+        by, value = locator
+        if by != "shadow":
+            return self.driver.find_element(by, value)
+
+        # "host >>> host >>> element": each host's shadow root holds the next part.
+        parts = value.split(" >>> ")
+        root = self.driver
+        for part in parts[:-1]:
+            root = root.find_element(By.CSS_SELECTOR, part).shadow_root
+        return root.find_element(By.CSS_SELECTOR, parts[-1])
+
+    def wait_for_page_ready(self):
+        try:
+            WebDriverWait(self.driver, WAIT_TIMEOUT, ignored_exceptions=[WebDriverException]).until(
+                lambda driver: self.is_dialog_open() or driver.execute_script(PAGE_READY_SCRIPT) is True
+            )
+        except TimeoutException:
+            # A page that never settles (long-polling, streaming) should not fail the step.
+            pass
+
+    def is_dialog_open(self):
+        # Any other command would have the driver dismiss an open dialog before its step answers it.
+        try:
+            self.driver.switch_to.alert
+            return True
+        except NoAlertPresentException:
+            return False
+
+    def wait_for_visible(self, locator):
+        def visible(driver):
+            found = self.find(locator)
+            return found if found.is_displayed() else None
+
+        return self.wait.until(visible)
+
+    def wait_for_clickable(self, locator):
+        def clickable(driver):
+            found = self.find(locator)
+            # Checkboxes and radio buttons are often hidden behind custom styling.
+            is_toggle = found.tag_name.lower() == "input" and found.get_attribute("type") in ("checkbox", "radio")
+            return found if (found.is_displayed() or is_toggle) and found.is_enabled() else None
+
+        return self.wait.until(clickable)
+
+    def navigate_to(self, url):
+        self.driver.get(url)
+        self.wait_for_page_ready()
+
+    def navigate_back(self):
+        self.driver.back()
+        self.wait_for_page_ready()
+
+    def navigate_forward(self):
+        self.driver.forward()
+        self.wait_for_page_ready()
+
+    def refresh_page(self):
+        self.driver.refresh()
+        self.wait_for_page_ready()
+
+    def click(self, locator):
+        found = self.wait_for_clickable(locator)
+        ActionChains(self.driver).move_to_element(found).perform()
+        found.click()
+        self.wait_for_page_ready()
+
+    def hover(self, locator):
+        ActionChains(self.driver).move_to_element(self.wait_for_visible(locator)).perform()
+
+    def double_click(self, locator):
+        ActionChains(self.driver).double_click(self.wait_for_clickable(locator)).perform()
+        self.wait_for_page_ready()
+
+    def right_click(self, locator):
+        ActionChains(self.driver).context_click(self.wait_for_clickable(locator)).perform()
+        self.wait_for_page_ready()
+
+    def drag_and_drop(self, source, target):
+        source_element = self.wait_for_visible(source)
+        target_element = self.wait_for_visible(target)
+        if source_element.get_attribute("draggable") == "true":
+            self.driver.execute_script(HTML5_DRAG_SCRIPT, source_element, target_element)
+        else:
+            # The first small move gets past the drag threshold of pointer-based drag libraries.
+            ActionChains(self.driver).click_and_hold(source_element).move_by_offset(10, 10).move_to_element(
+                target_element
+            ).release().perform()
+        self.wait_for_page_ready()
+
+    def scroll_to(self, locator):
+        # Lazily loaded content only appears once the page is scrolled down to it.
+        def loaded(driver):
+            try:
+                return self.find(locator)
+            except NoSuchElementException:
+                driver.execute_script("window.scrollBy(0, window.innerHeight);")
+                return None
+
+        ActionChains(self.driver).scroll_to_element(self.wait.until(loaded)).perform()
+        self.wait_for_page_ready()
+
+    def type_text(self, locator, text):
+        found = self.wait_for_clickable(locator)
+        found.clear()
+        found.send_keys(text)
+
+    def type_text_and_press_enter(self, locator, text):
+        found = self.wait_for_clickable(locator)
+        found.clear()
+        found.send_keys(text, Keys.ENTER)
+        self.wait_for_page_ready()
+
+    def type_rich_text(self, locator, text):
+        # A contenteditable editor cannot be cleared: its content is selected for the text to replace.
+        # Editors that drop keys sent by WebDriver get the text from the insertText command instead.
+        # Line breaks are typed as Shift+Enter, which chat composers keep in the text.
+        found = self.wait_for_clickable(locator)
+        found.click()
+        found.send_keys(Keys.CONTROL, "a")
+        found.send_keys(text.replace("\\n", Keys.SHIFT + Keys.ENTER + Keys.NULL))
+        if normalize_text(found.text) != normalize_text(text):
+            self.driver.execute_script(
+                "arguments[0].focus(); document.getSelection().selectAllChildren(arguments[0]); "
+                "document.execCommand('insertText', false, arguments[1]);", found, text)
+
+    @staticmethod
+    def secret(secret_name):
+        # A step's <password> is read from the environment variable SECRET_PASSWORD; the value is
+        # never written into the feature file.
+        variable = "SECRET_" + secret_name.upper()
+        if variable not in os.environ:
+            raise KeyError(f"Set the environment variable {variable} to the value of <{secret_name}>.")
+        return os.environ[variable]
+
+    @staticmethod
+    def test_data_file(file_name):
+        # Files to upload are looked up in TEST_DATA_FOLDER, relative to where Behave runs, or in
+        # the folder the TEST_DATA_FOLDER environment variable names.
+        folder = os.environ.get("TEST_DATA_FOLDER", TEST_DATA_FOLDER)
+        path = os.path.abspath(os.path.join(folder, file_name))
+        if not os.path.isfile(path):
+            raise FileNotFoundError(f"Put {file_name} into {folder} for the upload step.")
+        return path
+
+    def upload_files(self, locator, file_names):
+        paths = [self.test_data_file(name.strip()) for name in file_names.split(",")]
+        # File inputs are often hidden behind a drop zone; WebDriver sends the paths to them all the same.
+        self.wait.until(lambda driver: self.find(locator)).send_keys("\\n".join(paths))
+        self.wait_for_page_ready()
+
+    def type_secret(self, locator, secret_name):
+        self.type_text(locator, self.secret(secret_name))
+
+    def type_secret_and_press_enter(self, locator, secret_name):
+        self.type_text_and_press_enter(locator, self.secret(secret_name))
+
+    @staticmethod
+    def to_key(name):
+        # Keys are written like "Control+Shift+S": the recorded key names (Escape, ArrowDown, F5, ...)
+        # are those of Selenium's Keys constants, and Space and Plus stand for " " and "+".
+        if name == "Plus":
+            return "+"
+        if len(name) == 1:
+            return name.lower()
+        return getattr(Keys, re.sub(r"([a-z])([A-Z0-9])", r"\\1_\\2", name).upper())
+
+    def press_keys(self, keys):
+        # Pressed together: every key goes down in order, then comes up in reverse.
+        names = keys.split("+")
+        actions = ActionChains(self.driver)
+        for name in names:
+            actions.key_down(self.to_key(name))
+        for name in reversed(names):
+            actions.key_up(self.to_key(name))
+        actions.perform()
+        self.wait_for_page_ready()
+
+    def press_keys_in(self, locator, keys):
+        found = self.wait_for_clickable(locator)
+        # Focused without a click, which could move the caret or close an open suggestion list.
+        self.driver.execute_script("arguments[0].focus();", found)
+        self.press_keys(keys)
+
+    def select_option(self, locator, option_text):
+        # Only a <select> is a native dropdown; custom ones are opened and their option clicked.
+        found = self.wait_for_clickable(locator)
+        if found.tag_name.lower() == "select":
+            Select(found).select_by_visible_text(option_text)
+        else:
+            found.click()
+            self.click_dropdown_option(option_text)
+        self.wait_for_page_ready()
+
+    def search_and_select_option(self, locator, filter_text, option_text):
+        # Type-ahead dropdowns filter their options by the text typed into them once opened.
+        self.wait_for_clickable(locator).click()
+        self.driver.switch_to.active_element.send_keys(filter_text)
+        self.click_dropdown_option(option_text)
+        self.wait_for_page_ready()
+
+    def click_dropdown_option(self, option_text):
+        # Custom dropdowns (React-Select, MUI, Ant Design, ARIA listboxes) render their options once
+        # opened, often elsewhere in the page; the option is the visible one with the text.
+        def visible_option(driver):
+            for candidate in driver.find_elements(By.CSS_SELECTOR, DROPDOWN_OPTIONS):
+                if candidate.is_displayed() and normalize_text(candidate.text) == normalize_text(option_text):
+                    return candidate
+            return None
+
+        self.wait.until(visible_option).click()
+
+    def set_checked(self, locator, checked):
+        found = self.wait_for_clickable(locator)
+        if found.is_selected() != checked:
+            found.click()
+            self.wait_for_page_ready()
+
+    def wait_for_value(self, read, is_expected):
+        value = None
+
+        def check(driver):
+            nonlocal value
+            value = read()
+            return is_expected(value)
+
+        try:
+            self.wait.until(check)
+        except TimeoutException:
+            # Fall through so the assertion reports the last value seen.
+            pass
+        return value
+
+    def assert_visible(self, locator):
+        visible = self.wait_for_value(lambda: self.find(locator).is_displayed(), lambda value: value)
+        assert visible, f"Expected element {locator} to be visible"
+
+    def assert_text(self, locator, expected):
+        actual = self.wait_for_value(lambda: normalize_text(self.find(locator).text), lambda value: value == expected)
+        assert actual == expected, f'Expected text "{expected}" but found "{actual}"'
+
+    def assert_text_contains(self, locator, expected):
+        actual = self.wait_for_value(lambda: normalize_text(self.find(locator).text), lambda value: expected in value)
+        assert actual is not None and expected in actual, f'Expected "{actual}" to contain "{expected}"'
+
+    def assert_value(self, locator, expected):
+        actual = self.wait_for_value(lambda: self.find(locator).get_attribute("value"), lambda value: value == expected)
+        assert actual == expected, f'Expected value "{expected}" but found "{actual}"'
+
+    def is_checked(self, locator):
+        found = self.find(locator)
+        aria_checked = found.get_attribute("aria-checked")
+        if aria_checked is not None and found.tag_name.lower() != "input":
+            return aria_checked == "true"
+        return found.is_selected()
+
+    def assert_checked(self, locator, expected):
+        actual = self.wait_for_value(lambda: self.is_checked(locator), lambda value: value == expected)
+        assert actual == expected, f"Expected element {locator} to be {'checked' if expected else 'unchecked'}"
+
+    def assert_url_contains(self, expected):
+        actual = self.wait_for_value(lambda: self.driver.current_url, lambda value: expected in value)
+        assert actual is not None and expected in actual, f'Expected URL "{actual}" to contain "{expected}"'
+
+    def assert_title(self, expected):
+        actual = self.wait_for_value(lambda: self.driver.title, lambda value: value == expected)
+        assert actual == expected, f'Expected title "{expected}" but found "{actual}"'
+
+    def wait_for_dialog(self):
+        return WebDriverWait(self.driver, WAIT_TIMEOUT).until(expected_conditions.alert_is_present())
+
+    def assert_dialog_text(self, expected):
+        actual = normalize_text(self.wait_for_dialog().text)
+        assert actual == expected, f'Expected the dialog "{expected}" but it said "{actual}"'
+
+    def accept_dialog(self):
+        self.wait_for_dialog().accept()
+        self.wait_for_page_ready()
+
+    def dismiss_dialog(self):
+        self.wait_for_dialog().dismiss()
+        self.wait_for_page_ready()
+
+    def answer_prompt(self, text):
+        dialog = self.wait_for_dialog()
+        dialog.send_keys(text)
+        dialog.accept()
+        self.wait_for_page_ready()
+
+    def track_windows(self):
+        if not self.windows:
+            self.current_window = self.driver.current_window_handle
+            self.windows.append(self.current_window)
+
+    def switch_to_new_window(self):
+        self.track_windows()
+        handle = self.wait.until(
+            lambda driver: next((h for h in driver.window_handles if h not in self.windows), None)
+        )
+        self.windows.append(handle)
+        self.return_windows.append(self.current_window)
+        self.current_window = handle
+        self.driver.switch_to.window(handle)
+        self.wait_for_page_ready()
+
+    def switch_to_window(self, tab_number):
+        self.track_windows()
+        self.return_windows.append(self.current_window)
+        self.current_window = self.windows[int(tab_number) - 1]
+        self.driver.switch_to.window(self.current_window)
+        self.wait_for_page_ready()
+
+    def close_window_and_return(self):
+        self.track_windows()
+        # Popups such as sign-in windows often close themselves.
+        if self.current_window in self.driver.window_handles:
+            self.driver.switch_to.window(self.current_window)
+            self.driver.close()
+
+        open_windows = self.driver.window_handles
+        while self.return_windows and self.return_windows[-1] not in open_windows:
+            self.return_windows.pop()
+        self.current_window = self.return_windows.pop() if self.return_windows else open_windows[0]
+        self.driver.switch_to.window(self.current_window)
+        self.wait_for_page_ready()
+
+    # Levels are separated by " > "; each is the frame's id or name, src=<part of its src>
+    # or index=<position in the parent>.
+    def switch_to_frame(self, frame_path):
+        self.driver.switch_to.default_content()
+        for frame in frame_path.split(" > "):
+            if frame.startswith("index="):
+                target = int(frame[len("index="):])
+            elif frame.startswith("src="):
+                src = frame[len("src="):]
+                target = (By.CSS_SELECTOR, f"iframe[src*='{src}'], frame[src*='{src}']")
+            else:
+                target = frame
+            self.wait.until(lambda driver: self.enter_frame(target))
+
+    def enter_frame(self, target):
+        if isinstance(target, tuple):
+            target = self.driver.find_element(*target)
+        self.driver.switch_to.frame(target)
+        return True
+
+    def switch_to_main_page(self):
+        self.driver.switch_to.default_content()
+`;
+}
+
+registerGeneratorTarget('behave', {
+    label: 'Behave + Selenium (Python)',
+    options: ['outputStyle', 'waitTimeout', 'waitForRequests', 'testDataFolder'],
+    featureFileName: featureName => `${toSnakeCase(featureName)}.feature`,
+    generateStepFiles: (scenarios, featureName, options) => {
+        const moduleName = toSnakeCase(featureName);
+        const files = [
+            { filename: `${moduleName}_steps.py`, content: generatePythonStepsFile(scenarios, featureName, options) },
+            generatePythonSharedStepsFile(scenarios, options)
+        ];
+        if (options.outputStyle === 'pageObjects') {
+            files.push({ filename: `${moduleName}_pages.py`, content: generatePythonPagesFile(scenarios, featureName) });
+        }
+        files.push({ filename: 'recorded_session.py', content: generatePythonSessionFile(options) });
+        return files;
+    }
+});
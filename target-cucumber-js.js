@@ -0,0 +1,623 @@
+// Cucumber.js step definitions (CommonJS), driving the browser with selenium-webdriver through a
+// generated RecordedSession. The feature goes in features/ and the .js files in features/step_definitions/.
+
+function toKebabCase(text) {
+    return toSnakeCase(text).replace(/_/g, '-');
+}
+
+function toJsString(text) {
+    return JSON.stringify(String(text));
+}
+
+function toJsLocator(selectorType, selectorValue) {
+    const value = toJsString(selectorValue);
+    switch ((selectorType || '').toLowerCase()) {
+        case 'id': return `By.id(${value})`;
+        case 'name': return `By.name(${value})`;
+        case 'xpath': return `By.xpath(${value})`;
+        case 'shadowcssselector': return `shadowChain(${value})`;
+        default: return `By.css(${value})`;
+    }
+}
+
+function getJsStepsFileName(className) {
+    return `${toKebabCase(className).replace(/-steps$/, '')}.steps.js`;
+}
+
+function renderJsSessionCall(session, kind, locator, targetLocator) {
+    return `await ${session}.${SESSION_CALLS[kind].method}(${renderSessionArgs(kind, locator, param => param, value => String(value), targetLocator)});`;
+}
+
+// Cucumber.js matches steps whatever their keyword, so each pattern is bound once.
+function renderJsBinding(step) {
+    let body;
+    if (step.page && step.kind !== 'placeholder' && isAssertionStep(step)) {
+        body = renderJsSessionCall('this.session', step.kind, `new ${step.page.className}(this.session).${toCamelCase(step.element.property)}`);
+    } else if (step.page) {
+        body = `await new ${step.page.className}(this.session).${toCamelCase(step.page.methodFor(step))}(${step.params.join(', ')});`;
+    } else if (step.params.includes('selectorType')) {
+        body = renderJsSessionCall('this.session', step.kind, 'toLocator(selectorType, selectorValue)', 'toLocator(targetSelectorType, targetSelectorValue)');
+    } else if (step.params.includes('elementName')) {
+        body = renderJsSessionCall('this.session', step.kind, 'element(elementName)', 'element(targetElementName)');
+    } else {
+        body = renderJsSessionCall('this.session', step.kind);
+    }
+
+    const pattern = `^${step.pattern}$`.replace(/\//g, '\\/');
+    return `
+${step.keyword}(/${pattern}/, async function (${step.params.join(', ')}) {
+    ${body}
+});
+`;
+}
+
+function generateJsStepsModule(steps, requires, preamble) {
+    const keywords = ['Given', 'When', 'Then'].filter(keyword => steps.some(step => step.keyword === keyword));
+    if (keywords.length) requires = [`const { ${keywords.join(', ')} } = require('@cucumber/cucumber');`].concat(requires);
+
+    return `${requires.join('\n')}
+${preamble || ''}${steps.map(renderJsBinding).join('')}`;
+}
+
+function generateJsStepsFile(scenarios, featureName, options) {
+    const plan = planSharedBindings(scenarios, options);
+    const steps = plan.featureBindings;
+    if (!plan.registerElements && steps.length === 0) return '';
+
+    const requires = [];
+    let preamble = '';
+    if (plan.registerElements) {
+        const elements = getStepElements(plan.steps);
+        requires.push("const { By } = require('selenium-webdriver');");
+        const usesShadowChain = elements.some(element => /^shadowcssselector$/i.test(element.selector || ''));
+        requires.push(`const { registerElements${usesShadowChain ? ', shadowChain' : ''} } = require('./recorded-session');`);
+        preamble = `
+registerElements({
+${elements.map(element => `    ${toJsString(element.name)}: ${toJsLocator(element.selector, element.selectorValue)},\n`).join('')}});
+`;
+    }
+
+    const pages = [];
+    steps.forEach(step => {
+        if (step.page && !pages.includes(step.page.className)) pages.push(step.page.className);
+    });
+    if (pages.length) requires.push(`const { ${pages.join(', ')} } = require('./${toKebabCase(featureName)}.pages');`);
+
+    return generateJsStepsModule(steps, requires, preamble);
+}
+
+function generateJsSharedStepsFile(scenarios, options) {
+    const plan = planSharedBindings(scenarios, options);
+    const requires = [];
+    if (options.outputStyle === 'readable') {
+        requires.push("const { element } = require('./recorded-session');");
+    } else if (options.outputStyle !== 'pageObjects') {
+        requires.push("const { toLocator } = require('./recorded-session');");
+    }
+
+    const className = SHARED_STEP_CLASSES[options.outputStyle] || SHARED_STEP_CLASSES.selectors;
+    return { filename: getJsStepsFileName(className), content: generateJsStepsModule(plan.sharedBindings, requires) };
+}
+
+function generateJsPagesFile(scenarios, featureName) {
+    const steps = buildSteps(getAllActions(scenarios), { outputStyle: 'pageObjects' });
+
+    const pages = [];
+    steps.forEach(step => {
+        if (!step.page) return;
+        if (!pages.includes(step.page)) pages.push(step.page);
+        if (!isAssertionStep(step)) step.page.methodFor(step);
+    });
+    const needsShadowChain = pages.some(page => page.elements.some(element => /^shadowcssselector$/i.test(element.selector || '')));
+
+    return `// The pages visited while recording the ${featureName} feature.
+const { By } = require('selenium-webdriver');
+${needsShadowChain ? "const { shadowChain } = require('./recorded-session');\n" : ''}${pages.map(page => `
+class ${page.className} {
+    constructor(session) {
+        this.session = session;
+${page.elements.map(element => `        this.${toCamelCase(element.property)} = ${toJsLocator(element.selector, element.selectorValue)};\n`).join('')}    }
+${page.methods.map(method => `
+    async ${toCamelCase(method.name)}(${method.params.join(', ')}) {
+        ${renderJsSessionCall('this.session', method.kind, `this.${toCamelCase(method.property)}`, method.targetProperty && `this.${toCamelCase(method.targetProperty)}`)}
+    }
+`).join('')}}
+`).join('')}
+module.exports = { ${pages.map(page => page.className).join(', ')} };
+`;
+}
+
+function generateJsSessionFile(options) {
+    const waitTimeout = Number(options.waitTimeout) || DEFAULT_GENERATOR_OPTIONS.waitTimeout;
+    const pageReady = pageReadyScript(options).replace(/\s*\n\s*/g, ' ');
+
+    return `// The browser the recorded steps drive. A Chrome driver is started for every scenario;
+// swap the Builder below for the project's own driver setup as needed.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { After, Before, setDefaultTimeout } = require('@cucumber/cucumber');
+const { Builder, By, Key, Origin } = require('selenium-webdriver');
+const { Select } = require('selenium-webdriver/lib/select');
+
+const WAIT_TIMEOUT = ${waitTimeout * 1000};
+const TEST_DATA_FOLDER = ${toJsString(getTestDataFolder(options))};
+const PAGE_READY_SCRIPT = ${toJsString(pageReady)};
+const HTML5_DRAG_SCRIPT = ${toJsString(HTML5_DRAG_SCRIPT.replace(/\s*\n\s*/g, ' '))};
+const DROPDOWN_OPTIONS = ${toJsString(DROPDOWN_OPTION_SELECTOR)};
+
+// A step can wait for an element and then for the page to settle.
+setDefaultTimeout(WAIT_TIMEOUT * 3);
+
+// Filled by each feature's steps file when Cucumber loads it.
+const ELEMENTS = {};
+
+function registerElements(elements) {
+    Object.assign(ELEMENTS, elements);
+}
+
+function element(name) {
+    if (!ELEMENTS[name]) throw new Error(\`No element named "\${name}" was registered\`);
+    return ELEMENTS[name];
+}
+
+// Follows "host >>> host >>> element" through the shadow root of each host.
+function shadowChain(chain) {
+    const parts = chain.split(' >>> ');
+    const locator = async (context) => {
+        let root = context;
+        for (const part of parts.slice(0, -1)) {
+            root = await (await root.findElement(By.css(part))).getShadowRoot();
+        }
+        return root.findElements(By.css(parts[parts.length - 1]));
+    };
+    locator.toString = () => \`shadowChain(\${chain})\`;
+    return locator;
+}
+
+function toLocator(selectorType, selectorValue) {
+    switch (selectorType.toLowerCase()) {
+        case 'id': return By.id(selectorValue);
+        case 'xpath': return By.xpath(selectorValue);
+        case 'name': return By.name(selectorValue);
+        case 'tagname': return By.css(selectorValue);
+        case 'shadowcssselector': return shadowChain(selectorValue);
+        default: return By.css(selectorValue);
+    }
+}
+
+// A step's <password> is read from the environment variable SECRET_PASSWORD; the value is
+// never written into the feature file.
+function secret(secretName) {
+    const variable = \`SECRET_\${secretName.toUpperCase()}\`;
+    if (process.env[variable] === undefined) {
+        throw new Error(\`Set the environment variable \${variable} to the value of <\${secretName}>.\`);
+    }
+    return process.env[variable];
+}
+
+// Files to upload are looked up in TEST_DATA_FOLDER, relative to where Cucumber runs, or in
+// the folder the TEST_DATA_FOLDER environment variable names.
+function testDataFile(fileName) {
+    const folder = process.env.TEST_DATA_FOLDER || TEST_DATA_FOLDER;
+    const file = path.resolve(folder, fileName);
+    if (!fs.existsSync(file)) throw new Error(\`Put \${fileName} into \${folder} for the upload step.\`);
+    return file;
+}
+
+// Keys are written like "Control+Shift+S": the recorded key names (Escape, ArrowDown, F5, ...)
+// are those of Selenium's Key constants, and Space and Plus stand for ' ' and '+'.
+function toKey(name) {
+    if (name === 'Plus') return '+';
+    if (name.length === 1) return name.toLowerCase();
+    if (name === 'Backspace') return Key.BACK_SPACE;
+    const key = Key[name.replace(/([a-z])([A-Z0-9])/g, '$1_$2').toUpperCase()];
+    if (!key) throw new Error(\`Unknown key \${name}\`);
+    return key;
+}
+
+function normalizeText(text) {
+    return (text || '').replace(/\\s+/g, ' ').trim();
+}
+
+class RecordedSession {
+    constructor(driver) {
+        this.driver = driver;
+        // Window handles in the order the tabs were opened, and the tabs to return to when one is closed.
+        this.windows = [];
+        this.returnWindows = [];
+        this.currentWindow = null;
+    }
+
+    // Polls read until isExpected holds or the wait times out. Errors such as a missing or
+    // stale element count as "not yet"; the last value read is returned either way.
+    async waitFor(read, isExpected) {
+        const deadline = Date.now() + WAIT_TIMEOUT;
+        let value;
+        for (;;) {
+            try {
+                value = await read();
+                if (isExpected(value)) return { value: value, found: true };
+            } catch (e) {
+                value = undefined;
+            }
+            if (Date.now() > deadline) return { value: value, found: false };
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+    }
+
+    async waitForElement(locator, isReady) {
+        const result = await this.waitFor(async () => {
+            const found = await this.driver.findElement(locator);
+            return (await isReady(found)) ? found : null;
+        }, found => !!found);
+        if (!result.found) throw new Error(\`Timed out waiting for element \${locator}\`);
+        return result.value;
+    }
+
+    async waitForPageReady() {
+        // A page that never settles (long-polling, streaming) should not fail the step.
+        await this.waitFor(async () => (await this.isDialogOpen()) || this.driver.executeScript(PAGE_READY_SCRIPT), ready => ready === true);
+    }
+
+    // Any other command would have the driver dismiss an open dialog before its step answers it.
+    async isDialogOpen() {
+        try {
+            await this.driver.switchTo().alert();
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    waitForVisible(locator) {
+        return this.waitForElement(locator, found => found.isDisplayed());
+    }
+
+    waitForClickable(locator) {
+        return this.waitForElement(locator, async (found) => {
+            // Checkboxes and radio buttons are often hidden behind custom styling.
+            const type = await found.getAttribute('type');
+            const isToggle = (await found.getTagName()).toLowerCase() === 'input' && (type === 'checkbox' || type === 'radio');
+            return ((await found.isDisplayed()) || isToggle) && found.isEnabled();
+        });
+    }
+
+    async navigateTo(url) {
+        await this.driver.get(url);
+        await this.waitForPageReady();
+    }
+
+    async navigateBack() {
+        await this.driver.navigate().back();
+        await this.waitForPageReady();
+    }
+
+    async navigateForward() {
+        await this.driver.navigate().forward();
+        await this.waitForPageReady();
+    }
+
+    async refreshPage() {
+        await this.driver.navigate().refresh();
+        await this.waitForPageReady();
+    }
+
+    async click(locator) {
+        const found = await this.waitForClickable(locator);
+        await this.driver.actions().move({ origin: found }).perform();
+        await found.click();
+        await this.waitForPageReady();
+    }
+
+    async hover(locator) {
+        await this.driver.actions().move({ origin: await this.waitForVisible(locator) }).perform();
+    }
+
+    async doubleClick(locator) {
+        await this.driver.actions().doubleClick(await this.waitForClickable(locator)).perform();
+        await this.waitForPageReady();
+    }
+
+    async rightClick(locator) {
+        await this.driver.actions().contextClick(await this.waitForClickable(locator)).perform();
+        await this.waitForPageReady();
+    }
+
+    async dragAndDrop(source, target) {
+        const sourceElement = await this.waitForVisible(source);
+        const targetElement = await this.waitForVisible(target);
+        if ((await sourceElement.getAttribute('draggable')) === 'true') {
+            await this.driver.executeScript(HTML5_DRAG_SCRIPT, sourceElement, targetElement);
+        } else {
+            // The first small move gets past the drag threshold of pointer-based drag libraries.
+            await this.driver.actions()
+                .move({ origin: sourceElement }).press()
+                .move({ origin: Origin.POINTER, x: 10, y: 10 })
+                .move({ origin: targetElement }).release()
+                .perform();
+        }
+        await this.waitForPageReady();
+    }
+
+    async scrollTo(locator) {
+        // Lazily loaded content only appears once the page is scrolled down to it.
+        const { value: found } = await this.waitFor(async () => {
+            const matches = await this.driver.findElements(locator);
+            if (matches.length === 0) await this.driver.executeScript('window.scrollBy(0, window.innerHeight);');
+            return matches[0];
+        }, match => !!match);
+        if (!found) throw new Error(\`Timed out scrolling to element \${locator}\`);
+        await this.driver.executeScript("arguments[0].scrollIntoView({ block: 'center' });", found);
+        await this.waitForPageReady();
+    }
+
+    async typeText(locator, text) {
+        const found = await this.waitForClickable(locator);
+        await found.clear();
+        await found.sendKeys(text);
+    }
+
+    async typeTextAndPressEnter(locator, text) {
+        const found = await this.waitForClickable(locator);
+        await found.clear();
+        await found.sendKeys(text, Key.ENTER);
+        await this.waitForPageReady();
+    }
+
+    // A contenteditable editor cannot be cleared: its content is selected for the text to replace.
+    // Editors that drop keys sent by WebDriver get the text from the insertText command instead.
+    // Line breaks are typed as Shift+Enter, which chat composers keep in the text.
+    async typeRichText(locator, text) {
+        const found = await this.waitForClickable(locator);
+        await found.click();
+        await found.sendKeys(Key.chord(Key.CONTROL, 'a'));
+        await found.sendKeys(text.replace(/\\n/g, Key.chord(Key.SHIFT, Key.ENTER)));
+        if (normalizeText(await found.getText()) !== normalizeText(text)) {
+            await this.driver.executeScript(
+                "arguments[0].focus(); document.getSelection().selectAllChildren(arguments[0]); " +
+                "document.execCommand('insertText', false, arguments[1]);", found, text);
+        }
+    }
+
+    async uploadFiles(locator, fileNames) {
+        const files = fileNames.split(',').map(fileName => testDataFile(fileName.trim()));
+        // File inputs are often hidden behind a drop zone; WebDriver sends the paths to them all the same.
+        const input = await this.waitForElement(locator, () => true);
+        await input.sendKeys(files.join('\\n'));
+        await this.waitForPageReady();
+    }
+
+    async typeSecret(locator, secretName) {
+        await this.typeText(locator, secret(secretName));
+    }
+
+    async typeSecretAndPressEnter(locator, secretName) {
+        await this.typeTextAndPressEnter(locator, secret(secretName));
+    }
+
+    // Pressed together: every key goes down in order, then comes up in reverse.
+    async pressKeys(keys) {
+        const names = keys.split('+');
+        let actions = this.driver.actions();
+        names.forEach(name => { actions = actions.keyDown(toKey(name)); });
+        names.slice().reverse().forEach(name => { actions = actions.keyUp(toKey(name)); });
+        await actions.perform();
+        await this.waitForPageReady();
+    }
+
+    async pressKeysIn(locator, keys) {
+        const found = await this.waitForClickable(locator);
+        // Focused without a click, which could move the caret or close an open suggestion list.
+        await this.driver.executeScript('arguments[0].focus();', found);
+        await this.pressKeys(keys);
+    }
+
+    // Only a <select> is a native dropdown; custom ones are opened and their option clicked.
+    async selectOption(locator, optionText) {
+        const found = await this.waitForClickable(locator);
+        if ((await found.getTagName()).toLowerCase() === 'select') {
+            await new Select(found).selectByVisibleText(optionText);
+        } else {
+            await found.click();
+            await this.clickDropdownOption(optionText);
+        }
+        await this.waitForPageReady();
+    }
+
+    // Type-ahead dropdowns filter their options by the text typed into them once opened.
+    async searchAndSelectOption(locator, filterText, optionText) {
+        await (await this.waitForClickable(locator)).click();
+        await this.driver.switchTo().activeElement().sendKeys(filterText);
+        await this.clickDropdownOption(optionText);
+        await this.waitForPageReady();
+    }
+
+    // Custom dropdowns (React-Select, MUI, Ant Design, ARIA listboxes) render their options once
+    // opened, often elsewhere in the page; the option is the visible one with the text.
+    async clickDropdownOption(optionText) {
+        const { value, found } = await this.waitFor(async () => {
+            for (const candidate of await this.driver.findElements(By.css(DROPDOWN_OPTIONS))) {
+                if ((await candidate.isDisplayed()) && normalizeText(await candidate.getText()) === normalizeText(optionText)) return candidate;
+            }
+            return null;
+        }, option => !!option);
+        if (!found) throw new Error(\`The dropdown shows no option "\${optionText}"\`);
+        await value.click();
+    }
+
+    async setChecked(locator, checked) {
+        const found = await this.waitForClickable(locator);
+        if ((await found.isSelected()) !== checked) {
+            await found.click();
+            await this.waitForPageReady();
+        }
+    }
+
+    async isChecked(locator) {
+        const found = await this.driver.findElement(locator);
+        const ariaChecked = await found.getAttribute('aria-checked');
+        if (ariaChecked !== null && (await found.getTagName()).toLowerCase() !== 'input') return ariaChecked === 'true';
+        return found.isSelected();
+    }
+
+    async assertVisible(locator) {
+        const { found } = await this.waitFor(() => this.driver.findElement(locator).isDisplayed(), visible => visible);
+        assert.ok(found, \`Expected element \${locator} to be visible\`);
+    }
+
+    async assertText(locator, expected) {
+        const { value } = await this.waitFor(async () => normalizeText(await this.driver.findElement(locator).getText()), text => text === expected);
+        assert.strictEqual(value, expected);
+    }
+
+    async assertTextContains(locator, expected) {
+        const { value, found } = await this.waitFor(async () => normalizeText(await this.driver.findElement(locator).getText()), text => text.includes(expected));
+        assert.ok(found, \`Expected "\${value}" to contain "\${expected}"\`);
+    }
+
+    async assertValue(locator, expected) {
+        const { value } = await this.waitFor(() => this.driver.findElement(locator).getAttribute('value'), actual => actual === expected);
+        assert.strictEqual(value, expected);
+    }
+
+    async assertChecked(locator, expected) {
+        const { value } = await this.waitFor(() => this.isChecked(locator), checked => checked === expected);
+        assert.strictEqual(value, expected, \`Expected element \${locator} to be \${expected ? 'checked' : 'unchecked'}\`);
+    }
+
+    async assertUrlContains(expected) {
+        const { value, found } = await this.waitFor(() => this.driver.getCurrentUrl(), url => url.includes(expected));
+        assert.ok(found, \`Expected URL "\${value}" to contain "\${expected}"\`);
+    }
+
+    async assertTitle(expected) {
+        const { value } = await this.waitFor(() => this.driver.getTitle(), title => title === expected);
+        assert.strictEqual(value, expected);
+    }
+
+    async waitForDialog() {
+        const result = await this.waitFor(() => this.driver.switchTo().alert(), dialog => !!dialog);
+        if (!result.found) throw new Error('Timed out waiting for an alert, confirm or prompt dialog');
+        return result.value;
+    }
+
+    async assertDialogText(expected) {
+        const dialog = await this.waitForDialog();
+        assert.strictEqual(normalizeText(await dialog.getText()), expected);
+    }
+
+    async acceptDialog() {
+        await (await this.waitForDialog()).accept();
+        await this.waitForPageReady();
+    }
+
+    async dismissDialog() {
+        await (await this.waitForDialog()).dismiss();
+        await this.waitForPageReady();
+    }
+
+    async answerPrompt(text) {
+        const dialog = await this.waitForDialog();
+        await dialog.sendKeys(text);
+        await dialog.accept();
+        await this.waitForPageReady();
+    }
+
+    async trackWindows() {
+        if (this.windows.length === 0) {
+            this.currentWindow = await this.driver.getWindowHandle();
+            this.windows.push(this.currentWindow);
+        }
+    }
+
+    async switchToNewWindow() {
+        await this.trackWindows();
+        const { value: handle, found } = await this.waitFor(async () =>
+            (await this.driver.getAllWindowHandles()).find(h => !this.windows.includes(h)), h => !!h);
+        if (!found) throw new Error('Timed out waiting for a new tab');
+        this.windows.push(handle);
+        this.returnWindows.push(this.currentWindow);
+        this.currentWindow = handle;
+        await this.driver.switchTo().window(handle);
+        await this.waitForPageReady();
+    }
+
+    async switchToWindow(tabNumber) {
+        await this.trackWindows();
+        this.returnWindows.push(this.currentWindow);
+        this.currentWindow = this.windows[parseInt(tabNumber, 10) - 1];
+        await this.driver.switchTo().window(this.currentWindow);
+        await this.waitForPageReady();
+    }
+
+    async closeWindowAndReturn() {
+        await this.trackWindows();
+        // Popups such as sign-in windows often close themselves.
+        if ((await this.driver.getAllWindowHandles()).includes(this.currentWindow)) {
+            await this.driver.switchTo().window(this.currentWindow);
+            await this.driver.close();
+        }
+
+        const openWindows = await this.driver.getAllWindowHandles();
+        while (this.returnWindows.length && !openWindows.includes(this.returnWindows[this.returnWindows.length - 1])) {
+            this.returnWindows.pop();
+        }
+        this.currentWindow = this.returnWindows.length ? this.returnWindows.pop() : openWindows[0];
+        await this.driver.switchTo().window(this.currentWindow);
+        await this.waitForPageReady();
+    }
+
+    // Levels are separated by " > "; each is the frame's id or name, src=<part of its src>
+    // or index=<position in the parent>.
+    async switchToFrame(framePath) {
+        await this.driver.switchTo().defaultContent();
+        for (const frame of framePath.split(' > ')) {
+            let locator;
+            if (frame.startsWith('src=')) {
+                const src = frame.slice(4);
+                locator = By.css(\`iframe[src*="\${src}"], frame[src*="\${src}"]\`);
+            } else if (!frame.startsWith('index=')) {
+                locator = By.css(\`iframe[id="\${frame}"], iframe[name="\${frame}"], frame[id="\${frame}"], frame[name="\${frame}"]\`);
+            }
+            const { found } = await this.waitFor(async () => {
+                await this.driver.switchTo().frame(locator ? await this.driver.findElement(locator) : parseInt(frame.slice(6), 10));
+                return true;
+            }, switched => switched);
+            if (!found) throw new Error(\`Timed out waiting for frame \${frame}\`);
+        }
+    }
+
+    async switchToMainPage() {
+        await this.driver.switchTo().defaultContent();
+    }
+}
+
+Before(function () {
+    this.session = new RecordedSession(new Builder().forBrowser('chrome').build());
+});
+
+After(async function () {
+    if (this.session) await this.session.driver.quit();
+});
+
+module.exports = { RecordedSession, registerElements, element, shadowChain, toLocator };
+`;
+}
+
+registerGeneratorTarget('cucumber-js', {
+    label: 'Cucumber.js + Selenium (JavaScript)',
+    options: ['outputStyle', 'waitTimeout', 'waitForRequests', 'testDataFolder'],
+    featureFileName: featureName => `${toKebabCase(featureName)}.feature`,
+    generateStepFiles: (scenarios, featureName, options) => {
+        const files = [
+            { filename: `${toKebabCase(featureName)}.steps.js`, content: generateJsStepsFile(scenarios, featureName, options) },
+            generateJsSharedStepsFile(scenarios, options)
+        ];
+        if (options.outputStyle === 'pageObjects') {
+            files.push({ filename: `${toKebabCase(featureName)}.pages.js`, content: generateJsPagesFile(scenarios, featureName) });
+        }
+        files.push({ filename: 'recorded-session.js', content: generateJsSessionFile(options) });
+        return files;
+    }
+});
@@ -0,0 +1,665 @@
+// Cucumber-JVM step definitions in Java, driving the browser with Selenium WebDriver through
+// a generated RecordedSession class. Everything goes into the steps package.
+
+function toJavaString(text) {
+    return JSON.stringify(String(text));
+}
+
+function toJavaBy(selectorType, selectorValue) {
+    const value = toJavaString(selectorValue);
+    switch ((selectorType || '').toLowerCase()) {
+        case 'id': return `By.id(${value})`;
+        case 'name': return `By.name(${value})`;
+        case 'xpath': return `By.xpath(${value})`;
+        case 'tagname': return `By.tagName(${value})`;
+        case 'shadowcssselector': return `RecordedSession.shadowChain(${value})`;
+        default: return `By.cssSelector(${value})`;
+    }
+}
+
+function getJavaPageField(page) {
+    return page.fieldName.replace(/^_/, '');
+}
+
+function renderJavaSessionCall(kind, locator, targetLocator) {
+    return `session.${SESSION_CALLS[kind].method}(${renderSessionArgs(kind, locator, param => param, value => String(value), targetLocator)});`;
+}
+
+// Cucumber-JVM matches steps whatever their keyword, so each pattern is bound once.
+function renderJavaBinding(step) {
+    let body;
+    if (step.page && step.kind !== 'placeholder' && isAssertionStep(step)) {
+        body = renderJavaSessionCall(step.kind, `${getJavaPageField(step.page)}.${toCamelCase(step.element.property)}`);
+    } else if (step.page) {
+        body = `${getJavaPageField(step.page)}.${toCamelCase(step.page.methodFor(step))}(${step.params.join(', ')});`;
+    } else if (step.params.includes('selectorType')) {
+        body = renderJavaSessionCall(step.kind, 'session.toBy(selectorType, selectorValue)', 'session.toBy(targetSelectorType, targetSelectorValue)');
+    } else if (step.params.includes('elementName')) {
+        body = renderJavaSessionCall(step.kind, 'RecordedReadableSteps.element(elementName)', 'RecordedReadableSteps.element(targetElementName)');
+    } else {
+        body = renderJavaSessionCall(step.kind);
+    }
+
+    return `
+    @${step.keyword}(${toJavaString(`^${step.pattern}$`)})
+    public void ${toCamelCase(getBindingMethodName(step))}(${step.params.map(p => `String ${p}`).join(', ')}) {
+        ${body}
+    }
+`;
+}
+
+function generateJavaStepsClass(className, steps, members) {
+    const pages = [];
+    steps.forEach(step => {
+        if (step.page && !pages.includes(step.page)) pages.push(step.page);
+    });
+    const keywords = ['Given', 'When', 'Then'].filter(keyword => steps.some(step => step.keyword === keyword));
+    const imports = keywords.map(keyword => `import io.cucumber.java.en.${keyword};\n`).join('');
+
+    return `package steps;
+
+${members.imports || ''}${imports}import org.openqa.selenium.By;
+
+public class ${className} {
+    private final RecordedSession session;
+${pages.map(page => `    private final ${page.pagesClass}.${page.className} ${getJavaPageField(page)};\n`).join('')}${members.fields || ''}
+    public ${className}(RecordedSession session) {
+        this.session = session;
+${pages.map(page => `        this.${getJavaPageField(page)} = new ${page.pagesClass}.${page.className}(session);\n`).join('')}    }
+${steps.map(renderJavaBinding).join('')}}
+`;
+}
+
+function generateJavaStepsFile(scenarios, featureName, options) {
+    const plan = planSharedBindings(scenarios, options);
+    plan.featureBindings.forEach(step => {
+        if (step.page) step.page.pagesClass = `${featureName}Pages`;
+    });
+
+    const members = {};
+    if (plan.registerElements) {
+        const elements = getStepElements(plan.steps);
+        members.imports = 'import io.cucumber.java.BeforeAll;\n';
+        members.fields = `
+    @BeforeAll
+    public static void registerElements() {
+${elements.map(element => `        RecordedReadableSteps.registerElement(${toJavaString(element.name)}, ${toJavaBy(element.selector, element.selectorValue)});\n`).join('')}    }
+`;
+    } else if (plan.featureBindings.length === 0) {
+        return '';
+    }
+
+    return generateJavaStepsClass(`${featureName}Steps`, plan.featureBindings, members);
+}
+
+function generateJavaSharedStepsFile(scenarios, options) {
+    const plan = planSharedBindings(scenarios, options);
+    const className = SHARED_STEP_CLASSES[options.outputStyle] || SHARED_STEP_CLASSES.selectors;
+
+    const members = {};
+    if (options.outputStyle === 'readable') {
+        members.imports = 'import java.util.HashMap;\nimport java.util.Map;\n';
+        members.fields = `
+    // Filled by each feature's steps class before the test run.
+    private static final Map<String, By> ELEMENTS = new HashMap<>();
+
+    public static void registerElement(String name, By by) {
+        ELEMENTS.put(name, by);
+    }
+
+    public static By element(String name) {
+        By by = ELEMENTS.get(name);
+        if (by == null) {
+            throw new IllegalArgumentException("No element named \\"" + name + "\\" was registered");
+        }
+        return by;
+    }
+`;
+    }
+
+    return { filename: `${className}.java`, content: generateJavaStepsClass(className, plan.sharedBindings, members) };
+}
+
+function generateJavaPagesFile(scenarios, featureName) {
+    const steps = buildSteps(getAllActions(scenarios), { outputStyle: 'pageObjects' });
+
+    const pages = [];
+    steps.forEach(step => {
+        if (!step.page) return;
+        if (!pages.includes(step.page)) pages.push(step.page);
+        if (!isAssertionStep(step)) step.page.methodFor(step);
+    });
+
+    return `package steps;
+
+import org.openqa.selenium.By;
+
+// The pages visited while recording the ${featureName} feature.
+public final class ${featureName}Pages {
+    private ${featureName}Pages() {
+    }
+${pages.map(page => `
+    public static class ${page.className} {
+        private final RecordedSession session;
+
+${page.elements.map(element => `        public final By ${toCamelCase(element.property)} = ${toJavaBy(element.selector, element.selectorValue)};\n`).join('')}
+        public ${page.className}(RecordedSession session) {
+            this.session = session;
+        }
+${page.methods.map(method => `
+        public void ${toCamelCase(method.name)}(${method.params.map(p => `String ${p}`).join(', ')}) {
+            ${renderJavaSessionCall(method.kind, toCamelCase(method.property), method.targetProperty && toCamelCase(method.targetProperty))}
+        }
+`).join('')}    }
+`).join('')}}
+`;
+}
+
+function generateJavaSessionFile(options) {
+    const waitTimeout = Number(options.waitTimeout) || DEFAULT_GENERATOR_OPTIONS.waitTimeout;
+    const pageReady = pageReadyScript(options).replace(/\s*\n\s*/g, ' ');
+
+    return `package steps;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+import io.cucumber.java.After;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.time.Duration;
+import java.util.ArrayDeque;
+import java.util.ArrayList;
+import java.util.Deque;
+import java.util.List;
+import java.util.Set;
+import java.util.concurrent.atomic.AtomicReference;
+import java.util.function.Predicate;
+import java.util.function.Supplier;
+import org.openqa.selenium.Alert;
+import org.openqa.selenium.By;
+import org.openqa.selenium.JavascriptExecutor;
+import org.openqa.selenium.Keys;
+import org.openqa.selenium.NoAlertPresentException;
+import org.openqa.selenium.SearchContext;
+import org.openqa.selenium.StaleElementReferenceException;
+import org.openqa.selenium.TimeoutException;
+import org.openqa.selenium.WebDriver;
+import org.openqa.selenium.WebDriverException;
+import org.openqa.selenium.WebElement;
+import org.openqa.selenium.chrome.ChromeDriver;
+import org.openqa.selenium.interactions.Actions;
+import org.openqa.selenium.support.ui.ExpectedConditions;
+import org.openqa.selenium.support.ui.Select;
+import org.openqa.selenium.support.ui.WebDriverWait;
+
+// The browser the recorded steps drive. PicoContainer creates one per scenario and shares it
+// between step classes; swap the ChromeDriver for the project's own driver setup as needed.
+public class RecordedSession {
+    private static final Duration WAIT_TIMEOUT = Duration.ofSeconds(${waitTimeout});
+    private static final String TEST_DATA_FOLDER = ${toJavaString(getTestDataFolder(options))};
+    private static final String PAGE_READY_SCRIPT = ${toJavaString(pageReady)};
+    private static final String HTML5_DRAG_SCRIPT = ${toJavaString(HTML5_DRAG_SCRIPT.replace(/\s*\n\s*/g, ' '))};
+    private static final String DROPDOWN_OPTIONS = ${toJavaString(DROPDOWN_OPTION_SELECTOR)};
+
+    private final WebDriver driver = new ChromeDriver();
+    private final WebDriverWait wait = new WebDriverWait(driver, WAIT_TIMEOUT);
+
+    // Window handles in the order the tabs were opened, and the tabs to return to when one is closed.
+    private final List<String> windows = new ArrayList<>();
+    private final Deque<String> returnWindows = new ArrayDeque<>();
+    private String currentWindow;
+
+    public RecordedSession() {
+        wait.ignoring(StaleElementReferenceException.class);
+    }
+
+    public WebDriver getDriver() {
+        return driver;
+    }
+
+    @After
+    public void quit() {
+        driver.quit();
+    }
+
+    public By toBy(String selectorType, String selectorValue) {
+        switch (selectorType.toLowerCase()) {
+            case "id": return By.id(selectorValue);
+            case "xpath": return By.xpath(selectorValue);
+            case "name": return By.name(selectorValue);
+            case "tagname": return By.tagName(selectorValue);
+            case "shadowcssselector": return shadowChain(selectorValue);
+            default: return By.cssSelector(selectorValue);
+        }
+    }
+
+    // Follows "host >>> host >>> element" through the shadow root of each host.
+    public static By shadowChain(String chain) {
+        String[] parts = chain.split(" >>> ");
+        return new By() {
+            @Override
+            public List<WebElement> findElements(SearchContext context) {
+                SearchContext root = context;
+                for (int i = 0; i < parts.length - 1; i++) {
+                    root = root.findElement(By.cssSelector(parts[i])).getShadowRoot();
+                }
+                return root.findElements(By.cssSelector(parts[parts.length - 1]));
+            }
+
+            @Override
+            public String toString() {
+                return "By.shadowChain: " + chain;
+            }
+        };
+    }
+
+    public void waitForPageReady() {
+        try {
+            new WebDriverWait(driver, WAIT_TIMEOUT)
+                .ignoring(WebDriverException.class)
+                .until(d -> isDialogOpen() || Boolean.TRUE.equals(((JavascriptExecutor) d).executeScript(PAGE_READY_SCRIPT)));
+        } catch (TimeoutException e) {
+            // A page that never settles (long-polling, streaming) should not fail the step.
+        }
+    }
+
+    // Any other command would have the driver dismiss an open dialog before its step answers it.
+    private boolean isDialogOpen() {
+        try {
+            driver.switchTo().alert();
+            return true;
+        } catch (NoAlertPresentException e) {
+            return false;
+        }
+    }
+
+    public WebElement waitForVisible(By by) {
+        return wait.until(d -> {
+            WebElement element = d.findElement(by);
+            return element.isDisplayed() ? element : null;
+        });
+    }
+
+    public WebElement waitForClickable(By by) {
+        return wait.until(d -> {
+            WebElement element = d.findElement(by);
+            // Checkboxes and radio buttons are often hidden behind custom styling.
+            String type = element.getAttribute("type");
+            boolean isToggle = element.getTagName().equalsIgnoreCase("input")
+                && ("checkbox".equals(type) || "radio".equals(type));
+            return (element.isDisplayed() || isToggle) && element.isEnabled() ? element : null;
+        });
+    }
+
+    public void navigateTo(String url) {
+        driver.get(url);
+        waitForPageReady();
+    }
+
+    public void navigateBack() {
+        driver.navigate().back();
+        waitForPageReady();
+    }
+
+    public void navigateForward() {
+        driver.navigate().forward();
+        waitForPageReady();
+    }
+
+    public void refreshPage() {
+        driver.navigate().refresh();
+        waitForPageReady();
+    }
+
+    public void click(By by) {
+        WebElement element = waitForClickable(by);
+        new Actions(driver).moveToElement(element).perform();
+        element.click();
+        waitForPageReady();
+    }
+
+    public void hover(By by) {
+        new Actions(driver).moveToElement(waitForVisible(by)).perform();
+    }
+
+    public void doubleClick(By by) {
+        new Actions(driver).doubleClick(waitForClickable(by)).perform();
+        waitForPageReady();
+    }
+
+    public void rightClick(By by) {
+        new Actions(driver).contextClick(waitForClickable(by)).perform();
+        waitForPageReady();
+    }
+
+    public void dragAndDrop(By source, By target) {
+        WebElement sourceElement = waitForVisible(source);
+        WebElement targetElement = waitForVisible(target);
+        if ("true".equals(sourceElement.getAttribute("draggable"))) {
+            ((JavascriptExecutor) driver).executeScript(HTML5_DRAG_SCRIPT, sourceElement, targetElement);
+        } else {
+            // The first small move gets past the drag threshold of pointer-based drag libraries.
+            new Actions(driver).clickAndHold(sourceElement).moveByOffset(10, 10).moveToElement(targetElement).release().perform();
+        }
+        waitForPageReady();
+    }
+
+    public void scrollTo(By by) {
+        // Lazily loaded content only appears once the page is scrolled down to it.
+        WebElement element = wait.until(d -> {
+            List<WebElement> found = d.findElements(by);
+            if (!found.isEmpty()) {
+                return found.get(0);
+            }
+            ((JavascriptExecutor) d).executeScript("window.scrollBy(0, window.innerHeight);");
+            return null;
+        });
+        new Actions(driver).scrollToElement(element).perform();
+        waitForPageReady();
+    }
+
+    public void typeText(By by, String text) {
+        WebElement element = waitForClickable(by);
+        element.clear();
+        element.sendKeys(text);
+    }
+
+    public void typeTextAndPressEnter(By by, String text) {
+        WebElement element = waitForClickable(by);
+        element.clear();
+        element.sendKeys(text, Keys.ENTER);
+        waitForPageReady();
+    }
+
+    // A contenteditable editor cannot be cleared: its content is selected for the text to replace.
+    // Editors that drop keys sent by WebDriver get the text from the insertText command instead.
+    // Line breaks are typed as Shift+Enter, which chat composers keep in the text.
+    public void typeRichText(By by, String text) {
+        WebElement element = waitForClickable(by);
+        element.click();
+        element.sendKeys(Keys.chord(Keys.CONTROL, "a"));
+        element.sendKeys(text.replace("\\n", Keys.chord(Keys.SHIFT, Keys.ENTER)));
+        if (!normalizeText(element.getText()).equals(normalizeText(text))) {
+            ((JavascriptExecutor) driver).executeScript(
+                "arguments[0].focus(); document.getSelection().selectAllChildren(arguments[0]); "
+                    + "document.execCommand('insertText', false, arguments[1]);", element, text);
+        }
+    }
+
+    // A step's <password> is read from the environment variable SECRET_PASSWORD; the value is
+    // never written into the feature file.
+    static String secret(String secretName) {
+        String variable = "SECRET_" + secretName.toUpperCase();
+        String value = System.getenv(variable);
+        if (value == null) {
+            throw new IllegalStateException("Set the environment variable " + variable + " to the value of <" + secretName + ">.");
+        }
+        return value;
+    }
+
+    // Files to upload are looked up in TEST_DATA_FOLDER, relative to the working directory, or in
+    // the folder the TEST_DATA_FOLDER environment variable names.
+    static Path testDataFile(String fileName) {
+        String folder = System.getenv().getOrDefault("TEST_DATA_FOLDER", TEST_DATA_FOLDER);
+        Path path = Path.of(folder, fileName).toAbsolutePath();
+        if (!Files.isRegularFile(path)) {
+            throw new IllegalStateException("Put " + fileName + " into " + folder + " for the upload step.");
+        }
+        return path;
+    }
+
+    public void uploadFiles(By by, String fileNames) {
+        List<String> paths = new ArrayList<>();
+        for (String fileName : fileNames.split(",")) {
+            paths.add(testDataFile(fileName.trim()).toString());
+        }
+        // File inputs are often hidden behind a drop zone; WebDriver sends the paths to them all the same.
+        wait.until(d -> d.findElement(by)).sendKeys(String.join("\\n", paths));
+        waitForPageReady();
+    }
+
+    public void typeSecret(By by, String secretName) {
+        typeText(by, secret(secretName));
+    }
+
+    public void typeSecretAndPressEnter(By by, String secretName) {
+        typeTextAndPressEnter(by, secret(secretName));
+    }
+
+    // Keys are written like "Control+Shift+S": the recorded key names (Escape, ArrowDown, F5, ...)
+    // are those of Selenium's Keys constants, and Space and Plus stand for " " and "+".
+    static CharSequence toKey(String name) {
+        if (name.equals("Plus")) {
+            return "+";
+        }
+        if (name.length() == 1) {
+            return name.toLowerCase();
+        }
+        if (name.equals("Backspace")) {
+            return Keys.BACK_SPACE;
+        }
+        return Keys.valueOf(name.replaceAll("([a-z])([A-Z0-9])", "$1_$2").toUpperCase());
+    }
+
+    // Pressed together: every key goes down in order, then comes up in reverse.
+    public void pressKeys(String keys) {
+        String[] names = keys.split("[+]");
+        Actions actions = new Actions(driver);
+        for (String name : names) {
+            actions.keyDown(toKey(name));
+        }
+        for (int i = names.length - 1; i >= 0; i--) {
+            actions.keyUp(toKey(names[i]));
+        }
+        actions.perform();
+        waitForPageReady();
+    }
+
+    public void pressKeysIn(By by, String keys) {
+        WebElement element = waitForClickable(by);
+        // Focused without a click, which could move the caret or close an open suggestion list.
+        ((JavascriptExecutor) driver).executeScript("arguments[0].focus();", element);
+        pressKeys(keys);
+    }
+
+    // Only a <select> is a native dropdown; custom ones are opened and their option clicked.
+    public void selectOption(By by, String optionText) {
+        WebElement element = waitForClickable(by);
+        if (element.getTagName().equalsIgnoreCase("select")) {
+            new Select(element).selectByVisibleText(optionText);
+        } else {
+            element.click();
+            clickDropdownOption(optionText);
+        }
+        waitForPageReady();
+    }
+
+    // Type-ahead dropdowns filter their options by the text typed into them once opened.
+    public void searchAndSelectOption(By by, String filterText, String optionText) {
+        waitForClickable(by).click();
+        driver.switchTo().activeElement().sendKeys(filterText);
+        clickDropdownOption(optionText);
+        waitForPageReady();
+    }
+
+    // Custom dropdowns (React-Select, MUI, Ant Design, ARIA listboxes) render their options once
+    // opened, often elsewhere in the page; the option is the visible one with the text.
+    private void clickDropdownOption(String optionText) {
+        wait.until(d -> d.findElements(By.cssSelector(DROPDOWN_OPTIONS)).stream()
+            .filter(candidate -> candidate.isDisplayed() && normalizeText(candidate.getText()).equals(normalizeText(optionText)))
+            .findFirst().orElse(null)).click();
+    }
+
+    public void setChecked(By by, boolean checked) {
+        WebElement element = waitForClickable(by);
+        if (element.isSelected() != checked) {
+            element.click();
+            waitForPageReady();
+        }
+    }
+
+    private <T> T waitForValue(Supplier<T> read, Predicate<T> isExpected) {
+        AtomicReference<T> value = new AtomicReference<>();
+        try {
+            wait.until(d -> {
+                value.set(read.get());
+                return isExpected.test(value.get());
+            });
+        } catch (TimeoutException e) {
+            // Fall through so the assertion reports the last value seen.
+        }
+        return value.get();
+    }
+
+    private static String normalizeText(String text) {
+        return text == null ? "" : text.trim().replaceAll("\\\\s+", " ");
+    }
+
+    public void assertVisible(By by) {
+        Boolean visible = waitForValue(() -> driver.findElement(by).isDisplayed(), isVisible -> isVisible);
+        assertTrue(Boolean.TRUE.equals(visible), "Expected element " + by + " to be visible");
+    }
+
+    public void assertText(By by, String expected) {
+        String actual = waitForValue(() -> normalizeText(driver.findElement(by).getText()), expected::equals);
+        assertEquals(expected, actual);
+    }
+
+    public void assertTextContains(By by, String expected) {
+        String actual = waitForValue(() -> normalizeText(driver.findElement(by).getText()), text -> text.contains(expected));
+        assertTrue(actual != null && actual.contains(expected), "Expected \\"" + actual + "\\" to contain \\"" + expected + "\\"");
+    }
+
+    public void assertValue(By by, String expected) {
+        String actual = waitForValue(() -> driver.findElement(by).getAttribute("value"), expected::equals);
+        assertEquals(expected, actual);
+    }
+
+    public void assertChecked(By by, boolean expected) {
+        Boolean actual = waitForValue(() -> {
+            WebElement element = driver.findElement(by);
+            String ariaChecked = element.getAttribute("aria-checked");
+            return ariaChecked != null && !element.getTagName().equalsIgnoreCase("input") ? "true".equals(ariaChecked) : element.isSelected();
+        }, isChecked -> isChecked == expected);
+        assertEquals(expected, actual);
+    }
+
+    public void assertUrlContains(String expected) {
+        String actual = waitForValue(driver::getCurrentUrl, url -> url.contains(expected));
+        assertTrue(actual != null && actual.contains(expected), "Expected URL \\"" + actual + "\\" to contain \\"" + expected + "\\"");
+    }
+
+    public void assertTitle(String expected) {
+        String actual = waitForValue(driver::getTitle, expected::equals);
+        assertEquals(expected, actual);
+    }
+
+    private Alert waitForDialog() {
+        return wait.until(ExpectedConditions.alertIsPresent());
+    }
+
+    public void assertDialogText(String expected) {
+        assertEquals(expected, normalizeText(waitForDialog().getText()));
+    }
+
+    public void acceptDialog() {
+        waitForDialog().accept();
+        waitForPageReady();
+    }
+
+    public void dismissDialog() {
+        waitForDialog().dismiss();
+        waitForPageReady();
+    }
+
+    public void answerPrompt(String text) {
+        Alert dialog = waitForDialog();
+        dialog.sendKeys(text);
+        dialog.accept();
+        waitForPageReady();
+    }
+
+    private void trackWindows() {
+        if (windows.isEmpty()) {
+            currentWindow = driver.getWindowHandle();
+            windows.add(currentWindow);
+        }
+    }
+
+    public void switchToNewWindow() {
+        trackWindows();
+        String handle = wait.until(d -> d.getWindowHandles().stream().filter(h -> !windows.contains(h)).findFirst().orElse(null));
+        windows.add(handle);
+        returnWindows.push(currentWindow);
+        currentWindow = handle;
+        driver.switchTo().window(handle);
+        waitForPageReady();
+    }
+
+    public void switchToWindow(String tabNumber) {
+        trackWindows();
+        returnWindows.push(currentWindow);
+        currentWindow = windows.get(Integer.parseInt(tabNumber) - 1);
+        driver.switchTo().window(currentWindow);
+        waitForPageReady();
+    }
+
+    public void closeWindowAndReturn() {
+        trackWindows();
+        // Popups such as sign-in windows often close themselves.
+        if (driver.getWindowHandles().contains(currentWindow)) {
+            driver.switchTo().window(currentWindow);
+            driver.close();
+        }
+
+        Set<String> openWindows = driver.getWindowHandles();
+        while (!returnWindows.isEmpty() && !openWindows.contains(returnWindows.peek())) {
+            returnWindows.pop();
+        }
+        currentWindow = returnWindows.isEmpty() ? openWindows.iterator().next() : returnWindows.pop();
+        driver.switchTo().window(currentWindow);
+        waitForPageReady();
+    }
+
+    // Levels are separated by " > "; each is the frame's id or name, src=<part of its src>
+    // or index=<position in the parent>.
+    public void switchToFrame(String framePath) {
+        driver.switchTo().defaultContent();
+        for (String frame : framePath.split(" > ")) {
+            wait.until(d -> {
+                if (frame.startsWith("index=")) {
+                    d.switchTo().frame(Integer.parseInt(frame.substring(6)));
+                } else if (frame.startsWith("src=")) {
+                    String src = frame.substring(4);
+                    d.switchTo().frame(d.findElement(By.cssSelector("iframe[src*='" + src + "'], frame[src*='" + src + "']")));
+                } else {
+                    d.switchTo().frame(frame);
+                }
+                return true;
+            });
+        }
+    }
+
+    public void switchToMainPage() {
+        driver.switchTo().defaultContent();
+    }
+}
+`;
+}
+
+registerGeneratorTarget('cucumber-jvm', {
+    label: 'Cucumber-JVM + Selenium (Java)',
+    options: ['outputStyle', 'waitTimeout', 'waitForRequests', 'testDataFolder'],
+    generateStepFiles: (scenarios, featureName, options) => {
+        const files = [
+            { filename: `${featureName}Steps.java`, content: generateJavaStepsFile(scenarios, featureName, options) },
+            generateJavaSharedStepsFile(scenarios, options)
+        ];
+        if (options.outputStyle === 'pageObjects') {
+            files.push({ filename: `${featureName}Pages.java`, content: generateJavaPagesFile(scenarios, featureName) });
+        }
+        files.push({ filename: 'RecordedSession.java', content: generateJavaSessionFile(options) });
+        return files;
+    }
+});
@@ -0,0 +1,1891 @@
+// C# step definitions for Reqnroll and SpecFlow, driving the browser with Selenium WebDriver
+// or Playwright for .NET.
+
+// SpecFlow has the same binding API as Reqnroll under its older namespace.
+const DOTNET_FRAMEWORKS = {
+    reqnroll: { name: 'Reqnroll', using: 'using Reqnroll;', rootNamespace: 'ReqnrollTests' },
+    specflow: { name: 'SpecFlow', using: 'using TechTalk.SpecFlow;', rootNamespace: 'SpecFlowTests' }
+};
+
+const DOTNET_OPTIONS = ['outputStyle', 'assertionLibrary', 'sharedSteps', 'waitTimeout', 'waitForRequests', 'fixedSleeps', 'fallbackLocators', 'testDataFolder'];
+const DOTNET_PLAYWRIGHT_OPTIONS = ['outputStyle', 'sharedSteps', 'waitTimeout', 'waitForRequests', 'testDataFolder'];
+
+function getDotNetFramework(options) {
+    return DOTNET_FRAMEWORKS[options.framework] || DOTNET_FRAMEWORKS.reqnroll;
+}
+
+function generateDotNetFiles(scenarios, featureName, options) {
+    const isPlaywright = options.library === 'playwright';
+    const files = [{
+        filename: `${featureName}Steps.cs`,
+        content: isPlaywright
+            ? generatePlaywrightStepsFile(scenarios, featureName, options)
+            : generateStepsFile(scenarios, featureName, options)
+    }];
+
+    if (options.outputStyle === 'pageObjects') {
+        files.push({
+            filename: `${featureName}Pages.cs`,
+            content: isPlaywright
+                ? generatePlaywrightPagesFile(scenarios, featureName, options)
+                : generatePageObjectsFile(scenarios, featureName, options)
+        });
+    }
+
+    let sharedFile = null;
+    if (options.sharedSteps) {
+        sharedFile = isPlaywright ? generatePlaywrightSharedStepsFile(scenarios, options) : generateSharedStepsFile(scenarios, options);
+        if (sharedFile) files.push(sharedFile);
+    }
+
+    // Playwright finds elements inside shadow roots by itself and has no locator fallbacks.
+    if (isPlaywright) {
+        files.push({ filename: 'PlaywrightSession.cs', content: generatePlaywrightSessionFile(options) });
+        return files;
+    }
+
+    if (sharedFile || usesShadowDom(scenarios)) {
+        files.push({ filename: 'ByShadowChain.cs', content: generateShadowLocatorFile(options) });
+    }
+
+    if ((sharedFile && options.fallbackLocators) || getFallbackLocators(scenarios, options).length > 0) {
+        files.push({ filename: 'LocatorFallbacks.cs', content: generateFallbackLocatorFile(options) });
+    }
+
+    return files;
+}
+
+function registerDotNetTarget(id, label, framework, library, aliases) {
+    registerGeneratorTarget(id, {
+        label: label,
+        aliases: aliases,
+        options: library === 'playwright' ? DOTNET_PLAYWRIGHT_OPTIONS : DOTNET_OPTIONS,
+        generateStepFiles: (scenarios, featureName, options) =>
+            generateDotNetFiles(scenarios, featureName, Object.assign({}, options, { framework: framework, library: library }))
+    });
+}
+
+// Before other frameworks were supported, the target option named only the browser library.
+registerDotNetTarget('reqnroll-selenium', 'Reqnroll + Selenium (C#)', 'reqnroll', 'selenium', ['selenium']);
+registerDotNetTarget('reqnroll-playwright', 'Reqnroll + Playwright (C#)', 'reqnroll', 'playwright', ['playwright']);
+registerDotNetTarget('specflow-selenium', 'SpecFlow + Selenium (C#)', 'specflow', 'selenium');
+registerDotNetTarget('specflow-playwright', 'SpecFlow + Playwright (C#)', 'specflow', 'playwright');
+
+// C# each step kind performs, given an expression for the element's By locator (and for
+// drag-and-drop, the drop target's).
+// Assertions stay in the step class even when the output uses page objects.
+const SELENIUM_CALLS = {
+    navigate: { helper: 'NavigateTo', call: () => 'NavigateTo(url)' },
+    goBack: { helper: 'NavigateBack', call: () => 'NavigateBack()' },
+    goForward: { helper: 'NavigateForward', call: () => 'NavigateForward()' },
+    refresh: { helper: 'RefreshPage', call: () => 'RefreshPage()' },
+    click: { helper: 'Click', call: (by) => `Click(${by})` },
+    hover: { helper: 'Hover', call: (by) => `Hover(${by})` },
+    doubleClick: { helper: 'DoubleClick', call: (by) => `DoubleClick(${by})` },
+    rightClick: { helper: 'RightClick', call: (by) => `RightClick(${by})` },
+    dragAndDrop: { helper: 'DragAndDrop', call: (by, targetBy) => `DragAndDrop(${by}, ${targetBy})` },
+    scrollTo: { helper: 'ScrollTo', call: (by) => `ScrollTo(${by})` },
+    type: { helper: 'TypeText', call: (by) => `TypeText(${by}, text)` },
+    enterkey: { helper: 'TypeTextAndPressEnter', call: (by) => `TypeTextAndPressEnter(${by}, text)` },
+    typeRichText: { helper: 'TypeRichText', call: (by) => `TypeRichText(${by}, text)` },
+    typeSecret: { helper: 'TypeSecret', call: (by) => `TypeSecret(${by}, secretName)` },
+    enterkeySecret: { helper: 'TypeSecretAndPressEnter', call: (by) => `TypeSecretAndPressEnter(${by}, secretName)` },
+    pressKeys: { helper: 'PressKeys', call: () => 'PressKeys(keys)' },
+    pressKeysIn: { helper: 'PressKeysIn', call: (by) => `PressKeysIn(${by}, keys)` },
+    upload: { helper: 'UploadFiles', call: (by) => `UploadFiles(${by}, fileNames)` },
+    select: { helper: 'SelectOption', call: (by) => `SelectOption(${by}, optionText)` },
+    selectFiltered: { helper: 'SearchAndSelectOption', call: (by) => `SearchAndSelectOption(${by}, filterText, optionText)` },
+    check: { helper: 'SetChecked', call: (by) => `SetChecked(${by}, true)` },
+    uncheck: { helper: 'SetChecked', call: (by) => `SetChecked(${by}, false)` },
+    radio: { helper: 'SetChecked', call: (by) => `SetChecked(${by}, true)` },
+    assertVisible: { helper: 'AssertVisible', assertion: true, call: (by) => `AssertVisible(${by})` },
+    assertText: { helper: 'AssertText', assertion: true, call: (by) => `AssertText(${by}, expected)` },
+    assertTextContains: { helper: 'AssertTextContains', assertion: true, call: (by) => `AssertTextContains(${by}, expected)` },
+    assertValue: { helper: 'AssertValue', assertion: true, call: (by) => `AssertValue(${by}, expected)` },
+    assertChecked: { helper: 'AssertChecked', assertion: true, call: (by) => `AssertChecked(${by}, true)` },
+    assertUnchecked: { helper: 'AssertChecked', assertion: true, call: (by) => `AssertChecked(${by}, false)` },
+    assertUrl: { helper: 'AssertUrlContains', assertion: true, call: () => 'AssertUrlContains(expected)' },
+    assertTitle: { helper: 'AssertTitle', assertion: true, call: () => 'AssertTitle(expected)' },
+    switchToNewTab: { helper: 'SwitchToNewWindow', call: () => 'SwitchToNewWindow()' },
+    switchToTab: { helper: 'SwitchToWindow', call: () => 'SwitchToWindow(int.Parse(tabNumber))' },
+    closeTab: { helper: 'CloseWindowAndReturn', call: () => 'CloseWindowAndReturn()' },
+    assertDialog: { helper: 'AssertDialogText', assertion: true, call: () => 'AssertDialogText(expected)' },
+    acceptDialog: { helper: 'AcceptDialog', call: () => 'AcceptDialog()' },
+    dismissDialog: { helper: 'DismissDialog', call: () => 'DismissDialog()' },
+    answerPrompt: { helper: 'AnswerPrompt', call: () => 'AnswerPrompt(text)' },
+    switchToFrame: { helper: 'SwitchToFrame', call: () => 'SwitchToFrame(framePath)' },
+    switchToMainPage: { helper: 'SwitchToMainPage', call: () => 'SwitchToMainPage()' }
+};
+
+const SELENIUM_HELPER_DEPENDENCIES = {
+    NavigateTo: ['WaitForPageReady'],
+    NavigateBack: ['WaitForPageReady'],
+    NavigateForward: ['WaitForPageReady'],
+    RefreshPage: ['WaitForPageReady'],
+    Hover: ['WaitForVisible'],
+    Click: ['WaitForClickable', 'WaitForPageReady'],
+    DoubleClick: ['WaitForClickable', 'WaitForPageReady'],
+    RightClick: ['WaitForClickable', 'WaitForPageReady'],
+    DragAndDrop: ['WaitForVisible', 'WaitForPageReady'],
+    ScrollTo: ['WaitTimeout', 'WaitForPageReady'],
+    TypeText: ['WaitForClickable'],
+    TypeTextAndPressEnter: ['WaitForClickable', 'WaitForPageReady'],
+    TypeRichText: ['WaitForClickable', 'NormalizeText'],
+    TypeSecret: ['TypeText', 'Secret'],
+    TypeSecretAndPressEnter: ['TypeTextAndPressEnter', 'Secret'],
+    PressKeys: ['WaitForPageReady'],
+    PressKeysIn: ['WaitForClickable', 'PressKeys'],
+    UploadFiles: ['WaitTimeout', 'TestDataFile', 'WaitForPageReady'],
+    SelectOption: ['WaitForClickable', 'ClickDropdownOption', 'WaitForPageReady'],
+    SearchAndSelectOption: ['WaitForClickable', 'ClickDropdownOption', 'WaitForPageReady'],
+    ClickDropdownOption: ['WaitTimeout', 'NormalizeText'],
+    SetChecked: ['WaitForClickable', 'WaitForPageReady'],
+    WaitForPageReady: ['WaitTimeout', 'IsDialogOpen'],
+    WaitForDialog: ['WaitTimeout'],
+    AssertDialogText: ['WaitForDialog', 'NormalizeText'],
+    AcceptDialog: ['WaitForDialog', 'WaitForPageReady'],
+    DismissDialog: ['WaitForDialog', 'WaitForPageReady'],
+    AnswerPrompt: ['WaitForDialog', 'WaitForPageReady'],
+    WaitForVisible: ['WaitTimeout'],
+    WaitForClickable: ['WaitTimeout'],
+    WaitForValue: ['WaitTimeout'],
+    AssertVisible: ['WaitForValue'],
+    AssertText: ['WaitForValue', 'NormalizeText'],
+    AssertTextContains: ['WaitForValue', 'NormalizeText'],
+    AssertValue: ['WaitForValue'],
+    AssertChecked: ['WaitForValue'],
+    AssertUrlContains: ['WaitForValue'],
+    AssertTitle: ['WaitForValue'],
+    SwitchToNewWindow: ['TrackWindows', 'WaitForPageReady'],
+    SwitchToWindow: ['TrackWindows', 'WaitForPageReady'],
+    CloseWindowAndReturn: ['TrackWindows', 'WaitForPageReady'],
+    TrackWindows: ['WaitTimeout'],
+    SwitchToFrame: ['WaitTimeout']
+};
+
+const ASSERTION_LIBRARIES = {
+    nunit: {
+        using: 'using NUnit.Framework;',
+        isTrue: (condition, message) => `Assert.That(${condition}, Is.True, ${message});`,
+        equal: (expected, actual) => `Assert.That(${actual}, Is.EqualTo(${expected}));`,
+        contains: (expected, actual) => `Assert.That(${actual}, Does.Contain(${expected}));`
+    },
+    xunit: {
+        using: 'using Xunit;',
+        isTrue: (condition, message) => `Assert.True(${condition}, ${message});`,
+        equal: (expected, actual) => `Assert.Equal(${expected}, ${actual});`,
+        contains: (expected, actual) => `Assert.Contains(${expected}, ${actual});`
+    }
+};
+
+function renderSeleniumBinding(step, helpers, options) {
+    const call = SELENIUM_CALLS[step.kind];
+    let body;
+
+    if (step.kind === 'placeholder') {
+        body = 'WaitForPageReady();' + pause(options, 2000);
+        helpers.add('WaitForPageReady');
+    } else if (step.page && call.assertion) {
+        body = call.call(`${step.page.fieldName}.${step.element.property}`) + ';';
+        helpers.add(call.helper);
+    } else if (step.page) {
+        const args = step.params.join(', ');
+        body = `${step.page.fieldName}.${step.page.methodFor(step)}(${args});`;
+    } else if (step.params.includes('selectorType')) {
+        body = call.call('ToBy(selectorType, selectorValue)', 'ToBy(targetSelectorType, targetSelectorValue)') + ';';
+        helpers.add('ToBy');
+        helpers.add(call.helper);
+    } else if (step.params.includes('elementName')) {
+        body = call.call('Elements[elementName]', 'Elements[targetElementName]') + ';';
+        helpers.add(call.helper);
+    } else {
+        body = call.call() + ';';
+        helpers.add(call.helper);
+    }
+
+    return `
+${renderBindingAttributes(step)}
+        public void ${getBindingMethodName(step)}(${step.params.map(p => `string ${p}`).join(', ')})
+        {
+            ${body}
+        }
+`;
+}
+
+function renderBindingAttributes(step) {
+    return step.phrase.keywords.map(keyword => `        [${keyword}(@"${step.pattern.replace(/"/g, '""')}")]`).join('\n');
+}
+
+function generateStepsFile(scenarios, featureName, options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options, { shadowDom: usesShadowDom(scenarios), dialogs: usesDialogs(scenarios) });
+    options.fallbackLocators = getFallbackLocators(scenarios, options).length > 0;
+    const framework = getDotNetFramework(options);
+    const fallbackLocators = options.outputStyle === 'selectors' ? getFallbackLocators(scenarios, options) : [];
+
+    const className = `${featureName}Steps`;
+    const plan = planBindings(scenarios, options);
+    const isPageObjects = options.outputStyle === 'pageObjects';
+    const isReadable = options.outputStyle === 'readable';
+    const assertionLibrary = ASSERTION_LIBRARIES[options.assertionLibrary] || ASSERTION_LIBRARIES.nunit;
+
+    if (plan.featureBindings.length === 0 && !plan.registerElements && fallbackLocators.length === 0) {
+        return '';
+    }
+
+    const pages = [];
+    plan.featureBindings.forEach(step => {
+        if (step.page && !pages.includes(step.page)) pages.push(step.page);
+    });
+
+    const helpers = new Set();
+    const bindings = plan.featureBindings.map(step => renderSeleniumBinding(step, helpers, options)).join('');
+    const hasAssertions = plan.featureBindings.some(step => step.kind !== 'placeholder' && isAssertionStep(step));
+
+    const tracksWindows = withHelperDependencies(helpers).has('TrackWindows');
+
+    let content = `using System;
+${isReadable || tracksWindows ? 'using System.Collections.Generic;\n' : ''}${tracksWindows ? 'using System.Linq;\n' : ''}${framework.using}
+using OpenQA.Selenium;
+using OpenQA.Selenium.Support.UI;
+using System.Threading;
+${hasAssertions ? assertionLibrary.using + '\n' : ''}${isPageObjects ? `using ${framework.rootNamespace}.Pages;\n` : ''}${usesSupportClasses(scenarios, options) ? `using ${framework.rootNamespace}.Support;\n` : ''}
+namespace ${framework.rootNamespace}.Steps
+{
+    [Binding]
+    public class ${className}
+    {
+        private readonly IWebDriver _driver;
+${pages.map(page => `        private readonly ${page.className} ${page.fieldName};\n`).join('')}${isReadable ? generateElementDictionary(plan.steps, options) : ''}
+        public ${className}(IWebDriver driver)
+        {
+            _driver = driver;
+${pages.map(page => `            ${page.fieldName} = new ${page.className}(driver);\n`).join('')}        }
+`;
+
+    if (plan.registerElements) {
+        content += `
+        [BeforeTestRun]
+        public static void RegisterElements()
+        {
+            ${SHARED_STEP_CLASSES.readable}.RegisterElements(Elements);
+        }
+`;
+    }
+
+    // Selector steps name one locator, so the alternatives recorded for it are registered
+    // for ToBy to fall back on.
+    if (fallbackLocators.length > 0) {
+        content += `
+        [BeforeTestRun]
+        public static void RegisterFallbackLocators()
+        {
+${fallbackLocators.map(element => `            LocatorFallbacks.Register(${[element].concat(element.fallbackSelectors).map(locator => toCSharpBy(locator.selector || locator.type, locator.selectorValue || locator.value)).join(', ')});\n`).join('')}        }
+`;
+    }
+
+    content += bindings;
+
+    content += generateSeleniumHelpers(helpers, 'private', options);
+
+    content += `    }
+}`;
+
+    return content;
+}
+
+// The generic bindings of the output style, meant to be added to the project once and
+// then reused by every later recording.
+function generateSharedStepsFile(scenarios, options) {
+    // Later recordings reuse these bindings, so they must cope with shadow DOM locators and dialogs too.
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options, { shadowDom: true, dialogs: true });
+    const framework = getDotNetFramework(options);
+
+    const plan = planBindings(scenarios, options);
+    if (plan.sharedBindings.length === 0) return null;
+
+    const className = SHARED_STEP_CLASSES[options.outputStyle] || SHARED_STEP_CLASSES.selectors;
+    const isReadable = options.outputStyle === 'readable';
+    const assertionLibrary = ASSERTION_LIBRARIES[options.assertionLibrary] || ASSERTION_LIBRARIES.nunit;
+
+    const helpers = new Set();
+    const bindings = plan.sharedBindings.map(step => renderSeleniumBinding(step, helpers, options)).join('');
+    const hasAssertions = plan.sharedBindings.some(step => step.kind !== 'placeholder' && isAssertionStep(step));
+
+    const tracksWindows = withHelperDependencies(helpers).has('TrackWindows');
+
+    let content = `using System;
+${isReadable || tracksWindows ? 'using System.Collections.Generic;\n' : ''}${tracksWindows ? 'using System.Linq;\n' : ''}${framework.using}
+using OpenQA.Selenium;
+using OpenQA.Selenium.Support.UI;
+using System.Threading;
+${hasAssertions ? assertionLibrary.using + '\n' : ''}using ${framework.rootNamespace}.Support;
+
+namespace ${framework.rootNamespace}.Steps
+{
+    [Binding]
+    public class ${className}
+    {
+        private readonly IWebDriver _driver;
+`;
+
+    if (isReadable) {
+        content += `
+        // Filled by each feature's steps class before the test run.
+        private static readonly Dictionary<string, By> Elements = new Dictionary<string, By>();
+
+        public static void RegisterElements(IDictionary<string, By> elements)
+        {
+            foreach (var element in elements)
+            {
+                Elements[element.Key] = element.Value;
+            }
+        }
+`;
+    }
+
+    content += `
+        public ${className}(IWebDriver driver)
+        {
+            _driver = driver;
+        }
+`;
+
+    content += bindings;
+
+    content += generateSeleniumHelpers(helpers, 'private', options);
+
+    content += `    }
+}`;
+
+    return {
+        filename: `${className}.cs`,
+        content: content,
+        bindings: [].concat(...plan.sharedBindings.map(step =>
+            step.phrase.keywords.map(keyword => ({ keyword: keyword, pattern: step.pattern }))))
+    };
+}
+
+function generateElementDictionary(steps, options) {
+    const elements = getStepElements(steps);
+
+    return `
+        private static readonly Dictionary<string, By> Elements = new Dictionary<string, By>
+        {
+${elements.map(element => `            { ${toCSharpString(element.name)}, ${toCSharpLocator(element, options)} },\n`).join('')}        };
+`;
+}
+
+function generatePageObjectsFile(scenarios, featureName, options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options, { dialogs: usesDialogs(scenarios) });
+    options.fallbackLocators = getFallbackLocators(scenarios, options).length > 0;
+    const framework = getDotNetFramework(options);
+    const steps = buildSteps(getAllActions(scenarios), { outputStyle: 'pageObjects' });
+
+    const pages = [];
+    const helpers = new Set();
+    steps.forEach(step => {
+        if (!step.page) return;
+        if (!pages.includes(step.page)) pages.push(step.page);
+        if (isAssertionStep(step)) return;
+        step.page.methodFor(step);
+        helpers.add(SELENIUM_CALLS[step.kind].helper);
+    });
+
+    let content = `using System;
+using OpenQA.Selenium;
+using OpenQA.Selenium.Support.UI;
+using System.Threading;
+${usesSupportClasses(scenarios, options) ? `using ${framework.rootNamespace}.Support;\n` : ''}
+namespace ${framework.rootNamespace}.Pages
+{
+    public abstract class PageBase
+    {
+        protected readonly IWebDriver _driver;
+
+        protected PageBase(IWebDriver driver)
+        {
+            _driver = driver;
+        }
+`;
+
+    content += generateSeleniumHelpers(helpers, 'protected', options);
+
+    content += `    }
+`;
+
+    pages.forEach(page => {
+        content += `
+    public class ${page.className} : PageBase
+    {
+        public ${page.className}(IWebDriver driver) : base(driver)
+        {
+        }
+
+`;
+        page.elements.forEach(element => {
+            content += `        public By ${element.property} => ${toCSharpLocator(element, options)};\n`;
+        });
+
+        page.methods.forEach(method => {
+            content += `
+        public void ${method.name}(${method.params.map(p => `string ${p}`).join(', ')})
+        {
+            ${SELENIUM_CALLS[method.kind].call(method.property, method.targetProperty)};
+        }
+`;
+        });
+
+        content += `    }
+`;
+    });
+
+    content += `}`;
+    return content;
+}
+
+function toCSharpString(text) {
+    return '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+function toCSharpBy(selectorType, selectorValue) {
+    const value = toCSharpString(selectorValue);
+    switch ((selectorType || '').toLowerCase()) {
+        case 'id': return `By.Id(${value})`;
+        case 'name': return `By.Name(${value})`;
+        case 'xpath': return `By.XPath(${value})`;
+        case 'tagname': return `By.TagName(${value})`;
+        case 'shadowcssselector': return `new ByShadowChain(${value})`;
+        default: return `By.CssSelector(${value})`;
+    }
+}
+
+function usesSupportClasses(scenarios, options) {
+    return usesShadowDom(scenarios) || getFallbackLocators(scenarios, options).length > 0;
+}
+
+function toCSharpLocator(element, options) {
+    const primary = toCSharpBy(element.selector, element.selectorValue);
+    if (!options.fallbackLocators || !element.fallbackSelectors || element.fallbackSelectors.length === 0) {
+        return primary;
+    }
+
+    const fallbacks = element.fallbackSelectors.map(fallback => toCSharpBy(fallback.type, fallback.value));
+    return `new ByFallback(${[primary].concat(fallbacks).join(', ')})`;
+}
+
+function generateFallbackLocatorFile(options) {
+    const framework = getDotNetFramework(options);
+    return `using System;
+using System.Collections.Generic;
+using System.Collections.ObjectModel;
+using System.IO;
+using System.Linq;
+using OpenQA.Selenium;
+${framework.using}
+
+namespace ${framework.rootNamespace}.Support
+{
+    // Tries an element's recorded locators in order. When the first no longer matches, the
+    // one that did is logged and listed in fallback-locators.txt after the test run, so the
+    // broken locator can be fixed before the fallbacks stop matching too.
+    public class ByFallback : By
+    {
+        private readonly By[] _locators;
+
+        public ByFallback(params By[] locators)
+        {
+            _locators = locators;
+            Description = "ByFallback: " + _locators[0];
+        }
+
+        public override IWebElement FindElement(ISearchContext context)
+        {
+            var elements = FindElements(context);
+            if (elements.Count == 0)
+            {
+                throw new NoSuchElementException("Unable to locate element: " + Description);
+            }
+            return elements[0];
+        }
+
+        public override ReadOnlyCollection<IWebElement> FindElements(ISearchContext context)
+        {
+            for (var i = 0; i < _locators.Length; i++)
+            {
+                var elements = context.FindElements(_locators[i]);
+                if (elements.Count > 0)
+                {
+                    if (i > 0) LocatorFallbacks.Report(_locators[0], _locators[i]);
+                    return elements;
+                }
+            }
+            return new ReadOnlyCollection<IWebElement>(new List<IWebElement>());
+        }
+    }
+
+    [Binding]
+    public class LocatorFallbacks
+    {
+        private static readonly Dictionary<string, By[]> Registered = new Dictionary<string, By[]>();
+        private static readonly SortedSet<string> Used = new SortedSet<string>();
+
+        [ThreadStatic]
+        private static string _currentScenario;
+
+        private readonly ScenarioContext _scenarioContext;
+
+        public LocatorFallbacks(ScenarioContext scenarioContext)
+        {
+            _scenarioContext = scenarioContext;
+        }
+
+        public static void Register(By primary, params By[] fallbacks)
+        {
+            Registered[primary.ToString()] = fallbacks;
+        }
+
+        public static By WithFallbacks(By primary)
+        {
+            return Registered.TryGetValue(primary.ToString(), out var fallbacks)
+                ? new ByFallback(new[] { primary }.Concat(fallbacks).ToArray())
+                : primary;
+        }
+
+        public static void Report(By primary, By fallback)
+        {
+            var entry = $"{_currentScenario}: {primary} -> {fallback}";
+            lock (Used)
+            {
+                if (!Used.Add(entry)) return;
+            }
+            Console.WriteLine("Fallback locator used: " + entry);
+        }
+
+        [BeforeScenario]
+        public void TrackScenario()
+        {
+            _currentScenario = _scenarioContext.ScenarioInfo.Title;
+        }
+
+        [AfterTestRun]
+        public static void WriteReport()
+        {
+            if (Used.Count == 0) return;
+            File.WriteAllLines("fallback-locators.txt", Used);
+            Console.WriteLine($"{Used.Count} locators needed a fallback, see fallback-locators.txt");
+        }
+    }
+}`;
+}
+
+// Shared by every feature that records inside shadow DOM, so it is a file of its own.
+function generateShadowLocatorFile(options) {
+    const framework = getDotNetFramework(options);
+    return `using System;
+using System.Collections.Generic;
+using System.Collections.ObjectModel;
+using OpenQA.Selenium;
+
+namespace ${framework.rootNamespace}.Support
+{
+    // Finds an element inside shadow DOM. The chain holds a CSS selector per shadow host,
+    // outermost first, then one for the element, joined by " >>> "; each is looked up in
+    // the shadow root of the element matched by the previous one.
+    public class ByShadowChain : By
+    {
+        private readonly string[] _selectors;
+
+        public ByShadowChain(string chain)
+        {
+            _selectors = chain.Split(new[] { " >>> " }, StringSplitOptions.None);
+            Description = "ByShadowChain: " + chain;
+        }
+
+        public override IWebElement FindElement(ISearchContext context)
+        {
+            var elements = FindElements(context);
+            if (elements.Count == 0)
+            {
+                throw new NoSuchElementException("Unable to locate element: " + Description);
+            }
+            return elements[0];
+        }
+
+        public override ReadOnlyCollection<IWebElement> FindElements(ISearchContext context)
+        {
+            var searchContext = context;
+            for (var i = 0; i < _selectors.Length - 1; i++)
+            {
+                var hosts = searchContext.FindElements(By.CssSelector(_selectors[i]));
+                if (hosts.Count == 0)
+                {
+                    return new ReadOnlyCollection<IWebElement>(new List<IWebElement>());
+                }
+                searchContext = hosts[0].GetShadowRoot();
+            }
+            return searchContext.FindElements(By.CssSelector(_selectors[_selectors.Length - 1]));
+        }
+    }
+}`;
+}
+
+function withHelperDependencies(helpers) {
+    const all = new Set();
+    const add = name => {
+        if (all.has(name)) return;
+        all.add(name);
+        (SELENIUM_HELPER_DEPENDENCIES[name] || []).forEach(add);
+    };
+    helpers.forEach(add);
+    return all;
+}
+
+function generateSeleniumHelpers(helpers, access, options) {
+    // The timeout field goes first so it reads as a class setting.
+    return Array.from(withHelperDependencies(helpers))
+        .sort((a, b) => (b === 'WaitTimeout') - (a === 'WaitTimeout'))
+        .map(name => generateSeleniumHelper(name, access, options))
+        .join('');
+}
+
+// Fixed pauses are only emitted when the user opts in; the waits make them unnecessary.
+function pause(options, milliseconds) {
+    return options.fixedSleeps ? `\n            Thread.Sleep(${milliseconds});` : '';
+}
+
+function generateToByMethod(name, access, options) {
+    return `
+        ${access} By ${name}(string selectorType, string selectorValue)
+        {
+            switch (selectorType.ToLower())
+            {
+                case "id": return By.Id(selectorValue);
+                case "cssselector": return By.CssSelector(selectorValue);
+                case "xpath": return By.XPath(selectorValue);
+                case "name": return By.Name(selectorValue);${options.shadowDom ? `
+                case "shadowcssselector": return new ByShadowChain(selectorValue);` : ''}
+                default: return By.CssSelector(selectorValue);
+            }
+        }
+`;
+}
+
+function generateSeleniumHelper(name, access, options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options);
+    const assert = ASSERTION_LIBRARIES[options.assertionLibrary] || ASSERTION_LIBRARIES.nunit;
+
+    switch (name) {
+        case 'ToBy':
+            if (!options.fallbackLocators) {
+                return generateToByMethod('ToBy', access, options);
+            }
+            return `
+        ${access} By ToBy(string selectorType, string selectorValue)
+        {
+            return LocatorFallbacks.WithFallbacks(ToRecordedBy(selectorType, selectorValue));
+        }
+` + generateToByMethod('ToRecordedBy', access, options);
+        case 'WaitTimeout':
+            return `
+        ${access} static readonly TimeSpan WaitTimeout = TimeSpan.FromSeconds(${Number(options.waitTimeout) || DEFAULT_GENERATOR_OPTIONS.waitTimeout});
+`;
+        case 'WaitForPageReady':
+            return `
+        ${access} void WaitForPageReady()
+        {
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            wait.IgnoreExceptionTypes(typeof(WebDriverException));
+            try
+            {
+                wait.Until(d => ${options.dialogs ? 'IsDialogOpen() || ' : ''}(bool)((IJavaScriptExecutor)d).ExecuteScript(@"
+            ${pageReadyScript(options)}"));
+            }
+            catch (WebDriverTimeoutException)
+            {
+                // A page that never settles (long-polling, streaming) should not fail the step.
+            }
+        }
+`;
+        case 'IsDialogOpen':
+            if (!options.dialogs) return '';
+            return `
+        // Any other command would have the driver dismiss an open dialog before its step answers it.
+        ${access} bool IsDialogOpen()
+        {
+            try
+            {
+                _driver.SwitchTo().Alert();
+                return true;
+            }
+            catch (NoAlertPresentException)
+            {
+                return false;
+            }
+        }
+`;
+        case 'WaitForDialog':
+            return `
+        ${access} IAlert WaitForDialog()
+        {
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            wait.IgnoreExceptionTypes(typeof(NoAlertPresentException));
+            return wait.Until(d => d.SwitchTo().Alert());
+        }
+`;
+        case 'AcceptDialog':
+            return `
+        ${access} void AcceptDialog()
+        {
+            WaitForDialog().Accept();
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'DismissDialog':
+            return `
+        ${access} void DismissDialog()
+        {
+            WaitForDialog().Dismiss();
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'AnswerPrompt':
+            return `
+        ${access} void AnswerPrompt(string text)
+        {
+            var dialog = WaitForDialog();
+            dialog.SendKeys(text);
+            dialog.Accept();
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'WaitForVisible':
+            return `
+        ${access} IWebElement WaitForVisible(By by)
+        {
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            wait.IgnoreExceptionTypes(typeof(StaleElementReferenceException));
+            return wait.Until(d => {
+                var el = d.FindElement(by);
+                return el.Displayed ? el : null;
+            });
+        }
+`;
+        case 'WaitForClickable':
+            return `
+        ${access} IWebElement WaitForClickable(By by)
+        {
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            wait.IgnoreExceptionTypes(typeof(StaleElementReferenceException));
+            return wait.Until(d => {
+                var el = d.FindElement(by);
+                // Special handling for checkboxes/radios that might be hidden by custom UI
+                if (!el.Displayed && el.TagName.ToLower() == "input" &&
+                   (el.GetAttribute("type") == "checkbox" || el.GetAttribute("type") == "radio"))
+                {
+                    return el.Enabled ? el : null;
+                }
+                return (el.Displayed && el.Enabled) ? el : null;
+            });
+        }
+`;
+        case 'NavigateTo':
+            return `
+        ${access} void NavigateTo(string url)
+        {
+            _driver.Navigate().GoToUrl(url);
+            WaitForPageReady();${pause(options, 1000)}
+        }
+`;
+        case 'NavigateBack':
+            return `
+        ${access} void NavigateBack()
+        {
+            _driver.Navigate().Back();
+            WaitForPageReady();${pause(options, 1000)}
+        }
+`;
+        case 'NavigateForward':
+            return `
+        ${access} void NavigateForward()
+        {
+            _driver.Navigate().Forward();
+            WaitForPageReady();${pause(options, 1000)}
+        }
+`;
+        case 'RefreshPage':
+            return `
+        ${access} void RefreshPage()
+        {
+            _driver.Navigate().Refresh();
+            WaitForPageReady();${pause(options, 1000)}
+        }
+`;
+        case 'Hover':
+            return `
+        ${access} void Hover(By by)
+        {
+            var element = WaitForVisible(by);
+
+            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
+            actions.MoveToElement(element).Perform();${pause(options, 500)}
+        }
+`;
+        case 'DoubleClick':
+            return `
+        ${access} void DoubleClick(By by)
+        {
+            var element = WaitForClickable(by);
+
+            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
+            actions.DoubleClick(element).Perform();
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'RightClick':
+            return `
+        ${access} void RightClick(By by)
+        {
+            var element = WaitForClickable(by);
+
+            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
+            actions.ContextClick(element).Perform();
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'DragAndDrop':
+            return `
+        ${access} void DragAndDrop(By source, By target)
+        {
+            var sourceElement = WaitForVisible(source);
+            var targetElement = WaitForVisible(target);
+
+            if (sourceElement.GetAttribute("draggable") == "true")
+            {
+                ((IJavaScriptExecutor)_driver).ExecuteScript(@"
+            ${HTML5_DRAG_SCRIPT}", sourceElement, targetElement);
+            }
+            else
+            {
+                // The first small move gets past the drag threshold of pointer-based drag libraries.
+                var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
+                actions.ClickAndHold(sourceElement).MoveByOffset(10, 10).MoveToElement(targetElement).Release().Perform();
+            }
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'ScrollTo':
+            return `
+        ${access} void ScrollTo(By by)
+        {
+            // Lazily loaded content only appears once the page is scrolled down to it.
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            var element = wait.Until(d => {
+                var found = d.FindElements(by);
+                if (found.Count > 0) return found[0];
+                ((IJavaScriptExecutor)d).ExecuteScript("window.scrollBy(0, window.innerHeight);");
+                return null;
+            });
+
+            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
+            actions.ScrollToElement(element).Perform();
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'Click':
+            return `
+        ${access} void Click(By by)
+        {
+            var element = WaitForClickable(by);
+
+            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
+            actions.MoveToElement(element).Perform();${pause(options, 500)}
+
+            element.Click();
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'TypeText':
+            return `
+        ${access} void TypeText(By by, string text)
+        {
+            var element = WaitForClickable(by);
+            element.Clear();
+            element.SendKeys(text);${pause(options, 300)}
+        }
+`;
+        case 'TypeTextAndPressEnter':
+            return `
+        ${access} void TypeTextAndPressEnter(By by, string text)
+        {
+            var element = WaitForClickable(by);
+            element.Clear();
+            element.SendKeys(text);
+            element.SendKeys(Keys.Enter);
+            WaitForPageReady();${pause(options, 1000)}
+        }
+`;
+        case 'TypeRichText':
+            return `
+        // Rich-text editors are contenteditable elements, which Clear() cannot empty: selecting
+        // everything lets the typed text replace it. Editors that drop keys sent by WebDriver get
+        // the text from the browser's insertText command instead, as if it had been pasted. Line
+        // breaks are typed as Shift+Enter, which chat composers keep in the text instead of sending it.
+        ${access} void TypeRichText(By by, string text)
+        {
+            var element = WaitForClickable(by);
+            element.Click();
+            element.SendKeys(Keys.Control + "a");
+            element.SendKeys(text.Replace("\\n", Keys.Shift + Keys.Enter + Keys.Null));
+            if (NormalizeText(element.Text) != NormalizeText(text))
+            {
+                ((IJavaScriptExecutor)_driver).ExecuteScript(
+                    "arguments[0].focus(); document.getSelection().selectAllChildren(arguments[0]); " +
+                    "document.execCommand('insertText', false, arguments[1]);", element, text);
+            }${pause(options, 300)}
+        }
+`;
+        case 'Secret':
+            return `
+        // Secrets are not written into the feature file: <password> is read from the environment
+        // variable SECRET_PASSWORD, e.g. set by the CI pipeline or a .runsettings file. Change this
+        // method to read them from a secret store instead.
+        ${access} static string Secret(string secretName)
+        {
+            var variable = "SECRET_" + secretName.ToUpperInvariant();
+            var value = Environment.GetEnvironmentVariable(variable);
+            if (value == null)
+            {
+                throw new InvalidOperationException($"Set the environment variable {variable} to the value of <{secretName}>.");
+            }
+            return value;
+        }
+`;
+        case 'TestDataFile':
+            return `
+        // Files to upload are looked up in the ${getTestDataFolder(options)} folder of the test output (mark them
+        // "Copy to Output Directory"), or in the folder the TEST_DATA_FOLDER environment variable names.
+        ${access} static string TestDataFile(string fileName)
+        {
+            var folder = Environment.GetEnvironmentVariable("TEST_DATA_FOLDER") ??
+                System.IO.Path.Combine(AppContext.BaseDirectory, ${toCSharpString(getTestDataFolder(options))});
+            var path = System.IO.Path.GetFullPath(System.IO.Path.Combine(folder, fileName));
+            if (!System.IO.File.Exists(path))
+            {
+                throw new System.IO.FileNotFoundException($"Put {fileName} into {folder} for the upload step.", path);
+            }
+            return path;
+        }
+`;
+        case 'UploadFiles':
+            return `
+        ${access} void UploadFiles(By by, string fileNames)
+        {
+            var paths = Array.ConvertAll(fileNames.Split(','), fileName => TestDataFile(fileName.Trim()));
+            // File inputs are often hidden behind a drop zone; WebDriver sends the paths to them all the same.
+            var input = new WebDriverWait(_driver, WaitTimeout).Until(d => d.FindElement(by));
+            input.SendKeys(string.Join("\\n", paths));
+            WaitForPageReady();${pause(options, 1000)}
+        }
+`;
+        case 'TypeSecret':
+            return `
+        ${access} void TypeSecret(By by, string secretName)
+        {
+            TypeText(by, Secret(secretName));
+        }
+`;
+        case 'TypeSecretAndPressEnter':
+            return `
+        ${access} void TypeSecretAndPressEnter(By by, string secretName)
+        {
+            TypeTextAndPressEnter(by, Secret(secretName));
+        }
+`;
+        case 'PressKeys':
+            return `
+        // Keys are written like "Control+Shift+S": the recorded key names (Escape, ArrowDown, F5, ...)
+        // are those of Selenium's Keys fields, and Space and Plus stand for " " and "+".
+        ${access} static string ToKey(string name)
+        {
+            if (name == "Plus") return "+";
+            if (name.Length == 1) return name.ToLower();
+            var field = typeof(Keys).GetField(name);
+            if (field == null) throw new ArgumentException($"Unknown key {name}.");
+            return (string)field.GetValue(null);
+        }
+
+        // Pressed together: every key goes down in order, then comes up in reverse.
+        ${access} void PressKeys(string keys)
+        {
+            var names = keys.Split('+');
+            var actions = new OpenQA.Selenium.Interactions.Actions(_driver);
+            foreach (var name in names)
+            {
+                actions.KeyDown(ToKey(name));
+            }
+            for (var i = names.Length - 1; i >= 0; i--)
+            {
+                actions.KeyUp(ToKey(names[i]));
+            }
+            actions.Perform();
+            WaitForPageReady();${pause(options, 300)}
+        }
+`;
+        case 'PressKeysIn':
+            return `
+        ${access} void PressKeysIn(By by, string keys)
+        {
+            var element = WaitForClickable(by);
+            // Focused without a click, which could move the caret or close an open suggestion list.
+            ((IJavaScriptExecutor)_driver).ExecuteScript("arguments[0].focus();", element);
+            PressKeys(keys);
+        }
+`;
+        case 'SelectOption':
+            return `
+        // Only a <select> is a native dropdown; custom ones are opened and their option clicked.
+        ${access} void SelectOption(By by, string optionText)
+        {
+            var element = WaitForClickable(by);
+            if (string.Equals(element.TagName, "select", StringComparison.OrdinalIgnoreCase))
+            {
+                new SelectElement(element).SelectByText(optionText);
+            }
+            else
+            {
+                element.Click();
+                ClickDropdownOption(optionText);
+            }
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'SearchAndSelectOption':
+            return `
+        // Type-ahead dropdowns filter their options by the text typed into them once opened.
+        ${access} void SearchAndSelectOption(By by, string filterText, string optionText)
+        {
+            WaitForClickable(by).Click();
+            _driver.SwitchTo().ActiveElement().SendKeys(filterText);
+            ClickDropdownOption(optionText);
+            WaitForPageReady();${pause(options, 500)}
+        }
+`;
+        case 'ClickDropdownOption':
+            return `
+        // Custom dropdowns (React-Select, MUI, Ant Design, ARIA listboxes) render their options once
+        // opened, often elsewhere in the page; the option is the visible one with the text.
+        ${access} const string DropdownOptions = "${DROPDOWN_OPTION_SELECTOR}";
+
+        ${access} void ClickDropdownOption(string optionText)
+        {
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            wait.IgnoreExceptionTypes(typeof(StaleElementReferenceException));
+            var option = wait.Until(d =>
+            {
+                foreach (var candidate in d.FindElements(By.CssSelector(DropdownOptions)))
+                {
+                    if (candidate.Displayed && NormalizeText(candidate.Text) == NormalizeText(optionText)) return candidate;
+                }
+                return null;
+            });
+            option.Click();
+        }
+`;
+        case 'SetChecked':
+            return `
+        ${access} void SetChecked(By by, bool isChecked)
+        {
+            var element = WaitForClickable(by);
+            if (element.Selected != isChecked)
+            {
+                element.Click();
+                WaitForPageReady();
+            }${pause(options, 300)}
+        }
+`;
+        case 'WaitForValue':
+            return `
+        ${access} T WaitForValue<T>(Func<T> read, Func<T, bool> isExpected)
+        {
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            var value = default(T);
+            try
+            {
+                wait.Until(d => {
+                    value = read();
+                    return isExpected(value);
+                });
+            }
+            catch (WebDriverTimeoutException)
+            {
+                // Fall through so the assertion reports the last value seen.
+            }
+            return value;
+        }
+`;
+        case 'TrackWindows':
+            return `
+        // Window handles in the order the tabs were opened, and the tabs to return to when one is closed.
+        ${access} readonly List<string> _windows = new List<string>();
+        ${access} readonly Stack<string> _returnWindows = new Stack<string>();
+        ${access} string _currentWindow;
+
+        ${access} void TrackWindows()
+        {
+            if (_windows.Count == 0)
+            {
+                _currentWindow = _driver.CurrentWindowHandle;
+                _windows.Add(_currentWindow);
+            }
+        }
+`;
+        case 'SwitchToNewWindow':
+            return `
+        ${access} void SwitchToNewWindow()
+        {
+            TrackWindows();
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            var handle = wait.Until(d => d.WindowHandles.FirstOrDefault(h => !_windows.Contains(h)));
+            _windows.Add(handle);
+            _returnWindows.Push(_currentWindow);
+            _currentWindow = handle;
+            _driver.SwitchTo().Window(handle);
+            WaitForPageReady();
+        }
+`;
+        case 'SwitchToWindow':
+            return `
+        ${access} void SwitchToWindow(int tabNumber)
+        {
+            TrackWindows();
+            _returnWindows.Push(_currentWindow);
+            _currentWindow = _windows[tabNumber - 1];
+            _driver.SwitchTo().Window(_currentWindow);
+            WaitForPageReady();
+        }
+`;
+        case 'CloseWindowAndReturn':
+            return `
+        ${access} void CloseWindowAndReturn()
+        {
+            TrackWindows();
+            // Popups such as sign-in windows often close themselves.
+            if (_driver.WindowHandles.Contains(_currentWindow))
+            {
+                _driver.SwitchTo().Window(_currentWindow);
+                _driver.Close();
+            }
+
+            var openWindows = _driver.WindowHandles;
+            while (_returnWindows.Count > 0 && !openWindows.Contains(_returnWindows.Peek()))
+            {
+                _returnWindows.Pop();
+            }
+            _currentWindow = _returnWindows.Count > 0 ? _returnWindows.Pop() : openWindows.First();
+            _driver.SwitchTo().Window(_currentWindow);
+            WaitForPageReady();
+        }
+`;
+        case 'SwitchToFrame':
+            return `
+        ${access} void SwitchToFrame(string framePath)
+        {
+            _driver.SwitchTo().DefaultContent();
+            var wait = new WebDriverWait(_driver, WaitTimeout);
+            foreach (var frame in framePath.Split(new[] { " > " }, StringSplitOptions.None))
+            {
+                wait.Until(d => {
+                    if (frame.StartsWith("index="))
+                    {
+                        d.SwitchTo().Frame(int.Parse(frame.Substring(6)));
+                    }
+                    else if (frame.StartsWith("src="))
+                    {
+                        var src = frame.Substring(4);
+                        d.SwitchTo().Frame(d.FindElement(By.CssSelector($"iframe[src*='{src}'], frame[src*='{src}']")));
+                    }
+                    else
+                    {
+                        d.SwitchTo().Frame(frame);
+                    }
+                    return true;
+                });
+            }
+        }
+`;
+        case 'SwitchToMainPage':
+            return `
+        ${access} void SwitchToMainPage()
+        {
+            _driver.SwitchTo().DefaultContent();
+        }
+`;
+        case 'NormalizeText':
+            return `
+        ${access} static string NormalizeText(string text)
+        {
+            return string.Join(" ", (text ?? "").Split((char[])null, StringSplitOptions.RemoveEmptyEntries));
+        }
+`;
+        case 'AssertVisible':
+            return `
+        ${access} void AssertVisible(By by)
+        {
+            var isVisible = WaitForValue(() => _driver.FindElement(by).Displayed, visible => visible);
+            ${assert.isTrue('isVisible', '$"Expected element {by} to be visible"')}
+        }
+`;
+        case 'AssertText':
+            return `
+        ${access} void AssertText(By by, string expected)
+        {
+            var actual = WaitForValue(() => NormalizeText(_driver.FindElement(by).Text), text => text == expected);
+            ${assert.equal('expected', 'actual')}
+        }
+`;
+        case 'AssertTextContains':
+            return `
+        ${access} void AssertTextContains(By by, string expected)
+        {
+            var actual = WaitForValue(() => NormalizeText(_driver.FindElement(by).Text), text => text.Contains(expected));
+            ${assert.contains('expected', 'actual')}
+        }
+`;
+        case 'AssertValue':
+            return `
+        ${access} void AssertValue(By by, string expected)
+        {
+            var actual = WaitForValue(() => _driver.FindElement(by).GetAttribute("value"), value => value == expected);
+            ${assert.equal('expected', 'actual')}
+        }
+`;
+        case 'AssertChecked':
+            return `
+        ${access} void AssertChecked(By by, bool expected)
+        {
+            var actual = WaitForValue(() => {
+                var element = _driver.FindElement(by);
+                var ariaChecked = element.GetAttribute("aria-checked");
+                return ariaChecked != null && element.TagName.ToLower() != "input" ? ariaChecked == "true" : element.Selected;
+            }, isChecked => isChecked == expected);
+            ${assert.equal('expected', 'actual')}
+        }
+`;
+        case 'AssertUrlContains':
+            return `
+        ${access} void AssertUrlContains(string expected)
+        {
+            var actual = WaitForValue(() => _driver.Url, url => url.Contains(expected));
+            ${assert.contains('expected', 'actual')}
+        }
+`;
+        case 'AssertTitle':
+            return `
+        ${access} void AssertTitle(string expected)
+        {
+            var actual = WaitForValue(() => _driver.Title, title => title == expected);
+            ${assert.equal('expected', 'actual')}
+        }
+`;
+        case 'AssertDialogText':
+            return `
+        ${access} void AssertDialogText(string expected)
+        {
+            var actual = NormalizeText(WaitForDialog().Text);
+            ${assert.equal('expected', 'actual')}
+        }
+`;
+        default:
+            return '';
+    }
+}
+
+// Playwright for .NET: the same bindings as async methods that act through PlaywrightSession,
+// relying on Playwright's auto-waiting instead of explicit waits.
+// Each entry returns the statements for a step kind, given an expression for the element's ILocator
+// (and for drag-and-drop, the drop target's).
+const PLAYWRIGHT_CALLS = {
+    navigate: () => ['await _session.Page.GotoAsync(url);'],
+    goBack: () => ['await _session.Page.GoBackAsync();', '_session.Frame = null;'],
+    goForward: () => ['await _session.Page.GoForwardAsync();', '_session.Frame = null;'],
+    refresh: () => ['await _session.Page.ReloadAsync();', '_session.Frame = null;'],
+    click: (locator) => [`await ${locator}.ClickAsync();`],
+    hover: (locator) => [`await ${locator}.HoverAsync();`],
+    doubleClick: (locator) => [`await ${locator}.DblClickAsync();`],
+    rightClick: (locator) => [`await ${locator}.ClickAsync(new LocatorClickOptions { Button = MouseButton.Right });`],
+    dragAndDrop: (locator, target) => [`await ${locator}.DragToAsync(${target});`],
+    scrollTo: (locator) => [`await _session.ScrollTo(${locator});`],
+    type: (locator) => [`await ${locator}.FillAsync(text);`],
+    enterkey: (locator) => [`await ${locator}.FillAsync(text);`, `await ${locator}.PressAsync("Enter");`],
+    // Fill selects a contenteditable element's content and inserts the text the way editors expect.
+    typeRichText: (locator) => [`await ${locator}.FillAsync(text);`],
+    typeSecret: (locator) => [`await ${locator}.FillAsync(PlaywrightSession.Secret(secretName));`],
+    enterkeySecret: (locator) => [`await ${locator}.FillAsync(PlaywrightSession.Secret(secretName));`, `await ${locator}.PressAsync("Enter");`],
+    pressKeys: () => ['await _session.Page.Keyboard.PressAsync(PlaywrightSession.ToPlaywrightKeys(keys));'],
+    pressKeysIn: (locator) => [`await ${locator}.PressAsync(PlaywrightSession.ToPlaywrightKeys(keys));`],
+    upload: (locator) => [`await ${locator}.SetInputFilesAsync(PlaywrightSession.TestDataFiles(fileNames));`],
+    select: (locator) => [`await _session.SelectOption(${locator}, optionText);`],
+    selectFiltered: (locator) => [`await _session.SearchAndSelectOption(${locator}, filterText, optionText);`],
+    check: (locator) => [`await ${locator}.SetCheckedAsync(true);`],
+    uncheck: (locator) => [`await ${locator}.SetCheckedAsync(false);`],
+    radio: (locator) => [`await ${locator}.CheckAsync();`],
+    assertVisible: (locator) => [`await Expect(${locator}).ToBeVisibleAsync();`],
+    assertText: (locator) => [`await Expect(${locator}).ToHaveTextAsync(expected);`],
+    assertTextContains: (locator) => [`await Expect(${locator}).ToContainTextAsync(expected);`],
+    assertValue: (locator) => [`await Expect(${locator}).ToHaveValueAsync(expected);`],
+    assertChecked: (locator) => [`await Expect(${locator}).ToBeCheckedAsync();`],
+    assertUnchecked: (locator) => [`await Expect(${locator}).ToBeCheckedAsync(new LocatorAssertionsToBeCheckedOptions { Checked = false });`],
+    assertUrl: () => ['await Expect(_session.Page).ToHaveURLAsync(new Regex(Regex.Escape(expected)));'],
+    assertTitle: () => ['await Expect(_session.Page).ToHaveTitleAsync(expected);'],
+    switchToNewTab: () => ['await _session.SwitchToNewPage();'],
+    switchToTab: () => ['await _session.SwitchToPage(int.Parse(tabNumber));'],
+    closeTab: () => ['await _session.ClosePageAndReturn();'],
+    assertDialog: () => ['await _session.ExpectDialog(expected);'],
+    acceptDialog: () => ['await _session.ExpectDialogAnswer(true);'],
+    dismissDialog: () => ['await _session.ExpectDialogAnswer(false);'],
+    answerPrompt: () => ['await _session.ExpectDialogAnswer(true, text);'],
+    switchToFrame: () => ['_session.SwitchToFrame(framePath);'],
+    switchToMainPage: () => ['_session.Frame = null;'],
+    placeholder: () => ['await _session.WaitForPageReady();']
+};
+
+// Roles GetByRole is used for; others fall back on the recorded selector.
+const PLAYWRIGHT_ROLES = [
+    'button', 'cell', 'checkbox', 'columnheader', 'combobox', 'gridcell', 'heading', 'link', 'listbox', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'searchbox', 'slider', 'spinbutton', 'switch',
+    'tab', 'textbox', 'treeitem'
+];
+
+function toPlaywrightSelector(selectorType, selectorValue) {
+    switch ((selectorType || '').toLowerCase()) {
+        case 'id': return `id=${selectorValue}`;
+        case 'name': return `css=[name="${selectorValue}"]`;
+        case 'xpath': return `xpath=${selectorValue}`;
+        case 'shadowcssselector': return 'css=' + selectorValue.split(' >>> ').join(' >> css=');
+        default: return `css=${selectorValue}`;
+    }
+}
+
+// Prefers the locators Playwright recommends when the recorder saw what they need.
+function toPlaywrightLocator(element, scope) {
+    const hints = element.locatorHints || {};
+
+    if (hints.testId && hints.testId.attribute === 'data-testid') {
+        return `${scope}.GetByTestId(${toCSharpString(hints.testId.value)})`;
+    }
+    if (hints.role && hints.name && PLAYWRIGHT_ROLES.includes(hints.role)) {
+        const role = hints.role.charAt(0).toUpperCase() + hints.role.slice(1);
+        return `${scope}.GetByRole(AriaRole.${role}, new LocatorGetByRoleOptions { Name = ${toCSharpString(hints.name)}, Exact = true })`;
+    }
+    if (hints.label) {
+        return `${scope}.GetByLabel(${toCSharpString(hints.label)}, new LocatorGetByLabelOptions { Exact = true })`;
+    }
+    return `${scope}.Locator(${toCSharpString(toPlaywrightSelector(element.selector, element.selectorValue))})`;
+}
+
+function renderPlaywrightBinding(step) {
+    const call = PLAYWRIGHT_CALLS[step.kind];
+    let statements;
+
+    if (step.page && step.kind !== 'placeholder' && isAssertionStep(step)) {
+        statements = call(`${step.page.fieldName}.${step.element.property}`);
+    } else if (step.page) {
+        statements = [`await ${step.page.fieldName}.${step.page.methodFor(step)}(${step.params.join(', ')});`];
+    } else if (step.params.includes('selectorType')) {
+        statements = ['var element = _session.ToLocator(selectorType, selectorValue);']
+            .concat(step.params.includes('targetSelectorType') ? ['var target = _session.ToLocator(targetSelectorType, targetSelectorValue);'] : [])
+            .concat(call('element', 'target'));
+    } else if (step.params.includes('elementName')) {
+        statements = ['var element = Elements[elementName](_session.Scope);']
+            .concat(step.params.includes('targetElementName') ? ['var target = Elements[targetElementName](_session.Scope);'] : [])
+            .concat(call('element', 'target'));
+    } else {
+        statements = call();
+    }
+
+    const isAsync = statements.some(statement => statement.includes('await '));
+    return `
+${renderBindingAttributes(step)}
+        public ${isAsync ? 'async Task' : 'void'} ${getBindingMethodName(step)}(${step.params.map(p => `string ${p}`).join(', ')})
+        {
+            ${statements.join('\n            ')}
+        }
+`;
+}
+
+// The binding class shared by the feature's own steps file and the shared steps file.
+function generatePlaywrightStepsClass(className, steps, options, members) {
+    const framework = getDotNetFramework(options);
+    const isReadable = options.outputStyle === 'readable';
+    const bindings = steps.map(step => renderPlaywrightBinding(step)).join('');
+    const hasAssertions = steps.some(step => step.kind !== 'placeholder' && isAssertionStep(step));
+    const assertsUrl = steps.some(step => step.kind === 'assertUrl');
+    const pages = [];
+    steps.forEach(step => {
+        if (step.page && !pages.includes(step.page)) pages.push(step.page);
+    });
+
+    return `using System;
+${isReadable ? 'using System.Collections.Generic;\n' : ''}${assertsUrl ? 'using System.Text.RegularExpressions;\n' : ''}using System.Threading.Tasks;
+${framework.using}
+using Microsoft.Playwright;
+${hasAssertions ? 'using static Microsoft.Playwright.Assertions;\n' : ''}${pages.length > 0 ? `using ${framework.rootNamespace}.Pages;\n` : ''}using ${framework.rootNamespace}.Support;
+
+namespace ${framework.rootNamespace}.Steps
+{
+    [Binding]
+    public class ${className}
+    {
+        private readonly PlaywrightSession _session;
+${pages.map(page => `        private readonly ${page.className} ${page.fieldName};\n`).join('')}${members}
+        public ${className}(PlaywrightSession session)
+        {
+            _session = session;
+${pages.map(page => `            ${page.fieldName} = new ${page.className}(session);\n`).join('')}        }
+${bindings}    }
+}`;
+}
+
+function generatePlaywrightElementDictionary(steps) {
+    const elements = getStepElements(steps);
+
+    return `
+        private static readonly Dictionary<string, Func<ILocator, ILocator>> Elements = new Dictionary<string, Func<ILocator, ILocator>>
+        {
+${elements.map(element => `            { ${toCSharpString(element.name)}, scope => ${toPlaywrightLocator(element, 'scope')} },\n`).join('')}        };
+`;
+}
+
+function generatePlaywrightStepsFile(scenarios, featureName, options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options);
+
+    const plan = planBindings(scenarios, options);
+    const dialogAnswers = getDialogAnswers(scenarios);
+    if (plan.featureBindings.length === 0 && !plan.registerElements && dialogAnswers.length === 0) {
+        return '';
+    }
+
+    let members = options.outputStyle === 'readable' ? generatePlaywrightElementDictionary(plan.steps) : '';
+    if (plan.registerElements) {
+        members += `
+        [BeforeTestRun]
+        public static void RegisterElements()
+        {
+            ${SHARED_STEP_CLASSES.readable}.RegisterElements(Elements);
+        }
+`;
+    }
+    if (dialogAnswers.length > 0) {
+        members += `
+        [BeforeTestRun]
+        public static void RegisterDialogAnswers()
+        {
+${dialogAnswers.map(answer => `            PlaywrightSession.AnswerDialog(${[toCSharpString(answer.message), answer.accept]
+        .concat(answer.promptText ? [toCSharpString(answer.promptText)] : []).join(', ')});\n`).join('')}        }
+`;
+    }
+
+    return generatePlaywrightStepsClass(`${featureName}Steps`, plan.featureBindings, options, members);
+}
+
+// Playwright answers a dialog while the action that opened it runs, so the answers the recording
+// gave are registered by message up front. The message is that of the check step before the
+// answer, if it still has one.
+function getDialogAnswers(scenarios) {
+    const answers = new Map();
+    scenarios.forEach(scenario => scenario.actions.forEach((action, index) => {
+        if (action.type !== 'acceptDialog' && action.type !== 'dismissDialog') return;
+        const previous = scenario.actions[index - 1];
+        const message = previous && previous.type === 'assertDialog' ? previous.value : action.message;
+        if (message === undefined) return;
+        answers.set(message, {
+            message: message,
+            accept: action.type === 'acceptDialog',
+            promptText: action.type === 'acceptDialog' ? action.value : null
+        });
+    }));
+    return Array.from(answers.values());
+}
+
+function generatePlaywrightSharedStepsFile(scenarios, options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options);
+
+    const plan = planBindings(scenarios, options);
+    if (plan.sharedBindings.length === 0) return null;
+
+    const className = SHARED_STEP_CLASSES[options.outputStyle] || SHARED_STEP_CLASSES.selectors;
+    const members = options.outputStyle !== 'readable' ? '' : `
+        // Filled by each feature's steps class before the test run.
+        private static readonly Dictionary<string, Func<ILocator, ILocator>> Elements = new Dictionary<string, Func<ILocator, ILocator>>();
+
+        public static void RegisterElements(IDictionary<string, Func<ILocator, ILocator>> elements)
+        {
+            foreach (var element in elements)
+            {
+                Elements[element.Key] = element.Value;
+            }
+        }
+`;
+
+    return {
+        filename: `${className}.cs`,
+        content: generatePlaywrightStepsClass(className, plan.sharedBindings, options, members),
+        bindings: [].concat(...plan.sharedBindings.map(step =>
+            step.phrase.keywords.map(keyword => ({ keyword: keyword, pattern: step.pattern }))))
+    };
+}
+
+function generatePlaywrightPagesFile(scenarios, featureName, options) {
+    const framework = getDotNetFramework(options);
+    const steps = buildSteps(getAllActions(scenarios), { outputStyle: 'pageObjects' });
+
+    const pages = [];
+    steps.forEach(step => {
+        if (!step.page) return;
+        if (!pages.includes(step.page)) pages.push(step.page);
+        if (!isAssertionStep(step)) step.page.methodFor(step);
+    });
+
+    let content = `using System;
+using System.Threading.Tasks;
+using Microsoft.Playwright;
+using ${framework.rootNamespace}.Support;
+
+namespace ${framework.rootNamespace}.Pages
+{
+    public abstract class PageBase
+    {
+        protected readonly PlaywrightSession _session;
+
+        protected PageBase(PlaywrightSession session)
+        {
+            _session = session;
+        }
+
+        // Locators are resolved on use, so they follow the session into other tabs and frames.
+        protected ILocator Scope => _session.Scope;
+    }
+`;
+
+    pages.forEach(page => {
+        content += `
+    public class ${page.className} : PageBase
+    {
+        public ${page.className}(PlaywrightSession session) : base(session)
+        {
+        }
+
+`;
+        page.elements.forEach(element => {
+            content += `        public ILocator ${element.property} => ${toPlaywrightLocator(element, 'Scope')};\n`;
+        });
+
+        page.methods.forEach(method => {
+            content += `
+        public async Task ${method.name}(${method.params.map(p => `string ${p}`).join(', ')})
+        {
+            ${PLAYWRIGHT_CALLS[method.kind](method.property, method.targetProperty).join('\n            ')}
+        }
+`;
+        });
+
+        content += `    }
+`;
+    });
+
+    content += `}`;
+    return content;
+}
+
+function generatePlaywrightSessionFile(options) {
+    options = Object.assign({}, DEFAULT_GENERATOR_OPTIONS, options);
+    const framework = getDotNetFramework(options);
+    const waitTimeout = (Number(options.waitTimeout) || DEFAULT_GENERATOR_OPTIONS.waitTimeout) * 1000;
+
+    const waitForPageReady = options.waitForRequests ? `
+            try
+            {
+                await Page.WaitForLoadStateAsync(LoadState.NetworkIdle);
+            }
+            catch (Microsoft.Playwright.TimeoutException)
+            {
+                // A page that never settles (long-polling, streaming) should not fail the step.
+            }` : `
+            await Page.WaitForLoadStateAsync(LoadState.Load);`;
+
+    return `using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+using Microsoft.Playwright;
+
+namespace ${framework.rootNamespace}.Support
+{
+    // The tab and frame the recorded steps act in. ${framework.name} creates one per scenario and shares it
+    // between binding classes, so register the scenario's IPage in the container from a hook first.
+    public class PlaywrightSession
+    {
+        public const float WaitTimeout = ${waitTimeout};
+
+        // Pages in the order the tabs were opened, and the pages to return to when one is closed.
+        private readonly List<IPage> _pages = new List<IPage>();
+        private readonly Stack<IPage> _returnPages = new Stack<IPage>();
+
+        // A dialog left unanswered stalls the action that opened it, so each one is answered as it
+        // opens, the way the recording did, and the dialog steps after the action check it.
+        private static readonly Dictionary<string, (bool Accept, string PromptText)> DialogAnswers =
+            new Dictionary<string, (bool Accept, string PromptText)>();
+        private readonly ConcurrentQueue<(string Message, bool Accepted, string PromptText)> _dialogs =
+            new ConcurrentQueue<(string Message, bool Accepted, string PromptText)>();
+
+        public PlaywrightSession(IPage page)
+        {
+            Page = page;
+            _pages.Add(page);
+            page.Context.SetDefaultTimeout(WaitTimeout);
+            page.Context.Dialog += OnDialog;
+            Assertions.SetDefaultExpectTimeout(WaitTimeout);
+        }
+
+        public IPage Page { get; private set; }
+
+        public IFrameLocator Frame { get; set; }
+
+        // Element locators are relative to this, so they resolve inside the current frame.
+        public ILocator Scope => Frame != null ? Frame.Locator(":root") : Page.Locator(":root");
+
+        public ILocator ToLocator(string selectorType, string selectorValue)
+        {
+            switch (selectorType.ToLower())
+            {
+                case "id": return Scope.Locator($"id={selectorValue}");
+                case "xpath": return Scope.Locator($"xpath={selectorValue}");
+                case "name": return Scope.Locator($"css=[name=\\"{selectorValue}\\"]");
+                // Playwright's CSS already pierces open shadow roots; each host narrows the search.
+                case "shadowcssselector": return Scope.Locator("css=" + selectorValue.Replace(" >>> ", " >> css="));
+                default: return Scope.Locator($"css={selectorValue}");
+            }
+        }
+
+        public async Task WaitForPageReady()
+        {${waitForPageReady}
+        }
+
+        // Lazily loaded content only appears once the page is scrolled down to it.
+        public async Task ScrollTo(ILocator locator)
+        {
+            var deadline = DateTime.Now.AddMilliseconds(WaitTimeout);
+            while (await locator.CountAsync() == 0)
+            {
+                if (DateTime.Now > deadline)
+                {
+                    throw new System.TimeoutException($"Scrolling did not load {locator}.");
+                }
+                await Page.Mouse.WheelAsync(0, Page.ViewportSize?.Height ?? 600);
+                await Task.Delay(250);
+            }
+            await locator.First.ScrollIntoViewIfNeededAsync();
+        }
+
+        // Files to upload are looked up in the ${getTestDataFolder(options)} folder of the test output, or in
+        // the folder the TEST_DATA_FOLDER environment variable names.
+        public static string[] TestDataFiles(string fileNames)
+        {
+            var folder = Environment.GetEnvironmentVariable("TEST_DATA_FOLDER") ??
+                System.IO.Path.Combine(AppContext.BaseDirectory, ${toCSharpString(getTestDataFolder(options))});
+            return fileNames.Split(',').Select(fileName =>
+            {
+                var path = System.IO.Path.GetFullPath(System.IO.Path.Combine(folder, fileName.Trim()));
+                if (!System.IO.File.Exists(path))
+                {
+                    throw new System.IO.FileNotFoundException($"Put {fileName.Trim()} into {folder} for the upload step.", path);
+                }
+                return path;
+            }).ToArray();
+        }
+
+        // Only a <select> is a native dropdown; custom ones (React-Select, MUI, Ant Design, ARIA
+        // listboxes) are opened and the visible option with the text clicked once it shows.
+        public async Task SelectOption(ILocator dropdown, string optionText)
+        {
+            if (await dropdown.EvaluateAsync<string>("element => element.tagName") == "SELECT")
+            {
+                await dropdown.SelectOptionAsync(new SelectOptionValue { Label = optionText });
+                return;
+            }
+            await dropdown.ClickAsync();
+            await ClickDropdownOption(optionText);
+        }
+
+        // Type-ahead dropdowns filter their options by the text typed into them once opened.
+        public async Task SearchAndSelectOption(ILocator dropdown, string filterText, string optionText)
+        {
+            await dropdown.ClickAsync();
+            await Page.Keyboard.TypeAsync(filterText);
+            await ClickDropdownOption(optionText);
+        }
+
+        private Task ClickDropdownOption(string optionText)
+        {
+            var text = new Regex(@"^\\s*" + Regex.Escape(optionText) + @"\\s*$");
+            return Scope.Locator("${DROPDOWN_OPTION_SELECTOR}").Locator("visible=true")
+                .Filter(new LocatorFilterOptions { HasTextRegex = text }).First.ClickAsync();
+        }
+
+        // Registered by the feature's steps class before the test run.
+        public static void AnswerDialog(string message, bool accept, string promptText = null)
+        {
+            DialogAnswers[message] = (accept, promptText);
+        }
+
+        // Dialogs without a registered answer are dismissed.
+        private async void OnDialog(object sender, IDialog dialog)
+        {
+            var message = string.Join(" ", dialog.Message.Split((char[])null, StringSplitOptions.RemoveEmptyEntries));
+            DialogAnswers.TryGetValue(message, out var answer);
+            _dialogs.Enqueue((message, answer.Accept, answer.PromptText));
+            if (answer.Accept)
+            {
+                await dialog.AcceptAsync(answer.PromptText);
+            }
+            else
+            {
+                await dialog.DismissAsync();
+            }
+        }
+
+        private async Task<(string Message, bool Accepted, string PromptText)> NextDialog()
+        {
+            var deadline = DateTime.Now.AddMilliseconds(WaitTimeout);
+            (string Message, bool Accepted, string PromptText) dialog;
+            while (!_dialogs.TryPeek(out dialog))
+            {
+                if (DateTime.Now > deadline)
+                {
+                    throw new System.TimeoutException("No alert, confirm or prompt dialog was opened.");
+                }
+                await Task.Delay(100);
+            }
+            return dialog;
+        }
+
+        public async Task ExpectDialog(string expected)
+        {
+            var dialog = await NextDialog();
+            if (dialog.Message != expected)
+            {
+                throw new InvalidOperationException($"Expected the dialog \\"{expected}\\" but it said \\"{dialog.Message}\\".");
+            }
+        }
+
+        public async Task ExpectDialogAnswer(bool accepted, string promptText = null)
+        {
+            var dialog = await NextDialog();
+            _dialogs.TryDequeue(out _);
+            if (dialog.Accepted != accepted || (promptText != null && dialog.PromptText != promptText))
+            {
+                throw new InvalidOperationException($"The dialog \\"{dialog.Message}\\" was answered differently; " +
+                    "register the answer this step gives with PlaywrightSession.AnswerDialog.");
+            }
+        }
+
+        // The value of <password> in a step comes from the environment variable SECRET_PASSWORD.
+        // Change this method to read secrets from a secret store instead.
+        public static string Secret(string secretName)
+        {
+            var variable = "SECRET_" + secretName.ToUpperInvariant();
+            var value = Environment.GetEnvironmentVariable(variable);
+            if (value == null)
+            {
+                throw new InvalidOperationException($"Set the environment variable {variable} to the value of <{secretName}>.");
+            }
+            return value;
+        }
+
+        // Steps write letters in capitals and the + key as Plus. Playwright types a capital as
+        // Shift and the letter, and reads a + after the separator, as in "Control++".
+        public static string ToPlaywrightKeys(string keys)
+        {
+            var names = keys.Split('+');
+            return string.Join("+", names.Select(name =>
+                name == "Plus" ? "+" : (name.Length == 1 && !names.Contains("Shift") ? name.ToLower() : name)));
+        }
+
+        public async Task SwitchToNewPage()
+        {
+            var deadline = DateTime.Now.AddMilliseconds(WaitTimeout);
+            IPage page;
+            while ((page = Page.Context.Pages.FirstOrDefault(p => !_pages.Contains(p))) == null)
+            {
+                if (DateTime.Now > deadline)
+                {
+                    throw new System.TimeoutException("No new tab or popup was opened.");
+                }
+                await Task.Delay(100);
+            }
+
+            _pages.Add(page);
+            await SwitchTo(page);
+        }
+
+        public async Task SwitchToPage(int tabNumber)
+        {
+            await SwitchTo(_pages[tabNumber - 1]);
+        }
+
+        public async Task ClosePageAndReturn()
+        {
+            // Popups such as sign-in windows often close themselves.
+            if (!Page.IsClosed)
+            {
+                await Page.CloseAsync();
+            }
+
+            while (_returnPages.Count > 0 && _returnPages.Peek().IsClosed)
+            {
+                _returnPages.Pop();
+            }
+            Page = _returnPages.Count > 0 ? _returnPages.Pop() : Page.Context.Pages.First();
+            Frame = null;
+            await Page.BringToFrontAsync();
+        }
+
+        private async Task SwitchTo(IPage page)
+        {
+            _returnPages.Push(Page);
+            Page = page;
+            Frame = null;
+            await Page.BringToFrontAsync();
+            await Page.WaitForLoadStateAsync(LoadState.DOMContentLoaded);
+        }
+
+        // Levels are separated by " > "; each is the frame's id or name, src=<part of its src>
+        // or index=<position in the parent>.
+        public void SwitchToFrame(string framePath)
+        {
+            IFrameLocator frame = null;
+            foreach (var level in framePath.Split(new[] { " > " }, StringSplitOptions.None))
+            {
+                string selector;
+                if (level.StartsWith("index="))
+                {
+                    selector = $"css=iframe, frame >> nth={level.Substring(6)}";
+                }
+                else if (level.StartsWith("src="))
+                {
+                    var src = level.Substring(4);
+                    selector = $"css=iframe[src*='{src}'], frame[src*='{src}']";
+                }
+                else
+                {
+                    selector = $"css=iframe[id='{level}'], iframe[name='{level}'], frame[id='{level}'], frame[name='{level}']";
+                }
+                frame = frame == null ? Page.FrameLocator(selector) : frame.FrameLocator(selector);
+            }
+            Frame = frame;
+        }
+    }
+}`;
+}